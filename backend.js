@@ -4,12 +4,21 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import cors from 'cors';
+import { createPool } from './server/db.js';
+import { runMigrations } from './server/migrations.js';
+import { createStudentsRouter } from './server/routes/students.js';
+import { createAttendanceRouter } from './server/routes/attendance.js';
+import { createSectionsRouter } from './server/routes/sections.js';
+import { createSessionsRouter } from './server/routes/sessions.js';
+import { createFailuresRouter } from './server/routes/failures.js';
+import { createEnrollmentsRouter } from './server/routes/enrollments.js';
+import { createDescriptorsRouter } from './server/routes/descriptors.js';
+import { createConfigRouter } from './server/routes/config.js';
+import { createImportsRouter } from './server/routes/imports.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const app = express();
-
 // CORS Configuration
 const corsSite = {
   origin: 'http://localhost:5173',
@@ -18,49 +27,97 @@ const corsSite = {
   allowedHeaders: ['Content-Type', 'Authorization']
 };
 
-app.use(cors(corsSite));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-
 // Create uploads directory if it doesn't exist
 const uploadDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadDir)){
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
-// Serve static files
-app.use('/models', express.static(path.join(__dirname, 'public', 'models')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// List available upload files (for frontend selection)
-app.get('/api/uploads', async (req, res) => {
-  try {
-    const files = await fs.promises.readdir(uploadDir);
-    // basic image filter
-    const imageFiles = files.filter((f) =>
-      /\.(jpe?g|png|webp)$/i.test(f)
-    );
-    res.json({ files: imageFiles });
-  } catch (err) {
-    console.error('Error reading uploads directory:', err);
-    res.status(500).json({ error: 'Failed to read uploads directory' });
-  }
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Internal server error',
-    error: err.message
+// Evidence frames from failed verifications (never served statically)
+const evidenceDir = process.env.EVIDENCE_DIR || path.join(__dirname, 'evidence');
+if (!fs.existsSync(evidenceDir)){
+  fs.mkdirSync(evidenceDir, { recursive: true });
+}
+
+/**
+ * Builds the Express app around a database handle.
+ * `db` is a pg Pool, or any stand-in with the same query()/connect() API.
+ */
+export const createApp = (db) => {
+  const app = express();
+
+  app.use(cors(corsSite));
+  app.use(express.json({ limit: '50mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+  // Serve static files
+  app.use('/models', express.static(path.join(__dirname, 'public', 'models')));
+  app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+  // List available upload files (for frontend selection)
+  app.get('/api/uploads', async (req, res) => {
+    try {
+      const files = await fs.promises.readdir(uploadDir);
+      // basic image filter
+      const imageFiles = files.filter((f) =>
+        /\.(jpe?g|png|webp)$/i.test(f)
+      );
+      res.json({ files: imageFiles });
+    } catch (err) {
+      console.error('Error reading uploads directory:', err);
+      res.status(500).json({ error: 'Failed to read uploads directory' });
+    }
   });
-});
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+  // Student registry
+  app.use('/api/students', createStudentsRouter(db, { uploadDir }));
+
+  // Camera enrollment (student record + reference photos, multipart)
+  app.use('/api/enrollments', createEnrollmentsRouter(db, { uploadDir }));
+
+  // Bulk roster import (CSV / JSON roster + photo folder or zip, multipart)
+  app.use('/api/imports', createImportsRouter(db, { uploadDir }));
+
+  // Enrolled face descriptors for face-only (1:N) identification
+  app.use('/api/face-descriptors', createDescriptorsRouter(db));
+
+  // Attendance log
+  app.use('/api/attendance', createAttendanceRouter(db));
 
+  // Course sections and scheduled class sessions
+  app.use('/api/sections', createSectionsRouter(db));
+  app.use('/api/sessions', createSessionsRouter(db));
+
+  // Failed verification audit trail
+  app.use('/api/failures', createFailuresRouter(db, { evidenceDir }));
+
+  // Runtime kiosk settings (defaults + per-kiosk overrides)
+  app.use('/api/config', createConfigRouter(db));
+
+  // Error handling middleware
+  // eslint-disable-next-line no-unused-vars
+  app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: err.message
+    });
+  });
+
+  return app;
+};
+
+// Start the server when run directly (`node backend.js`), not when imported
+if (process.argv[1] === __filename) {
+  const db = createPool();
+  await runMigrations(db);
+
+  const app = createApp(db);
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
 
-export default app;
\ No newline at end of file
+export default createApp;
@@ -0,0 +1,271 @@
+// calibrate.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { DETECTOR_OPTIONS, FACE_MODEL_VERSION } from './src/services/faceApi.js';
+import { faceSimilarity } from './src/services/faceMatcher.js';
+import { CONFIG_DEFAULTS } from './server/models/kioskConfig.js';
+import { MODELS_DIR, INVALID_IMAGE, loadFacePipeline, analyzeFaces } from './server/faceDetection.js';
+
+/**
+ * Offline match threshold calibration.
+ *
+ *   npm run calibrate -- <dataset> [--target-far 0.001] [--step 0.01] [--models public/models] [--json] [--out report.json]
+ *
+ * <dataset> holds one subfolder per person with that person's face images
+ * (JPEG, PNG, BMP or GIF). Descriptors are computed with the browser's own
+ * models and detector options (see server/faceDetection.js); images without
+ * exactly one face are skipped. Then every pair of images is scored:
+ *
+ *   genuine pairs    both images show the same person
+ *   impostor pairs   the images show different people
+ *
+ * Thresholds are on similarity (1 - distance), like matchThreshold in /api/config:
+ *
+ *   FAR(t)  share of impostor pairs with similarity >= t (wrongly accepted)
+ *   FRR(t)  share of genuine pairs with similarity < t (wrongly rejected)
+ *   EER     the rate where FAR and FRR cross
+ *
+ * The recommended threshold is the lowest one whose FAR stays within
+ * --target-far (fewest rejected students at that security level), or the EER
+ * threshold when no threshold reaches the target.
+ */
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.bmp', '.gif'];
+const HISTOGRAM_BIN = 0.05; // distance histogram bucket width
+const DEFAULT_TARGET_FAR = 0.001;
+const DEFAULT_STEP = 0.01;
+
+/**
+ * Lists the dataset: one entry per person subfolder, with its image files.
+ * @returns {Promise<Object[]>} [{ person, files: [absolute path] }], sorted by name
+ */
+export const readDataset = async (datasetDir) => {
+  const entries = await fs.promises.readdir(datasetDir, { withFileTypes: true });
+  const people = [];
+  for (const entry of entries.filter((e) => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const personDir = path.join(datasetDir, entry.name);
+    const files = (await fs.promises.readdir(personDir))
+      .filter((file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort()
+      .map((file) => path.join(personDir, file));
+    if (files.length > 0) people.push({ person: entry.name, files });
+  }
+  return people;
+};
+
+/**
+ * Computes one descriptor per image. Images without exactly one face are skipped.
+ * @returns {Promise<Object>} { samples: [{ person, file, descriptor }], skipped: [{ person, file, reason }] }
+ */
+const computeSamples = async (people, { onProgress } = {}) => {
+  const samples = [];
+  const skipped = [];
+  for (const { person, files } of people) {
+    for (const file of files) {
+      try {
+        const { faceCount, descriptor } = await analyzeFaces(await fs.promises.readFile(file));
+        if (descriptor) samples.push({ person, file, descriptor });
+        else skipped.push({ person, file, reason: faceCount === 0 ? 'No face found' : `${faceCount} faces found` });
+      } catch (err) {
+        if (err.code !== INVALID_IMAGE) throw err;
+        skipped.push({ person, file, reason: err.message });
+      }
+      if (onProgress) onProgress(samples.length + skipped.length);
+    }
+  }
+  return { samples, skipped };
+};
+
+/**
+ * Scores every pair of samples.
+ * @returns {Object} { genuine: [similarity], impostor: [similarity] }
+ */
+export const scorePairs = (samples) => {
+  const genuine = [];
+  const impostor = [];
+  for (let i = 0; i < samples.length; i++) {
+    for (let j = i + 1; j < samples.length; j++) {
+      const similarity = faceSimilarity(samples[i].descriptor, samples[j].descriptor);
+      (samples[i].person === samples[j].person ? genuine : impostor).push(similarity);
+    }
+  }
+  return { genuine, impostor };
+};
+
+const round = (value, digits = 4) => (value == null ? null : Number(value.toFixed(digits)));
+
+/** Value at quantile q (0-1) of an ascending list. */
+const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+
+/**
+ * Summarizes a list of similarities as a distance (1 - similarity) distribution.
+ * Note that faceSimilarity clamps at 0, so distances above 1 are reported as 1.
+ */
+export const describeDistances = (similarities) => {
+  const distances = similarities.map((similarity) => 1 - similarity).sort((a, b) => a - b);
+  const binCount = Math.round(1 / HISTOGRAM_BIN);
+  const histogram = Array.from({ length: binCount }, (_, i) => ({
+    from: round(i * HISTOGRAM_BIN, 2),
+    to: round((i + 1) * HISTOGRAM_BIN, 2),
+    count: 0
+  }));
+  for (const distance of distances) {
+    histogram[Math.min(binCount - 1, Math.floor(distance / HISTOGRAM_BIN))].count++;
+  }
+
+  if (distances.length === 0) {
+    return { count: 0, min: null, max: null, mean: null, p05: null, median: null, p95: null, histogram };
+  }
+  return {
+    count: distances.length,
+    min: round(distances[0]),
+    max: round(distances[distances.length - 1]),
+    mean: round(distances.reduce((sum, distance) => sum + distance, 0) / distances.length),
+    p05: round(quantile(distances, 0.05)),
+    median: round(quantile(distances, 0.5)),
+    p95: round(quantile(distances, 0.95)),
+    histogram
+  };
+};
+
+/** FAR and FRR of one similarity threshold. */
+export const errorRates = ({ genuine, impostor }, threshold) => ({
+  threshold: round(threshold),
+  far: impostor.filter((similarity) => similarity >= threshold).length / impostor.length,
+  frr: genuine.filter((similarity) => similarity < threshold).length / genuine.length
+});
+
+/**
+ * Sweeps similarity thresholds from 0 to 1 and derives the EER and the recommendation.
+ * @param {Object} scores - from scorePairs(); both lists must be non-empty
+ * @param {Object} options - { step, targetFar }
+ * @returns {Object} { curve: [{ threshold, far, frr }], eer, recommended }
+ */
+export const sweepThresholds = (scores, { step = DEFAULT_STEP, targetFar = DEFAULT_TARGET_FAR } = {}) => {
+  const curve = [];
+  for (let i = 0; i * step <= 1 + 1e-9; i++) {
+    curve.push(errorRates(scores, Math.min(1, i * step)));
+  }
+
+  // FAR falls and FRR rises with the threshold; the EER is where they are closest
+  const eerPoint = curve.reduce((best, point) =>
+    Math.abs(point.far - point.frr) < Math.abs(best.far - best.frr) ? point : best
+  );
+  const eer = { ...eerPoint, rate: (eerPoint.far + eerPoint.frr) / 2 };
+
+  const withinTarget = curve.find((point) => point.far <= targetFar);
+  const recommended = withinTarget
+    ? { ...withinTarget, basis: 'target_far' }
+    : { ...eerPoint, basis: 'eer' };
+
+  return { curve, eer, recommended };
+};
+
+const percent = (rate) => `${(rate * 100).toFixed(2)}%`;
+
+/** Human-readable report for the terminal. */
+const printReport = (report) => {
+  const { dataset, pairs, distances, eer, current, recommended } = report;
+  console.log(`Calibration of ${dataset.path} (${report.modelVersion})`);
+  console.log(`  people: ${dataset.people}, images: ${dataset.images} (${dataset.skipped.length} skipped)`);
+  for (const { file, reason } of dataset.skipped) console.log(`    skipped ${file}: ${reason}`);
+  console.log(`  genuine pairs: ${pairs.genuine}, impostor pairs: ${pairs.impostor}`);
+
+  console.log('\nDistance distribution     genuine   impostor');
+  distances.genuine.histogram.forEach(({ from, to, count }, i) => {
+    const impostorCount = distances.impostor.histogram[i].count;
+    if (count === 0 && impostorCount === 0) return;
+    console.log(`  ${from.toFixed(2)}-${to.toFixed(2)}       ${String(count).padStart(10)} ${String(impostorCount).padStart(10)}`);
+  });
+  for (const kind of ['genuine', 'impostor']) {
+    const { mean, p05, median, p95 } = distances[kind];
+    console.log(`  ${kind.padEnd(9)} mean ${mean}, p5 ${p05}, median ${median}, p95 ${p95}`);
+  }
+
+  console.log(`\nEER: ${percent(eer.rate)} at matchThreshold ${eer.threshold}`);
+  console.log(`Current matchThreshold ${current.threshold}: FAR ${percent(current.far)}, FRR ${percent(current.frr)}`);
+  const basis = recommended.basis === 'target_far'
+    ? `lowest threshold with FAR <= ${percent(report.options.targetFar)}`
+    : `no threshold reaches FAR <= ${percent(report.options.targetFar)}, using the EER threshold`;
+  console.log(`Recommended matchThreshold: ${recommended.threshold} (FAR ${percent(recommended.far)}, FRR ${percent(recommended.frr)}; ${basis})`);
+};
+
+/**
+ * Runs the whole calibration.
+ * @returns {Promise<Object>} the JSON report
+ */
+export const calibrate = async (datasetDir, { modelsDir = MODELS_DIR, step = DEFAULT_STEP, targetFar = DEFAULT_TARGET_FAR, onProgress } = {}) => {
+  const people = await readDataset(datasetDir);
+  if (people.length < 2) throw new Error('The dataset needs at least two person folders with images');
+
+  await loadFacePipeline(modelsDir);
+  const { samples, skipped } = await computeSamples(people, { onProgress });
+  const scores = scorePairs(samples);
+  if (scores.genuine.length === 0) throw new Error('No genuine pairs - every person needs at least two usable images');
+  if (scores.impostor.length === 0) throw new Error('No impostor pairs - at least two people need a usable image');
+
+  const { curve, eer, recommended } = sweepThresholds(scores, { step, targetFar });
+  const roundRates = ({ far, frr, ...rest }) => ({ ...rest, far: round(far), frr: round(frr) });
+
+  return {
+    createdAt: new Date().toISOString(),
+    modelVersion: FACE_MODEL_VERSION,
+    detectorOptions: DETECTOR_OPTIONS,
+    options: { step, targetFar },
+    dataset: {
+      path: datasetDir,
+      people: people.length,
+      images: people.reduce((sum, { files }) => sum + files.length, 0),
+      skipped: skipped.map(({ file, reason }) => ({ file: path.relative(datasetDir, file), reason }))
+    },
+    pairs: { genuine: scores.genuine.length, impostor: scores.impostor.length },
+    distances: { genuine: describeDistances(scores.genuine), impostor: describeDistances(scores.impostor) },
+    eer: { ...roundRates(eer), rate: round(eer.rate) },
+    current: roundRates(errorRates(scores, CONFIG_DEFAULTS.matchThreshold)),
+    recommended: roundRates(recommended),
+    curve: curve.map(roundRates)
+  };
+};
+
+// `node calibrate.js <dataset>` prints the report; --json prints it as JSON, --out also saves it
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      models: { type: 'string', default: MODELS_DIR },
+      step: { type: 'string', default: String(DEFAULT_STEP) },
+      'target-far': { type: 'string', default: String(DEFAULT_TARGET_FAR) },
+      json: { type: 'boolean', default: false },
+      out: { type: 'string' }
+    }
+  });
+  const step = Number(values.step);
+  const targetFar = Number(values['target-far']);
+
+  if (positionals.length !== 1) {
+    console.error('Usage: node calibrate.js <dataset> [--target-far 0.001] [--step 0.01] [--models public/models] [--json] [--out report.json]');
+    process.exitCode = 1;
+  } else if (!(step > 0 && step <= 0.5) || !(targetFar >= 0 && targetFar <= 1)) {
+    console.error('--step must be in (0, 0.5] and --target-far in [0, 1]');
+    process.exitCode = 1;
+  } else {
+    try {
+      const report = await calibrate(positionals[0], {
+        modelsDir: values.models,
+        step,
+        targetFar,
+        onProgress: values.json ? null : (done) => process.stderr.write(`\rProcessed ${done} images`)
+      });
+      if (!values.json) process.stderr.write('\n');
+
+      if (values.out) await fs.promises.writeFile(values.out, `${JSON.stringify(report, null, 2)}\n`);
+      if (values.json) console.log(JSON.stringify(report, null, 2));
+      else printReport(report);
+    } catch (err) {
+      console.error('Calibration failed:', err.message);
+      process.exitCode = 1;
+    }
+  }
+}
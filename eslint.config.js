@@ -35,4 +35,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['backend.js', 'download-models.js', 'calibrate.js', 'server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
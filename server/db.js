@@ -0,0 +1,40 @@
+// server/db.js
+import pg from 'pg';
+
+// Postgres SQLSTATE codes the models and routes translate into HTTP errors
+export const PG_ERRORS = {
+  UNIQUE_VIOLATION: '23505',
+  FOREIGN_KEY_VIOLATION: '23503'
+};
+
+/**
+ * Creates the PostgreSQL connection pool used by the backend.
+ *
+ * Connection settings come from DATABASE_URL, falling back to the standard
+ * PG* environment variables node-postgres reads on its own. Anything that
+ * exposes a pg-compatible `query()` / `connect()` (for example a pg-mem
+ * adapter) can be handed to createApp() instead, which is how the API can be
+ * exercised without a running Postgres server.
+ */
+export const createPool = (connectionString = process.env.DATABASE_URL) => {
+  return new pg.Pool(connectionString ? { connectionString } : {});
+};
+
+/**
+ * Runs `fn` inside a transaction on a dedicated client.
+ * Commits when `fn` resolves, rolls back and rethrows when it rejects.
+ */
+export const withTransaction = async (db, fn) => {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
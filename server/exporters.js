@@ -0,0 +1,139 @@
+// server/exporters.js
+import { once } from 'events';
+import QueryStream from 'pg-query-stream';
+import ExcelJS from 'exceljs';
+
+// Rows fetched from Postgres per round trip while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+// Column order and headers shared by every format
+export const EXPORT_COLUMNS = [
+  { key: 'studentId', header: 'Student ID', width: 14 },
+  { key: 'name', header: 'Name', width: 28 },
+  { key: 'department', header: 'Department', width: 18 },
+  { key: 'year', header: 'Year', width: 12 },
+  { key: 'email', header: 'Email', width: 30 },
+  { key: 'sectionId', header: 'Section', width: 14 },
+  { key: 'status', header: 'Status', width: 10 },
+  { key: 'similarity', header: 'Similarity', width: 12 },
+  { key: 'confidence', header: 'Detector Confidence', width: 20 },
+  { key: 'nameScore', header: 'Card Name Match', width: 16 },
+  { key: 'nameFlagged', header: 'Name Flagged', width: 14 },
+  { key: 'inputMethod', header: 'ID Input', width: 10 },
+  { key: 'recordedAt', header: 'Recorded At', width: 26 }
+];
+
+const toExportRow = (row) => ({
+  studentId: row.student_id,
+  name: row.name,
+  department: row.department,
+  year: row.year,
+  email: row.email,
+  sectionId: row.section_id,
+  status: row.status,
+  similarity: row.similarity,
+  confidence: row.confidence,
+  nameScore: row.name_score,
+  nameFlagged: row.name_flagged,
+  inputMethod: row.input_method,
+  recordedAt: row.recorded_at instanceof Date ? row.recorded_at.toISOString() : row.recorded_at
+});
+
+/**
+ * Quotes a CSV field when needed. Values that a spreadsheet would evaluate
+ * as a formula (leading =, +, -, @) are prefixed with a quote character.
+ */
+const csvField = (value) => {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes a chunk, waiting for the response to drain when its buffer is full.
+ * A response that closes instead never drains, so the wait also ends on
+ * 'close' and the export is abandoned rather than left holding its client.
+ */
+const write = async (res, chunk) => {
+  if (res.destroyed) throw new Error('Response closed during export');
+  if (res.write(chunk)) return;
+
+  const settled = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: settled.signal }),
+      once(res, 'close', { signal: settled.signal })
+    ]);
+  } finally {
+    settled.abort();
+  }
+  if (res.destroyed) throw new Error('Response closed during export');
+};
+
+const writeCsv = async (rows, res) => {
+  await write(res, EXPORT_COLUMNS.map((column) => csvField(column.header)).join(',') + '\r\n');
+  for await (const row of rows) {
+    const record = toExportRow(row);
+    await write(res, EXPORT_COLUMNS.map((column) => csvField(record[column.key])).join(',') + '\r\n');
+  }
+  res.end();
+};
+
+const writeJson = async (rows, res) => {
+  await write(res, '[');
+  let first = true;
+  for await (const row of rows) {
+    await write(res, (first ? '\n' : ',\n') + JSON.stringify(toExportRow(row)));
+    first = false;
+  }
+  res.end(first ? ']' : '\n]');
+};
+
+const writeXlsx = async (rows, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Attendance');
+  sheet.columns = EXPORT_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    sheet.addRow(toExportRow(row)).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+const WRITERS = { csv: writeCsv, json: writeJson, xlsx: writeXlsx };
+
+/**
+ * Streams the result of `query` ({ text, values }) to an HTTP response in
+ * the given format. Rows are read through a server-side cursor, so memory
+ * use stays flat however large the date range is.
+ */
+export const streamExport = async (db, query, format, res, filename) => {
+  const client = await db.connect();
+  const rows = client.query(new QueryStream(query.text, query.values, { batchSize: EXPORT_BATCH_SIZE }));
+
+  // Stop reading from the database if the client goes away mid-download
+  const abort = () => rows.destroy();
+  res.once('close', abort);
+
+  try {
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${EXPORT_FORMATS[format].extension}"`);
+    await WRITERS[format](rows, res);
+  } finally {
+    res.off('close', abort);
+    client.release();
+  }
+};
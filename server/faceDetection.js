@@ -0,0 +1,72 @@
+// server/faceDetection.js
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The weights the browser loads from /models
+export const MODELS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'models');
+
+// Error code for image bytes that cannot be decoded (as opposed to a pipeline that failed to load)
+export const INVALID_IMAGE = 'INVALID_IMAGE';
+
+let pipelinePromise = null;
+
+/**
+ * Loads the browser's face pipeline in Node: @tensorflow/tfjs-node, face-api,
+ * the shared detector settings in src/services/faceApi.js and the weights in
+ * `modelsDir`. Everything is imported on first use, so the backend starts
+ * without the native TensorFlow binding until a feature needs face detection.
+ * The first call decides the models directory; a failed load is not cached.
+ */
+export const loadFacePipeline = (modelsDir = MODELS_DIR) => {
+  if (!pipelinePromise) {
+    pipelinePromise = (async () => {
+      const tf = await import('@tensorflow/tfjs-node');
+      const faceapi = await import('@vladmandic/face-api');
+      const { createDetectorOptions, FACE_MODEL_VERSION } = await import('../src/services/faceApi.js');
+
+      // the same three networks as loadFaceModels() in the browser
+      await faceapi.nets.tinyFaceDetector.loadFromDisk(modelsDir);
+      await faceapi.nets.faceLandmark68Net.loadFromDisk(modelsDir);
+      await faceapi.nets.faceRecognitionNet.loadFromDisk(modelsDir);
+      return { tf, faceapi, createDetectorOptions, modelVersion: FACE_MODEL_VERSION };
+    })().catch((err) => {
+      pipelinePromise = null;
+      throw err;
+    });
+  }
+  return pipelinePromise;
+};
+
+/**
+ * Finds every face in an encoded image (JPEG, PNG, BMP or GIF) with the
+ * browser's detector options.
+ * @returns {Promise<Object>} { faceCount, descriptor, modelVersion } - descriptor
+ *   (128 numbers) is only set when exactly one face was found
+ * @throws an error with code INVALID_IMAGE when the image cannot be decoded
+ */
+export const analyzeFaces = async (buffer) => {
+  const { tf, faceapi, createDetectorOptions, modelVersion } = await loadFacePipeline();
+
+  let image;
+  try {
+    image = tf.node.decodeImage(buffer, 3);
+  } catch (err) {
+    const decodeError = new Error(`Cannot decode image: ${err.message}`);
+    decodeError.code = INVALID_IMAGE;
+    throw decodeError;
+  }
+
+  try {
+    const detections = await faceapi
+      .detectAllFaces(image, createDetectorOptions())
+      .withFaceLandmarks()
+      .withFaceDescriptors();
+    return {
+      faceCount: detections.length,
+      descriptor: detections.length === 1 ? Array.from(detections[0].descriptor) : null,
+      modelVersion
+    };
+  } finally {
+    image.dispose();
+  }
+};
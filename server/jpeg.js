@@ -0,0 +1,30 @@
+// server/jpeg.js
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const JPEG_DATA_URL = /^data:image\/jpeg;base64,([A-Za-z0-9+/]+=*)$/;
+
+// Every JPEG starts with the SOI marker followed by another marker byte
+export const isJpeg = (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+
+/**
+ * Decodes a `data:image/jpeg;base64,...` URL as sent by the kiosk.
+ * @returns {Buffer|null} the JPEG bytes, or null if the value is not a JPEG data URL
+ */
+export const decodeJpegDataUrl = (dataUrl) => {
+  const match = JPEG_DATA_URL.exec(dataUrl);
+  if (!match) return null;
+  const buffer = Buffer.from(match[1], 'base64');
+  return isJpeg(buffer) ? buffer : null;
+};
+
+/**
+ * Writes a JPEG under a random name, optionally prefixed (e.g. with a student id).
+ * @returns {Promise<string>} the file name (relative to `dir`)
+ */
+export const saveJpeg = async (dir, buffer, prefix = '') => {
+  const filename = `${prefix}${randomUUID()}.jpg`;
+  await fs.promises.writeFile(path.join(dir, filename), buffer);
+  return filename;
+};
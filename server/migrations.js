@@ -0,0 +1,188 @@
+// server/migrations.js
+import { withTransaction } from './db.js';
+
+/**
+ * Ordered schema migrations. Each entry runs once, inside a transaction,
+ * and is recorded in schema_migrations. Never edit an applied migration;
+ * append a new one instead.
+ */
+export const MIGRATIONS = [
+  {
+    id: '001_create_students',
+    up: `
+      CREATE TABLE students (
+        id          TEXT PRIMARY KEY,
+        name        TEXT NOT NULL,
+        department  TEXT,
+        year        TEXT,
+        face_image  TEXT NOT NULL,
+        email       TEXT,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX students_department_idx ON students (department);
+    `
+  },
+  {
+    id: '002_create_attendance',
+    up: `
+      CREATE TABLE attendance (
+        id           SERIAL PRIMARY KEY,
+        student_id   TEXT NOT NULL REFERENCES students (id),
+        similarity   REAL NOT NULL,
+        confidence   REAL,
+        recorded_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX attendance_recorded_at_idx ON attendance (recorded_at);
+      CREATE INDEX attendance_student_id_idx ON attendance (student_id);
+    `
+  },
+  {
+    id: '003_create_class_sessions',
+    up: `
+      CREATE TABLE sections (
+        id          TEXT PRIMARY KEY,
+        name        TEXT NOT NULL,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE TABLE section_enrollments (
+        section_id  TEXT NOT NULL REFERENCES sections (id) ON DELETE CASCADE,
+        student_id  TEXT NOT NULL REFERENCES students (id) ON DELETE CASCADE,
+        PRIMARY KEY (section_id, student_id)
+      );
+      CREATE TABLE class_sessions (
+        id             SERIAL PRIMARY KEY,
+        section_id     TEXT NOT NULL REFERENCES sections (id),
+        kiosk_id       TEXT NOT NULL,
+        starts_at      TIMESTAMPTZ NOT NULL,
+        ends_at        TIMESTAMPTZ NOT NULL,
+        grace_minutes  INTEGER NOT NULL DEFAULT 10,
+        closed_at      TIMESTAMPTZ,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+        CHECK (ends_at > starts_at)
+      );
+      CREATE INDEX class_sessions_kiosk_idx ON class_sessions (kiosk_id, starts_at);
+
+      -- absent records are created without a verification, so the score becomes optional
+      ALTER TABLE attendance ALTER COLUMN similarity DROP NOT NULL;
+      ALTER TABLE attendance ADD COLUMN kiosk_id TEXT;
+      ALTER TABLE attendance ADD COLUMN session_id INTEGER REFERENCES class_sessions (id);
+      ALTER TABLE attendance ADD COLUMN status TEXT CHECK (status IS NULL OR status IN ('present', 'late', 'absent'));
+      CREATE UNIQUE INDEX attendance_session_student_idx ON attendance (session_id, student_id);
+    `
+  },
+  {
+    id: '004_create_failed_attempts',
+    up: `
+      CREATE TABLE failed_attempts (
+        id                 SERIAL PRIMARY KEY,
+        outcome            TEXT NOT NULL,
+        attempted_id       TEXT,
+        ocr_digits         TEXT,
+        similarity_scores  JSONB NOT NULL DEFAULT '[]',
+        reason             TEXT,
+        kiosk_id           TEXT,
+        snapshot_file      TEXT,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX failed_attempts_created_at_idx ON failed_attempts (created_at);
+      CREATE INDEX failed_attempts_attempted_id_idx ON failed_attempts (attempted_id);
+    `
+  },
+  {
+    id: '005_create_student_photos',
+    up: `
+      CREATE TABLE student_photos (
+        id          SERIAL PRIMARY KEY,
+        student_id  TEXT NOT NULL REFERENCES students (id) ON DELETE CASCADE,
+        file        TEXT NOT NULL,
+        pose        TEXT,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX student_photos_student_id_idx ON student_photos (student_id);
+    `
+  },
+  {
+    id: '006_create_face_descriptors',
+    up: `
+      -- one descriptor per reference image (faceImage or gallery photo), tagged with
+      -- the client model version that produced it so stale ones can be recomputed
+      CREATE TABLE face_descriptors (
+        student_id     TEXT NOT NULL REFERENCES students (id) ON DELETE CASCADE,
+        image_url      TEXT NOT NULL,
+        model_version  TEXT NOT NULL,
+        descriptor     JSONB NOT NULL,
+        computed_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (student_id, image_url)
+      );
+    `
+  },
+  {
+    id: '007_add_failed_attempts_matched_id',
+    up: `
+      -- identity mismatches: the enrolled student the face actually matched
+      ALTER TABLE failed_attempts ADD COLUMN matched_id TEXT;
+      ALTER TABLE failed_attempts ADD COLUMN matched_similarity REAL;
+      CREATE INDEX failed_attempts_matched_id_idx ON failed_attempts (matched_id);
+    `
+  },
+  {
+    id: '008_create_kiosk_config',
+    up: `
+      -- per-kiosk overrides of the defaults in server/models/kioskConfig.js
+      CREATE TABLE kiosk_config (
+        kiosk_id    TEXT PRIMARY KEY,
+        overrides   JSONB NOT NULL DEFAULT '{}',
+        updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `
+  },
+  {
+    id: '009_add_attendance_name_check',
+    up: `
+      -- how well the name read from the id card matched the registry (null = not checked),
+      -- and whether it fell below the kiosk's nameMatchThreshold
+      ALTER TABLE attendance ADD COLUMN name_score REAL;
+      ALTER TABLE attendance ADD COLUMN name_flagged BOOLEAN NOT NULL DEFAULT false;
+    `
+  },
+  {
+    id: '010_add_id_input_method',
+    up: `
+      -- how the student id was entered at the kiosk: barcode, ocr, keypad or wedge
+      -- (null for face-only kiosks and records from before this migration)
+      ALTER TABLE attendance ADD COLUMN input_method TEXT;
+      ALTER TABLE failed_attempts ADD COLUMN input_method TEXT;
+    `
+  }
+];
+
+/** Applies every migration that has not been recorded yet. */
+export const runMigrations = async (db) => {
+  // Checked through information_schema rather than CREATE TABLE IF NOT EXISTS
+  // so in-process stand-ins such as pg-mem handle repeated runs too
+  const { rows: existing } = await db.query(
+    `SELECT 1 FROM information_schema.tables WHERE table_name = 'schema_migrations'`
+  );
+  if (existing.length === 0) {
+    await db.query(`
+      CREATE TABLE schema_migrations (
+        id          TEXT PRIMARY KEY,
+        applied_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+  }
+
+  const { rows } = await db.query('SELECT id FROM schema_migrations');
+  const applied = new Set(rows.map((row) => row.id));
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.id)) continue;
+
+    await withTransaction(db, async (client) => {
+      await client.query(migration.up);
+      await client.query('INSERT INTO schema_migrations (id) VALUES ($1)', [migration.id]);
+    });
+    console.log(`Applied migration: ${migration.id}`);
+  }
+};
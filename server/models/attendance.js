@@ -0,0 +1,262 @@
+// server/models/attendance.js
+import { PG_ERRORS } from '../db.js';
+import { checkInStatus, findActiveSession } from './sessions.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * True for a YYYY-MM-DD string naming a real day. Date rolls impossible days
+ * over (2024-02-30 becomes March 1st), so the day must survive a round trip.
+ */
+export const isCalendarDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// How a kiosk got the student id: decoded barcode, camera ocr, on-screen keypad,
+// or a keyboard-wedge badge / rfid reader (useIDScannerLogic on the client)
+export const ID_INPUT_METHODS = ['barcode', 'ocr', 'keypad', 'wedge'];
+
+/** Maps an attendance row (joined with students and sessions) to the API shape. */
+export const toAttendance = (row) => ({
+  id: row.id,
+  studentId: row.student_id,
+  name: row.name,
+  department: row.department,
+  similarity: row.similarity,
+  confidence: row.confidence,
+  nameScore: row.name_score,
+  nameFlagged: row.name_flagged,
+  inputMethod: row.input_method,
+  kioskId: row.kiosk_id,
+  sessionId: row.session_id,
+  sectionId: row.section_id,
+  status: row.status,
+  recordedAt: row.recorded_at
+});
+
+const ATTENDANCE_SELECT = `
+  SELECT a.*, s.name, s.department, cs.section_id
+  FROM attendance a
+  JOIN students s ON s.id = a.student_id
+  LEFT JOIN class_sessions cs ON cs.id = a.session_id
+`;
+
+const isScore = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * Validates a check-in payload from the kiosk.
+ * The timestamp is never taken from the client; the database assigns it.
+ * @returns {string|null} error message, or null when the payload is valid
+ */
+export const validateAttendance = (data) => {
+  if (!data || typeof data !== 'object') return 'Request body must be a JSON object';
+  if (typeof data.studentId !== 'string' || data.studentId.trim() === '') {
+    return 'Missing required field: studentId';
+  }
+  if (!isScore(data.similarity)) return 'similarity must be a number between 0 and 1';
+  if (data.confidence != null && !isScore(data.confidence)) {
+    return 'confidence must be a number between 0 and 1';
+  }
+  if (data.nameScore != null && !isScore(data.nameScore)) {
+    return 'nameScore must be a number between 0 and 1';
+  }
+  if (data.nameFlagged != null && typeof data.nameFlagged !== 'boolean') return 'nameFlagged must be true or false';
+  if (data.inputMethod != null && !ID_INPUT_METHODS.includes(data.inputMethod)) {
+    return `inputMethod must be one of: ${ID_INPUT_METHODS.join(', ')}`;
+  }
+  if (data.kioskId != null && typeof data.kioskId !== 'string') return 'kioskId must be a string';
+  return null;
+};
+
+/**
+ * Validates list/export filters taken from the query string.
+ * @returns {string|null} error message, or null when the filters are valid
+ */
+export const validateAttendanceFilters = (filters = {}) => {
+  for (const field of ['date', 'from', 'to']) {
+    if (filters[field] != null && !isCalendarDate(filters[field])) {
+      return `${field} must be a date formatted as YYYY-MM-DD`;
+    }
+  }
+  if (filters.from && filters.to && filters.from > filters.to) return 'from must not be after to';
+  return null;
+};
+
+/** Returns the YYYY-MM-DD day after `day` (used as an exclusive upper bound). */
+const nextDay = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Builds the WHERE clause shared by listing and export.
+ * `date` matches a single day; `from` / `to` are an inclusive day range.
+ * @returns {{ where: string, params: Array }}
+ */
+const buildAttendanceFilters = ({ date, from, to, studentId, department } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (date) {
+    params.push(date);
+    conditions.push(`a.recorded_at::date = $${params.length}::date`);
+  }
+  // Range bounds compare the raw timestamp (not recorded_at::date) so the index can be used
+  if (from) {
+    params.push(from);
+    conditions.push(`a.recorded_at >= $${params.length}::timestamptz`);
+  }
+  if (to) {
+    params.push(nextDay(to));
+    conditions.push(`a.recorded_at < $${params.length}::timestamptz`);
+  }
+  if (studentId) {
+    params.push(studentId);
+    conditions.push(`a.student_id = $${params.length}`);
+  }
+  if (department) {
+    params.push(department);
+    conditions.push(`s.department = $${params.length}`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * Stores a check-in. When the kiosk has an open session the student is
+ * enrolled in, the record is attached to it and marked present or late;
+ * a repeat check-in for the same session returns the first record.
+ * @returns {Promise<Object|null>} the record, or null when the student is not registered
+ */
+export const recordAttendance = async (db, data) => {
+  const { rows: students } = await db.query('SELECT id FROM students WHERE id = $1', [data.studentId]);
+  if (!students[0]) return null;
+
+  const recordedAt = new Date();
+  const session = data.kioskId
+    ? await findActiveSession(db, data.kioskId, data.studentId, recordedAt)
+    : null;
+
+  if (session) {
+    const existing = await findSessionRecord(db, session.id, data.studentId);
+    if (existing) return existing;
+  }
+
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO attendance
+         (student_id, similarity, confidence, name_score, name_flagged, input_method, kiosk_id, session_id, status, recorded_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        data.studentId,
+        data.similarity,
+        data.confidence ?? null,
+        data.nameScore ?? null,
+        data.nameFlagged ?? false,
+        data.inputMethod ?? null,
+        data.kioskId ?? null,
+        session?.id ?? null,
+        session ? checkInStatus(session, recordedAt) : null,
+        recordedAt
+      ]
+    );
+    return getAttendance(db, rows[0].id);
+  } catch (err) {
+    // Two kiosk requests raced for the same session slot; the first one wins
+    if (session && err.code === PG_ERRORS.UNIQUE_VIOLATION) {
+      return findSessionRecord(db, session.id, data.studentId);
+    }
+    throw err;
+  }
+};
+
+const findSessionRecord = async (db, sessionId, studentId) => {
+  const { rows } = await db.query(
+    `${ATTENDANCE_SELECT} WHERE a.session_id = $1 AND a.student_id = $2`,
+    [sessionId, studentId]
+  );
+  return rows[0] ? toAttendance(rows[0]) : null;
+};
+
+/** Returns one attendance record with its student fields, or null. */
+export const getAttendance = async (db, id) => {
+  const { rows } = await db.query(`${ATTENDANCE_SELECT} WHERE a.id = $1`, [id]);
+  return rows[0] ? toAttendance(rows[0]) : null;
+};
+
+/**
+ * Lists attendance records, newest first.
+ * @param {Object} filters - { date: 'YYYY-MM-DD', from, to, studentId, department }
+ */
+export const listAttendance = async (db, filters = {}) => {
+  const { where, params } = buildAttendanceFilters(filters);
+  const { rows } = await db.query(
+    `${ATTENDANCE_SELECT}
+     ${where}
+     ORDER BY a.recorded_at DESC, a.id DESC`,
+    params
+  );
+  return rows.map(toAttendance);
+};
+
+/**
+ * SQL for the export stream: attendance joined with every registry field
+ * an export needs, oldest first so files read chronologically.
+ * @returns {{ text: string, values: Array }}
+ */
+export const attendanceExportQuery = (filters = {}) => {
+  const { where, params } = buildAttendanceFilters(filters);
+  return {
+    text: `SELECT a.id, a.student_id, s.name, s.department, s.year, s.email,
+                  cs.section_id, a.status, a.similarity, a.confidence, a.name_score, a.name_flagged, a.input_method, a.recorded_at
+           FROM attendance a
+           JOIN students s ON s.id = a.student_id
+           LEFT JOIN class_sessions cs ON cs.id = a.session_id
+           ${where}
+           ORDER BY a.recorded_at, a.id`,
+    values: params
+  };
+};
+
+// node-postgres parses DATE columns into a Date at local midnight; turn it back into YYYY-MM-DD
+const formatDay = (value) => {
+  if (!(value instanceof Date)) return String(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+/**
+ * Per-day counts for the admin dashboard, oldest day first.
+ * `checkIns` counts kiosk verifications (everything except absent records).
+ * @param {Object} filters - { from, to, department }
+ */
+export const getDailyAttendanceStats = async (db, filters = {}) => {
+  const { where, params } = buildAttendanceFilters(filters);
+  const { rows } = await db.query(
+    `SELECT a.recorded_at::date AS day,
+            SUM(CASE WHEN a.status IS NULL OR a.status <> 'absent' THEN 1 ELSE 0 END) AS check_ins,
+            SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END) AS present,
+            SUM(CASE WHEN a.status = 'late' THEN 1 ELSE 0 END) AS late,
+            SUM(CASE WHEN a.status = 'absent' THEN 1 ELSE 0 END) AS absent
+     FROM attendance a
+     JOIN students s ON s.id = a.student_id
+     ${where}
+     GROUP BY a.recorded_at::date
+     ORDER BY a.recorded_at::date`,
+    params
+  );
+  return rows.map((row) => ({
+    date: formatDay(row.day),
+    checkIns: Number(row.check_ins),
+    present: Number(row.present),
+    late: Number(row.late),
+    absent: Number(row.absent)
+  }));
+};
@@ -0,0 +1,99 @@
+// server/models/descriptors.js
+import { withTransaction } from '../db.js';
+
+// face-api descriptors are 128-dimensional
+export const DESCRIPTOR_LENGTH = 128;
+
+/** Maps a face_descriptors row to the API shape. */
+export const toFaceDescriptor = (row) => ({
+  imageUrl: row.image_url,
+  modelVersion: row.model_version,
+  descriptor: row.descriptor,
+  computedAt: row.computed_at
+});
+
+const isDescriptor = (value) =>
+  Array.isArray(value) &&
+  value.length === DESCRIPTOR_LENGTH &&
+  value.every((n) => typeof n === 'number' && Number.isFinite(n));
+
+/**
+ * Validates a descriptor upload: { modelVersion, descriptors: [{ imageUrl, descriptor }] }.
+ * Every imageUrl must be one of `imageUrls` (the student's faceImage and photos).
+ * @returns {string|null} error message, or null when the payload is valid
+ */
+export const validateFaceDescriptors = (data, imageUrls) => {
+  if (!data || typeof data !== 'object') return 'Request body must be a JSON object';
+  if (typeof data.modelVersion !== 'string' || data.modelVersion.trim() === '' || data.modelVersion.length > 100) {
+    return 'modelVersion must be a non-empty string';
+  }
+  if (!Array.isArray(data.descriptors) || data.descriptors.length === 0) {
+    return 'descriptors must be a non-empty array';
+  }
+  for (const entry of data.descriptors) {
+    if (!entry || !imageUrls.includes(entry.imageUrl)) {
+      return `imageUrl ${entry?.imageUrl} is not a reference image of this student`;
+    }
+    if (!isDescriptor(entry.descriptor)) {
+      return `descriptor must be an array of ${DESCRIPTOR_LENGTH} numbers`;
+    }
+  }
+  return null;
+};
+
+/** Lists the stored descriptors of a student. */
+export const listFaceDescriptors = async (db, studentId) => {
+  const { rows } = await db.query(
+    'SELECT * FROM face_descriptors WHERE student_id = $1 ORDER BY image_url',
+    [studentId]
+  );
+  return rows.map(toFaceDescriptor);
+};
+
+/** Stores (or replaces) descriptors for a student's reference images. */
+export const saveFaceDescriptors = async (db, studentId, modelVersion, descriptors) => {
+  return withTransaction(db, async (client) => {
+    const saved = [];
+    for (const { imageUrl, descriptor } of descriptors) {
+      const { rows } = await client.query(
+        `INSERT INTO face_descriptors (student_id, image_url, model_version, descriptor)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (student_id, image_url) DO UPDATE SET
+           model_version = EXCLUDED.model_version,
+           descriptor = EXCLUDED.descriptor,
+           computed_at = now()
+         RETURNING *`,
+        [studentId, imageUrl, modelVersion, JSON.stringify(descriptor)]
+      );
+      saved.push(toFaceDescriptor(rows[0]));
+    }
+    return saved;
+  });
+};
+
+/** Drops the descriptor of one reference image (e.g. after the photo was removed). */
+export const deleteFaceDescriptor = async (db, studentId, imageUrl) => {
+  await db.query(
+    'DELETE FROM face_descriptors WHERE student_id = $1 AND image_url = $2',
+    [studentId, imageUrl]
+  );
+};
+
+/**
+ * Lists every stored descriptor computed with `modelVersion`, for 1:N identification.
+ * @returns {Promise<Object[]>} [{ studentId, imageUrl, descriptor }]
+ */
+export const listDescriptorsByModel = async (db, modelVersion) => {
+  const { rows } = await db.query(
+    `SELECT student_id, image_url, descriptor
+     FROM face_descriptors
+     WHERE model_version = $1
+     ORDER BY student_id, image_url`,
+    [modelVersion]
+  );
+  return rows.map((row) => ({
+    studentId: row.student_id,
+    imageUrl: row.image_url,
+    descriptor: row.descriptor
+  }));
+};
@@ -0,0 +1,132 @@
+// server/models/failures.js
+import { ID_INPUT_METHODS, isCalendarDate } from './attendance.js';
+
+// Failure outcomes the kiosk reports; these match VERIFICATION_STATES on the client
+export const FAILURE_OUTCOMES = [
+  'failed_id', 'failed_face', 'failed_mismatch', 'failed_unrecognized', 'failed_liveness', 'failed_name',
+  'failed_system'
+];
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+
+/** Maps a failed_attempts row to the API shape. */
+export const toFailure = (row) => ({
+  id: row.id,
+  outcome: row.outcome,
+  attemptedId: row.attempted_id,
+  matchedId: row.matched_id,
+  matchedSimilarity: row.matched_similarity,
+  ocrDigits: row.ocr_digits,
+  inputMethod: row.input_method,
+  similarityScores: row.similarity_scores,
+  reason: row.reason,
+  kioskId: row.kiosk_id,
+  hasSnapshot: Boolean(row.snapshot_file),
+  createdAt: row.created_at
+});
+
+const isOptionalString = (value) => value == null || typeof value === 'string';
+
+/**
+ * Validates a failure report from the kiosk. The snapshot is checked
+ * separately when it is decoded (see server/jpeg.js).
+ * @returns {string|null} error message, or null when the payload is valid
+ */
+export const validateFailure = (data) => {
+  if (!data || typeof data !== 'object') return 'Request body must be a JSON object';
+  if (!FAILURE_OUTCOMES.includes(data.outcome)) {
+    return `outcome must be one of: ${FAILURE_OUTCOMES.join(', ')}`;
+  }
+  for (const field of ['attemptedId', 'matchedId', 'ocrDigits', 'reason', 'kioskId', 'snapshot']) {
+    if (!isOptionalString(data[field])) return `${field} must be a string`;
+  }
+  if (data.inputMethod != null && !ID_INPUT_METHODS.includes(data.inputMethod)) {
+    return `inputMethod must be one of: ${ID_INPUT_METHODS.join(', ')}`;
+  }
+  if (data.similarityScores != null) {
+    const valid = Array.isArray(data.similarityScores) &&
+      data.similarityScores.every((score) => typeof score === 'number' && score >= 0 && score <= 1);
+    if (!valid) return 'similarityScores must be an array of numbers between 0 and 1';
+  }
+  if (data.matchedSimilarity != null) {
+    const valid = typeof data.matchedSimilarity === 'number' && data.matchedSimilarity >= 0 && data.matchedSimilarity <= 1;
+    if (!valid) return 'matchedSimilarity must be a number between 0 and 1';
+  }
+  return null;
+};
+
+/**
+ * Validates list filters taken from the query string.
+ * @returns {string|null} error message, or null when the filters are valid
+ */
+export const validateFailureFilters = ({ outcome, date, limit } = {}) => {
+  if (outcome != null && !FAILURE_OUTCOMES.includes(outcome)) {
+    return `outcome must be one of: ${FAILURE_OUTCOMES.join(', ')}`;
+  }
+  if (date != null && !isCalendarDate(date)) return 'date must be a date formatted as YYYY-MM-DD';
+  if (limit != null && !/^\d+$/.test(limit)) return 'limit must be a positive integer';
+  return null;
+};
+
+/** Stores a failed attempt. `snapshotFile` is the evidence file name, if one was saved. */
+export const recordFailure = async (db, data, snapshotFile = null) => {
+  const { rows } = await db.query(
+    `INSERT INTO failed_attempts
+       (outcome, attempted_id, matched_id, matched_similarity, ocr_digits, input_method, similarity_scores, reason, kiosk_id, snapshot_file)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      data.outcome,
+      data.attemptedId ?? null,
+      data.matchedId ?? null,
+      data.matchedSimilarity ?? null,
+      data.ocrDigits ?? null,
+      data.inputMethod ?? null,
+      JSON.stringify(data.similarityScores ?? []),
+      data.reason ?? null,
+      data.kioskId ?? null,
+      snapshotFile
+    ]
+  );
+  return toFailure(rows[0]);
+};
+
+/** Returns the raw row (including snapshot_file), or null. */
+export const getFailureRow = async (db, id) => {
+  const { rows } = await db.query('SELECT * FROM failed_attempts WHERE id = $1', [id]);
+  return rows[0] || null;
+};
+
+/**
+ * Lists failed attempts, newest first.
+ * @param {Object} filters - { outcome, studentId (attempted or matched id), date: 'YYYY-MM-DD', limit }
+ */
+export const listFailures = async (db, { outcome, studentId, date, limit } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (outcome) {
+    params.push(outcome);
+    conditions.push(`outcome = $${params.length}`);
+  }
+  if (studentId) {
+    params.push(studentId);
+    conditions.push(`(attempted_id = $${params.length} OR matched_id = $${params.length})`);
+  }
+  if (date) {
+    params.push(date);
+    conditions.push(`created_at::date = $${params.length}::date`);
+  }
+
+  params.push(Math.min(Number(limit) || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT));
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { rows } = await db.query(
+    `SELECT * FROM failed_attempts
+     ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows.map(toFailure);
+};
@@ -0,0 +1,267 @@
+// server/models/kioskConfig.js
+
+/**
+ * Tunable kiosk settings. Every key has a default; a kiosk can override any of
+ * them (kiosk_config table), within the limits given here.
+ *
+ *   number / integer  { min, max }
+ *   boolean
+ *   string            { maxLength }
+ *   enum              { values } - exactly one of them
+ *   list              { values, minItems } - any subset, without duplicates, in the given order
+ *   idFormats         student id format rules (see validateIdFormats)
+ *   region            { x, y, width, height } - part of the card, as fractions of its size
+ */
+export const CONFIG_SCHEMA = {
+  // face verification (useFaceVerification)
+  matchThreshold: { type: 'number', min: 0, max: 1, default: 0.58 },
+  matchStrategy: { type: 'enum', values: ['best', 'centroid'], default: 'best' },
+  identifyThreshold: { type: 'number', min: 0, max: 1, default: 0.6 },
+  identifyMargin: { type: 'number', min: 0, max: 1, default: 0.08 },
+  mismatchThreshold: { type: 'number', min: 0, max: 1, default: 0.6 },   // identity mismatch (useVerificationFlow)
+  mismatchMargin: { type: 'number', min: 0, max: 1, default: 0.08 },
+  detectionInterval: { type: 'integer', min: 100, max: 10000, default: 1000 },
+  matchingThrottle: { type: 'integer', min: 0, max: 60000, default: 6000 },
+  maxFailedAttempts: { type: 'integer', min: 1, max: 20, default: 5 },
+  detectorInputSize: { type: 'enum', values: [128, 160, 224, 320, 416, 512, 608], default: 160 },
+  faceCameraWidth: { type: 'integer', min: 160, max: 3840, default: 640 },
+  faceCameraHeight: { type: 'integer', min: 120, max: 2160, default: 480 },
+
+  // liveness (useFaceVerification)
+  requireBlink: { type: 'boolean', default: true },
+  blinkTimeout: { type: 'integer', min: 1000, max: 60000, default: 8000 },
+  challengeTypes: { type: 'list', values: ['left', 'right', 'nod'], default: ['left', 'right', 'nod'] },
+  challengeLength: { type: 'integer', min: 1, max: 3, default: 2 },
+  challengeTimeout: { type: 'integer', min: 1000, max: 60000, default: 12000 },
+
+  // id scanning (useIDScannerLogic)
+  barcodeFormats: {
+    type: 'list',
+    values: ['code128', 'code39', 'qr', 'pdf417', 'datamatrix'],  // src/services/barcode.js
+    default: ['code128', 'qr']
+  },
+  barcodeIdField: { type: 'string', maxLength: 100, default: '' },
+  idFormats: {
+    type: 'idFormats',
+    default: [{ name: 'numeric', prefix: '', minLength: 7, maxLength: 8, pattern: null, checkDigit: null }]
+  },
+  ocrPreprocessing: {
+    type: 'list',
+    values: ['fixed', 'otsu', 'sauvola', 'niblack', 'contrast', 'sharpen'],  // src/services/ocrPreprocessing.js
+    minItems: 1,
+    default: ['sauvola', 'otsu', 'sharpen']
+  },
+  cardMinArea: { type: 'number', min: 0.02, max: 0.9, default: 0.1 },
+  cardAspectRatio: { type: 'number', min: 1, max: 2.5, default: 1.586 },  // ISO/IEC 7810 ID-1: 85.60 x 53.98 mm
+  idConsensusVotes: { type: 'integer', min: 1, max: 10, default: 3 },
+  idConsensusWindow: { type: 'integer', min: 1, max: 20, default: 5 },  // raised to idConsensusVotes if smaller
+  idCorrection: { type: 'boolean', default: true },
+  idCorrectionConfidence: { type: 'integer', min: 0, max: 100, default: 80 },
+  manualEntry: { type: 'boolean', default: true },
+  wedgeInput: { type: 'boolean', default: true },
+  wedgeMaxKeyGap: { type: 'integer', min: 10, max: 500, default: 50 },
+  nameCheck: { type: 'enum', values: ['off', 'flag', 'reject'], default: 'flag' },
+  nameMatchThreshold: { type: 'number', min: 0, max: 1, default: 0.6 },
+  nameRegion: { type: 'region', default: { x: 0, y: 0, width: 1, height: 1 } },  // whole card; narrow it to the name line
+  scanInterval: { type: 'integer', min: 200, max: 10000, default: 1000 },
+  idCameraWidth: { type: 'integer', min: 160, max: 3840, default: 1280 },
+  idCameraHeight: { type: 'integer', min: 120, max: 2160, default: 720 }
+};
+
+export const CONFIG_DEFAULTS = Object.fromEntries(
+  Object.entries(CONFIG_SCHEMA).map(([key, { default: value }]) => [key, value])
+);
+
+const MAX_KIOSK_ID_LENGTH = 100;
+
+// Check digit algorithms the kiosk implements (src/services/idFormats.js)
+export const CHECK_DIGIT_ALGORITHMS = ['luhn', 'mod11'];
+const ID_FORMAT_KEYS = ['name', 'prefix', 'minLength', 'maxLength', 'pattern', 'checkDigit'];
+const MAX_ID_FORMATS = 10;
+const MAX_ID_DIGITS = 20;
+const MAX_CHECK_WEIGHT = 100;
+const MAX_CHECK_MODULUS = 11;   // larger moduli give check values that are never a single digit
+
+/** @returns {boolean} true for { weights: [1-20 integers 0-100], modulus: 2-11 } */
+const isWeightedCheckDigit = (scheme) => {
+  if (!scheme || typeof scheme !== 'object' || Array.isArray(scheme)) return false;
+  if (Object.keys(scheme).some((key) => key !== 'weights' && key !== 'modulus')) return false;
+  const { weights, modulus } = scheme;
+  return Array.isArray(weights) && weights.length >= 1 && weights.length <= MAX_ID_DIGITS &&
+    weights.every((weight) => Number.isInteger(weight) && weight >= 0 && weight <= MAX_CHECK_WEIGHT) &&
+    Number.isInteger(modulus) && modulus >= 2 && modulus <= MAX_CHECK_MODULUS;
+};
+
+/**
+ * Validates student id format rules: a non-empty list of
+ *   { name, prefix, minLength, maxLength, pattern, checkDigit }
+ * where prefix is literal text the id starts with (uppercase letters, digits
+ * or dashes), minLength/maxLength count the digits after it, pattern is an
+ * optional regular expression the whole id must match (it is anchored at both
+ * ends when applied), and checkDigit names
+ * the algorithm that validates the last digit, is a custom weighted scheme
+ * { weights, modulus } (see src/services/idFormats.js), or is null.
+ * @returns {string|null} error message, or null when the formats are valid
+ */
+export const validateIdFormats = (formats) => {
+  if (!Array.isArray(formats) || formats.length === 0 || formats.length > MAX_ID_FORMATS) {
+    return `idFormats must be a list of 1 to ${MAX_ID_FORMATS} formats`;
+  }
+  for (const [i, format] of formats.entries()) {
+    const label = `idFormats[${i}]`;
+    if (!format || typeof format !== 'object' || Array.isArray(format)) return `${label} must be an object`;
+
+    const unknown = Object.keys(format).find((key) => !ID_FORMAT_KEYS.includes(key));
+    if (unknown) return `${label} has an unknown field: ${unknown}`;
+    if (format.name != null && (typeof format.name !== 'string' || format.name.length > 40)) {
+      return `${label}.name must be a string of up to 40 characters`;
+    }
+    if (format.prefix != null && (typeof format.prefix !== 'string' || !/^[A-Z0-9-]{0,10}$/.test(format.prefix))) {
+      return `${label}.prefix must be up to 10 uppercase letters, digits or dashes`;
+    }
+
+    const { minLength, maxLength } = format;
+    const isLength = (n) => Number.isInteger(n) && n >= 1 && n <= MAX_ID_DIGITS;
+    if (!isLength(minLength) || !isLength(maxLength) || minLength > maxLength) {
+      return `${label} needs minLength <= maxLength, both integers between 1 and ${MAX_ID_DIGITS}`;
+    }
+
+    if (format.pattern != null) {
+      if (typeof format.pattern !== 'string' || format.pattern.length > 200) {
+        return `${label}.pattern must be a regular expression of up to 200 characters`;
+      }
+      try {
+        new RegExp(`^(?:${format.pattern})$`);
+      } catch {
+        return `${label}.pattern is not a valid regular expression`;
+      }
+    }
+    const { checkDigit } = format;
+    if (checkDigit != null && !CHECK_DIGIT_ALGORITHMS.includes(checkDigit) && !isWeightedCheckDigit(checkDigit)) {
+      return `${label}.checkDigit must be one of: ${CHECK_DIGIT_ALGORITHMS.join(', ')}, ` +
+        `or { weights: [integers 0-${MAX_CHECK_WEIGHT}], modulus: 2-${MAX_CHECK_MODULUS} }`;
+    }
+  }
+  return null;
+};
+
+/** @returns {string|null} error message, or null when `region` lies within the card */
+const validateRegion = (key, region) => {
+  const isFraction = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0 && n <= 1;
+  const valid = region && typeof region === 'object' && !Array.isArray(region) &&
+    Object.keys(region).length === 4 &&
+    ['x', 'y', 'width', 'height'].every((field) => isFraction(region[field])) &&
+    region.width > 0 && region.height > 0 &&
+    region.x + region.width <= 1 && region.y + region.height <= 1;
+  return valid ? null : `${key} must be { x, y, width, height } as fractions of the card, within it`;
+};
+
+/** @returns {string|null} why `value` is not allowed for `key`, or null */
+const validateSetting = (key, value) => {
+  const rule = CONFIG_SCHEMA[key];
+  switch (rule.type) {
+    case 'number':
+    case 'integer': {
+      const valid = typeof value === 'number' && Number.isFinite(value) &&
+        (rule.type === 'number' || Number.isInteger(value)) &&
+        value >= rule.min && value <= rule.max;
+      return valid ? null : `${key} must be ${rule.type === 'integer' ? 'an integer' : 'a number'} between ${rule.min} and ${rule.max}`;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    case 'string':
+      return typeof value === 'string' && value.length <= rule.maxLength
+        ? null
+        : `${key} must be a string of up to ${rule.maxLength} characters`;
+    case 'enum':
+      return rule.values.includes(value) ? null : `${key} must be one of: ${rule.values.join(', ')}`;
+    case 'list': {
+      const minItems = rule.minItems ?? 0;
+      const valid = Array.isArray(value) && value.length >= minItems &&
+        value.every((item) => rule.values.includes(item)) &&
+        new Set(value).size === value.length;
+      return valid
+        ? null
+        : `${key} must be a list of distinct values from: ${rule.values.join(', ')}${minItems > 0 ? ` (at least ${minItems})` : ''}`;
+    }
+    case 'idFormats':
+      return validateIdFormats(value);
+    case 'region':
+      return validateRegion(key, value);
+    default:
+      return `${key} has an unknown type`;
+  }
+};
+
+/** @returns {string|null} error message, or null when `kioskId` is usable */
+export const validateKioskId = (kioskId) =>
+  typeof kioskId === 'string' && kioskId.trim() !== '' && kioskId.length <= MAX_KIOSK_ID_LENGTH
+    ? null
+    : `kioskId must be a non-empty string of up to ${MAX_KIOSK_ID_LENGTH} characters`;
+
+/**
+ * Validates per-kiosk overrides: an object with a subset of CONFIG_SCHEMA's keys.
+ * @returns {string|null} error message, or null when the overrides are valid
+ */
+export const validateConfigOverrides = (overrides) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'overrides must be a JSON object';
+  }
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!CONFIG_SCHEMA[key]) return `Unknown setting: ${key}`;
+    const error = validateSetting(key, value);
+    if (error) return error;
+  }
+  return null;
+};
+
+/** Maps a kiosk_config row to the API shape. */
+export const toKioskOverrides = (row) => ({
+  kioskId: row.kiosk_id,
+  overrides: row.overrides,
+  updatedAt: row.updated_at
+});
+
+/** Returns a kiosk's stored overrides, or null when it has none. */
+export const getKioskOverrides = async (db, kioskId) => {
+  const { rows } = await db.query('SELECT * FROM kiosk_config WHERE kiosk_id = $1', [kioskId]);
+  return rows[0] ? toKioskOverrides(rows[0]) : null;
+};
+
+/**
+ * The settings a kiosk runs with: CONFIG_DEFAULTS plus its overrides.
+ * Stored overrides that no longer fit the schema (renamed keys, tightened
+ * limits) are ignored rather than sent to the kiosk.
+ */
+export const getKioskConfig = async (db, kioskId) => {
+  const stored = kioskId ? await getKioskOverrides(db, kioskId) : null;
+  const overrides = Object.entries(stored?.overrides || {})
+    .filter(([key, value]) => CONFIG_SCHEMA[key] && validateSetting(key, value) === null);
+  return { ...CONFIG_DEFAULTS, ...Object.fromEntries(overrides) };
+};
+
+/** Lists every kiosk that has overrides. */
+export const listKioskOverrides = async (db) => {
+  const { rows } = await db.query('SELECT * FROM kiosk_config ORDER BY kiosk_id');
+  return rows.map(toKioskOverrides);
+};
+
+/** Replaces a kiosk's overrides. */
+export const saveKioskOverrides = async (db, kioskId, overrides) => {
+  const { rows } = await db.query(
+    `INSERT INTO kiosk_config (kiosk_id, overrides)
+     VALUES ($1, $2)
+     ON CONFLICT (kiosk_id) DO UPDATE SET
+       overrides = EXCLUDED.overrides,
+       updated_at = now()
+     RETURNING *`,
+    [kioskId, JSON.stringify(overrides)]
+  );
+  return toKioskOverrides(rows[0]);
+};
+
+/** Removes a kiosk's overrides. @returns {Promise<boolean>} false when it had none */
+export const deleteKioskOverrides = async (db, kioskId) => {
+  const { rowCount } = await db.query('DELETE FROM kiosk_config WHERE kiosk_id = $1', [kioskId]);
+  return rowCount > 0;
+};
@@ -0,0 +1,47 @@
+// server/models/photos.js
+
+/** Maps a student_photos row to the API shape. Photos are served from /uploads. */
+export const toPhoto = (row) => ({
+  id: row.id,
+  studentId: row.student_id,
+  url: `/uploads/${row.file}`,
+  pose: row.pose,
+  createdAt: row.created_at
+});
+
+/** Lists a student's reference photos in the order they were captured. */
+export const listStudentPhotos = async (db, studentId) => {
+  const { rows } = await db.query(
+    'SELECT * FROM student_photos WHERE student_id = $1 ORDER BY id',
+    [studentId]
+  );
+  return rows.map(toPhoto);
+};
+
+/**
+ * Records photos already written to the uploads directory.
+ * @param {Object[]} photos - [{ file, pose }]
+ */
+export const addStudentPhotos = async (db, studentId, photos) => {
+  const added = [];
+  for (const { file, pose } of photos) {
+    const { rows } = await db.query(
+      'INSERT INTO student_photos (student_id, file, pose) VALUES ($1, $2, $3) RETURNING *',
+      [studentId, file, pose ?? null]
+    );
+    added.push(toPhoto(rows[0]));
+  }
+  return added;
+};
+
+/**
+ * Removes one of a student's photos.
+ * @returns {Promise<string|null>} the deleted file name, or null if the student has no such photo
+ */
+export const deleteStudentPhoto = async (db, studentId, photoId) => {
+  const { rows } = await db.query(
+    'DELETE FROM student_photos WHERE id = $1 AND student_id = $2 RETURNING file',
+    [photoId, studentId]
+  );
+  return rows[0] ? rows[0].file : null;
+};
@@ -0,0 +1,100 @@
+// server/models/sections.js
+import { PG_ERRORS } from '../db.js';
+import { toStudent } from './students.js';
+
+/** Maps a sections row to the API shape. */
+export const toSection = (row) => ({
+  id: row.id,
+  name: row.name,
+  enrolledCount: row.enrolled_count != null ? Number(row.enrolled_count) : undefined,
+  createdAt: row.created_at
+});
+
+/**
+ * Validates a new section payload.
+ * @returns {string|null} error message, or null when the payload is valid
+ */
+export const validateSection = (data) => {
+  if (!data || typeof data !== 'object') return 'Request body must be a JSON object';
+  for (const field of ['id', 'name']) {
+    if (typeof data[field] !== 'string' || data[field].trim() === '') {
+      return `Missing required field: ${field}`;
+    }
+  }
+  return null;
+};
+
+/** Lists sections with their enrollment counts. */
+export const listSections = async (db) => {
+  const { rows } = await db.query(
+    `SELECT sec.id, sec.name, sec.created_at, COUNT(e.student_id) AS enrolled_count
+     FROM sections sec
+     LEFT JOIN section_enrollments e ON e.section_id = sec.id
+     GROUP BY sec.id, sec.name, sec.created_at
+     ORDER BY sec.id`
+  );
+  return rows.map(toSection);
+};
+
+/** Returns a section with its enrolled students, or null. */
+export const getSection = async (db, id) => {
+  const { rows } = await db.query('SELECT * FROM sections WHERE id = $1', [id]);
+  if (!rows[0]) return null;
+
+  const { rows: students } = await db.query(
+    `SELECT s.*
+     FROM section_enrollments e
+     JOIN students s ON s.id = e.student_id
+     WHERE e.section_id = $1
+     ORDER BY s.id`,
+    [id]
+  );
+  return { ...toSection(rows[0]), students: students.map(toStudent) };
+};
+
+/** Creates a section. Returns null if the id is already taken. */
+export const createSection = async (db, data) => {
+  try {
+    const { rows } = await db.query(
+      'INSERT INTO sections (id, name) VALUES ($1, $2) RETURNING *',
+      [data.id, data.name]
+    );
+    return toSection(rows[0]);
+  } catch (err) {
+    if (err.code === PG_ERRORS.UNIQUE_VIOLATION) return null;
+    throw err;
+  }
+};
+
+/**
+ * Enrolls students in a section. Students already enrolled are skipped.
+ * @returns {Promise<string[]>} ids that are not registered students (nothing is enrolled if any are)
+ */
+export const enrollStudents = async (db, sectionId, studentIds) => {
+  const placeholders = studentIds.map((_, i) => `$${i + 1}`).join(', ');
+  const { rows: known } = await db.query(`SELECT id FROM students WHERE id IN (${placeholders})`, studentIds);
+  const knownIds = new Set(known.map((row) => row.id));
+  const unknown = studentIds.filter((id) => !knownIds.has(id));
+  if (unknown.length > 0) return unknown;
+
+  for (const studentId of studentIds) {
+    await db.query(
+      `INSERT INTO section_enrollments (section_id, student_id)
+       SELECT $1, $2
+       WHERE NOT EXISTS (
+         SELECT 1 FROM section_enrollments WHERE section_id = $1 AND student_id = $2
+       )`,
+      [sectionId, studentId]
+    );
+  }
+  return [];
+};
+
+/** Removes a student from a section. Returns true if they were enrolled. */
+export const unenrollStudent = async (db, sectionId, studentId) => {
+  const { rowCount } = await db.query(
+    'DELETE FROM section_enrollments WHERE section_id = $1 AND student_id = $2',
+    [sectionId, studentId]
+  );
+  return rowCount > 0;
+};
@@ -0,0 +1,164 @@
+// server/models/sessions.js
+import { withTransaction } from '../db.js';
+
+// How early before the scheduled start a kiosk check-in already counts for a session
+const EARLY_CHECKIN_MINUTES = 15;
+
+const MINUTE = 60 * 1000;
+
+/** Maps a class_sessions row to the API shape. */
+export const toSession = (row) => ({
+  id: row.id,
+  sectionId: row.section_id,
+  sectionName: row.section_name,
+  kioskId: row.kiosk_id,
+  startsAt: row.starts_at,
+  endsAt: row.ends_at,
+  graceMinutes: row.grace_minutes,
+  closedAt: row.closed_at
+});
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Validates a new session payload.
+ * @returns {string|null} error message, or null when the payload is valid
+ */
+export const validateSession = (data) => {
+  if (!data || typeof data !== 'object') return 'Request body must be a JSON object';
+  for (const field of ['sectionId', 'kioskId']) {
+    if (typeof data[field] !== 'string' || data[field].trim() === '') {
+      return `Missing required field: ${field}`;
+    }
+  }
+  if (!isTimestamp(data.startsAt)) return 'startsAt must be an ISO 8601 timestamp';
+  if (!isTimestamp(data.endsAt)) return 'endsAt must be an ISO 8601 timestamp';
+  if (Date.parse(data.endsAt) <= Date.parse(data.startsAt)) return 'endsAt must be after startsAt';
+  if (data.graceMinutes != null && (!Number.isInteger(data.graceMinutes) || data.graceMinutes < 0)) {
+    return 'graceMinutes must be a non-negative integer';
+  }
+  return null;
+};
+
+/**
+ * Decides whether a check-in at `checkedInAt` is on time for a session.
+ * Arrivals up to `grace_minutes` after the start are present, later ones late.
+ */
+export const checkInStatus = (session, checkedInAt) => {
+  const deadline = new Date(session.starts_at).getTime() + session.grace_minutes * MINUTE;
+  return checkedInAt.getTime() <= deadline ? 'present' : 'late';
+};
+
+/**
+ * Finds the open session at a kiosk that the student is enrolled in and
+ * that is running at `at` (or starts within EARLY_CHECKIN_MINUTES).
+ * @returns {Promise<Object|null>} raw class_sessions row
+ */
+export const findActiveSession = async (db, kioskId, studentId, at) => {
+  const { rows } = await db.query(
+    `SELECT cs.*
+     FROM class_sessions cs
+     JOIN section_enrollments e ON e.section_id = cs.section_id AND e.student_id = $2
+     WHERE cs.kiosk_id = $1
+       AND cs.closed_at IS NULL
+       AND cs.starts_at <= $3
+       AND cs.ends_at >= $4
+     ORDER BY cs.starts_at DESC
+     LIMIT 1`,
+    [kioskId, studentId, new Date(at.getTime() + EARLY_CHECKIN_MINUTES * MINUTE), at]
+  );
+  return rows[0] || null;
+};
+
+const SESSION_SELECT = `
+  SELECT cs.*, sec.name AS section_name
+  FROM class_sessions cs
+  JOIN sections sec ON sec.id = cs.section_id
+`;
+
+/** Returns a session, or null when it does not exist. */
+export const getSession = async (db, id) => {
+  const { rows } = await db.query(`${SESSION_SELECT} WHERE cs.id = $1`, [id]);
+  return rows[0] ? toSession(rows[0]) : null;
+};
+
+/**
+ * Lists sessions, newest first.
+ * @param {Object} filters - { kioskId, sectionId, open: true to skip closed sessions }
+ */
+export const listSessions = async (db, { kioskId, sectionId, open } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (kioskId) {
+    params.push(kioskId);
+    conditions.push(`cs.kiosk_id = $${params.length}`);
+  }
+  if (sectionId) {
+    params.push(sectionId);
+    conditions.push(`cs.section_id = $${params.length}`);
+  }
+  if (open) {
+    conditions.push('cs.closed_at IS NULL');
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { rows } = await db.query(`${SESSION_SELECT} ${where} ORDER BY cs.starts_at DESC`, params);
+  return rows.map(toSession);
+};
+
+/** Schedules a session. Returns null when the section does not exist. */
+export const createSession = async (db, data) => {
+  const { rows: sections } = await db.query('SELECT id FROM sections WHERE id = $1', [data.sectionId]);
+  if (!sections[0]) return null;
+
+  const { rows } = await db.query(
+    `INSERT INTO class_sessions (section_id, kiosk_id, starts_at, ends_at, grace_minutes)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [data.sectionId, data.kioskId, data.startsAt, data.endsAt, data.graceMinutes ?? 10]
+  );
+  return getSession(db, rows[0].id);
+};
+
+/** Counts a session's attendance records by status. */
+export const getSessionSummary = async (db, id) => {
+  const { rows } = await db.query(
+    `SELECT status, COUNT(*) AS count FROM attendance WHERE session_id = $1 GROUP BY status`,
+    [id]
+  );
+  const summary = { present: 0, late: 0, absent: 0 };
+  for (const row of rows) summary[row.status] = Number(row.count);
+  return summary;
+};
+
+/**
+ * Closes a session and records every enrolled student without a check-in
+ * as absent. Closing an already closed session changes nothing.
+ * @returns {Promise<Object|null>} { session, summary }, or null if the session does not exist
+ */
+export const closeSession = async (db, id) => {
+  const closed = await withTransaction(db, async (client) => {
+    const { rows } = await client.query('SELECT * FROM class_sessions WHERE id = $1 FOR UPDATE', [id]);
+    const session = rows[0];
+    if (!session) return false;
+    if (session.closed_at) return true;
+
+    await client.query(
+      `INSERT INTO attendance (student_id, kiosk_id, session_id, status)
+       SELECT e.student_id, $2::text, $1::integer, 'absent'
+       FROM section_enrollments e
+       LEFT JOIN attendance a ON a.session_id = $1 AND a.student_id = e.student_id
+       WHERE e.section_id = $3 AND a.id IS NULL`,
+      [id, session.kiosk_id, session.section_id]
+    );
+    await client.query('UPDATE class_sessions SET closed_at = now() WHERE id = $1', [id]);
+    return true;
+  });
+  if (!closed) return null;
+
+  return {
+    session: await getSession(db, id),
+    summary: await getSessionSummary(db, id)
+  };
+};
@@ -0,0 +1,152 @@
+// server/models/students.js
+import { PG_ERRORS, withTransaction } from '../db.js';
+import { addStudentPhotos } from './photos.js';
+
+// Columns a client may set, mapped from the API's camelCase to the table's snake_case.
+const WRITABLE_FIELDS = {
+  name: 'name',
+  department: 'department',
+  year: 'year',
+  faceImage: 'face_image',
+  email: 'email'
+};
+
+const REQUIRED_FIELDS = ['id', 'name', 'faceImage'];
+
+/** Maps a students row to the shape the frontend expects. */
+export const toStudent = (row) => ({
+  id: row.id,
+  name: row.name,
+  department: row.department,
+  year: row.year,
+  faceImage: row.face_image,
+  email: row.email,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Validates a student payload.
+ * With `partial` set (updates) only the fields present are checked.
+ * @returns {string|null} error message, or null when the payload is valid
+ */
+export const validateStudent = (data, { partial = false } = {}) => {
+  if (!data || typeof data !== 'object') return 'Request body must be a JSON object';
+
+  for (const field of REQUIRED_FIELDS) {
+    if (partial && !(field in data)) continue;
+    if (typeof data[field] !== 'string' || data[field].trim() === '') {
+      return `Missing required field: ${field}`;
+    }
+  }
+
+  for (const field of Object.keys(WRITABLE_FIELDS)) {
+    if (data[field] != null && typeof data[field] !== 'string') {
+      return `Field ${field} must be a string`;
+    }
+  }
+
+  if (data.id != null && !/^[A-Za-z0-9-]+$/.test(data.id)) {
+    return 'Student ID may only contain letters, digits and dashes';
+  }
+
+  return null;
+};
+
+/** Lists students ordered by id, optionally filtered by a name/id/email search term. */
+export const listStudents = async (db, { search } = {}) => {
+  if (search) {
+    const { rows } = await db.query(
+      `SELECT * FROM students
+       WHERE id ILIKE $1 OR name ILIKE $1 OR email ILIKE $1
+       ORDER BY id`,
+      [`%${search}%`]
+    );
+    return rows.map(toStudent);
+  }
+
+  const { rows } = await db.query('SELECT * FROM students ORDER BY id');
+  return rows.map(toStudent);
+};
+
+/** Returns a single student, or null when the id is not registered. */
+export const getStudent = async (db, id) => {
+  const { rows } = await db.query('SELECT * FROM students WHERE id = $1', [id]);
+  return rows[0] ? toStudent(rows[0]) : null;
+};
+
+const insertStudent = async (db, data) => {
+  const { rows } = await db.query(
+    `INSERT INTO students (id, name, department, year, face_image, email)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [data.id, data.name, data.department ?? null, data.year ?? null, data.faceImage, data.email ?? null]
+  );
+  return toStudent(rows[0]);
+};
+
+/** Inserts a new student. Returns null if the id is already taken. */
+export const createStudent = async (db, data) => {
+  try {
+    return await insertStudent(db, data);
+  } catch (err) {
+    if (err.code === PG_ERRORS.UNIQUE_VIOLATION) return null;
+    throw err;
+  }
+};
+
+/**
+ * Creates a student together with their enrollment photos in one transaction.
+ * `photos` is [{ file, pose }], already written to the uploads directory.
+ * Returns null if the id is already taken.
+ */
+export const enrollStudent = async (db, data, photos) => {
+  try {
+    return await withTransaction(db, async (client) => {
+      const student = await insertStudent(client, data);
+      return { student, photos: await addStudentPhotos(client, student.id, photos) };
+    });
+  } catch (err) {
+    if (err.code === PG_ERRORS.UNIQUE_VIOLATION) return null;
+    throw err;
+  }
+};
+
+/** Updates the given fields of a student. Returns null if the id is not registered. */
+export const updateStudent = async (db, id, data) => {
+  const fields = Object.keys(WRITABLE_FIELDS).filter((field) => field in data);
+  if (fields.length === 0) return getStudent(db, id);
+
+  const assignments = fields.map((field, i) => `${WRITABLE_FIELDS[field]} = $${i + 2}`);
+  const { rows } = await db.query(
+    `UPDATE students SET ${assignments.join(', ')}, updated_at = now()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...fields.map((field) => data[field] ?? null)]
+  );
+  return rows[0] ? toStudent(rows[0]) : null;
+};
+
+/** Inserts or replaces a student record. Used by the seed. */
+export const upsertStudent = async (db, data) => {
+  const { rows } = await db.query(
+    `INSERT INTO students (id, name, department, year, face_image, email)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (id) DO UPDATE SET
+       name = EXCLUDED.name,
+       department = EXCLUDED.department,
+       year = EXCLUDED.year,
+       face_image = EXCLUDED.face_image,
+       email = EXCLUDED.email,
+       updated_at = now()
+     RETURNING *`,
+    [data.id, data.name, data.department ?? null, data.year ?? null, data.faceImage, data.email ?? null]
+  );
+  return toStudent(rows[0]);
+};
+
+/** Deletes a student. Returns true if a row was removed. */
+export const deleteStudent = async (db, id) => {
+  const { rowCount } = await db.query('DELETE FROM students WHERE id = $1', [id]);
+  return rowCount > 0;
+};
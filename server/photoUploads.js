@@ -0,0 +1,71 @@
+// server/photoUploads.js
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import { isJpeg, saveJpeg } from './jpeg.js';
+
+export const MAX_PHOTOS = 10;
+export const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const POSE_PATTERN = /^[a-z-]{1,20}$/;
+
+// Photos are held in memory until the whole request has been validated,
+// so a rejected upload never leaves files behind in uploads/
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: MAX_PHOTOS, fileSize: MAX_PHOTO_BYTES }
+}).array('photos', MAX_PHOTOS);
+
+/** Middleware: parses a multipart body with `photos` files, turning multer limit errors into 400s. */
+export const receivePhotos = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Photo upload rejected: ${err.message}` });
+    }
+    next(err);
+  });
+};
+
+// Multipart text fields arrive as a string, or an array when repeated
+const toList = (value) => (value == null ? [] : [].concat(value));
+
+/**
+ * Validates the photos of a multipart request parsed by receivePhotos:
+ * at least one JPEG, and either no `poses` or one pose name per photo.
+ * @returns {string|null} error message, or null when the upload is valid
+ */
+export const validatePhotoUpload = (req) => {
+  const files = req.files || [];
+  if (files.length === 0) return 'At least one photo is required';
+  if (!files.every((file) => isJpeg(file.buffer))) return 'Photos must be JPEG images';
+
+  const poses = toList(req.body.poses);
+  if (poses.length > 0 && (poses.length !== files.length || !poses.every((pose) => POSE_PATTERN.test(pose)))) {
+    return 'poses must name one pose (lowercase letters) per photo';
+  }
+  return null;
+};
+
+/**
+ * Writes validated photos to `dir` as `<studentId>-<uuid>.jpg`.
+ * @returns {Promise<Object[]>} [{ file, pose }] in upload order
+ */
+export const storePhotos = async (dir, studentId, req) => {
+  const poses = toList(req.body.poses);
+  const stored = [];
+  try {
+    for (const [i, file] of req.files.entries()) {
+      stored.push({ file: await saveJpeg(dir, file.buffer, `${studentId}-`), pose: poses[i] });
+    }
+    return stored;
+  } catch (err) {
+    await removePhotoFiles(dir, stored);
+    throw err;
+  }
+};
+
+/** Best-effort removal of photo files (e.g. when the database write that should reference them failed). */
+export const removePhotoFiles = async (dir, photos) => {
+  await Promise.all(
+    photos.map(({ file }) => fs.promises.unlink(path.join(dir, file)).catch(() => {}))
+  );
+};
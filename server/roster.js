@@ -0,0 +1,214 @@
+// server/roster.js
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { MAX_PHOTO_BYTES } from './photoUploads.js';
+
+// Limits on a photo archive, checked while it is inflated so a zip bomb is cut off early
+export const MAX_ROSTER_PHOTOS = 2000;
+const MAX_ARCHIVE_BYTES = 500 * 1024 * 1024; // all photos of an intake, uncompressed
+
+// Roster columns; CSV headers match case-insensitively, ignoring spaces, dashes and underscores
+export const ROSTER_FIELDS = ['id', 'name', 'department', 'year', 'email', 'faceImage'];
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_-]/g, '');
+const FIELD_BY_HEADER = Object.fromEntries(ROSTER_FIELDS.map((field) => [normalizeHeader(field), field]));
+
+/**
+ * Splits CSV text into records (RFC 4180: quoted fields may contain commas,
+ * line breaks and "" for a quote). Blank lines are skipped.
+ * @returns {Object[]} [{ line, values }] where line is the 1-based line the record starts on
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(value);
+    if (values.length > 1 || values[0].trim() !== '') records.push({ line: recordLine, values });
+    values = [];
+    value = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || values.length > 0) endRecord();
+  return records;
+};
+
+const parseCsvRoster = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return { error: 'The roster is empty' };
+
+  const fields = header.values.map((name) => FIELD_BY_HEADER[normalizeHeader(name)] || null);
+  const missing = ['id', 'name', 'faceImage'].filter((field) => !fields.includes(field));
+  if (missing.length > 0) return { error: `The roster header is missing: ${missing.join(', ')}` };
+
+  const rows = records.map(({ line, values }) => ({
+    row: line,
+    fields: Object.fromEntries(
+      fields.flatMap((field, i) => (field && values[i] != null ? [[field, values[i]]] : []))
+    )
+  }));
+  return { rows };
+};
+
+const parseJsonRoster = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { error: `The roster is not valid JSON: ${err.message}` };
+  }
+
+  const students = Array.isArray(data) ? data : data?.students;
+  if (!Array.isArray(students)) return { error: 'A JSON roster must be an array of students or { "students": [...] }' };
+
+  const rows = students.map((student, i) => ({
+    row: i + 1,
+    fields: student && typeof student === 'object'
+      ? Object.fromEntries(ROSTER_FIELDS.filter((field) => field in student).map((field) => [field, student[field]]))
+      : {}
+  }));
+  return { rows };
+};
+
+/**
+ * Reads a CSV or JSON roster. JSON is either an array of students or
+ * { students: [...] }; CSV needs a header row. Rows are numbered by CSV line
+ * or JSON array position (1-based) for the import report.
+ * @param {Buffer} buffer - file contents (UTF-8)
+ * @param {string} fileName - used to tell JSON from CSV by its extension
+ * @returns {Object} { rows: [{ row, fields }] } or { error }
+ */
+export const parseRoster = (buffer, fileName = '') => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const isJson = path.extname(fileName).toLowerCase() === '.json' || /^\s*[[{]/.test(text);
+  const result = isJson ? parseJsonRoster(text) : parseCsvRoster(text);
+  if (result.rows && result.rows.length === 0) return { error: 'The roster has no students' };
+  return result;
+};
+
+// macOS resource forks and hidden files are not photos
+const isPhotoEntry = (name) => !name.split('/').some((part) => part.startsWith('.') || part === '__MACOSX');
+
+/**
+ * Indexes photos by file name, the way a roster's faceImage refers to them.
+ * A name that occurs twice (e.g. in two subfolders) maps to null, so it cannot
+ * silently pick the wrong student's photo.
+ * @param {Object[]} entries - [{ name, buffer }]; name may include folders
+ * @returns {Map<string, Buffer|null>}
+ */
+export const indexPhotos = (entries) => {
+  const photos = new Map();
+  for (const { name, buffer } of entries) {
+    if (!isPhotoEntry(name)) continue;
+    const fileName = path.basename(name);
+    photos.set(fileName, photos.has(fileName) ? null : buffer);
+  }
+  return photos;
+};
+
+/** Reads every file under a folder (recursively) for indexPhotos(). */
+export const readPhotoFolder = async (dir) => {
+  const entries = [];
+  for (const dirent of await fs.promises.readdir(dir, { withFileTypes: true, recursive: true })) {
+    if (!dirent.isFile()) continue;
+    const file = path.join(dirent.parentPath ?? dirent.path, dirent.name);
+    entries.push({ name: path.relative(dir, file).split(path.sep).join('/'), buffer: await fs.promises.readFile(file) });
+  }
+  return entries;
+};
+
+/**
+ * Inflates one zip entry, giving up once it grows past `maxBytes`.
+ * The size in the zip's headers is not trusted; the inflated bytes are counted.
+ * @returns {Promise<Buffer|null>} the contents, or null when the entry is too large
+ */
+const inflateEntry = (entry, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const stream = entry.internalStream('nodebuffer');
+  stream
+    .on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.pause();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    })
+    .on('error', reject)
+    .on('end', () => resolve(Buffer.concat(chunks)))
+    .resume();
+});
+
+/**
+ * Reads the photos of a zip archive for indexPhotos(). Hidden files are skipped
+ * without being inflated; every other entry counts against the limits: at most
+ * MAX_ROSTER_PHOTOS files of up to MAX_PHOTO_BYTES each, MAX_ARCHIVE_BYTES in all.
+ * @returns {Promise<Object>} { entries: [{ name, buffer }] } or { error }
+ */
+export const readPhotoArchive = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    return { error: 'archive must be a zip file' };
+  }
+
+  const files = Object.values(zip.files).filter((entry) => !entry.dir && isPhotoEntry(entry.name));
+  if (files.length > MAX_ROSTER_PHOTOS) {
+    return { error: `archive holds more than ${MAX_ROSTER_PHOTOS} files` };
+  }
+
+  const entries = [];
+  let total = 0;
+  for (const entry of files) {
+    const maxBytes = Math.min(MAX_PHOTO_BYTES, MAX_ARCHIVE_BYTES - total);
+    let contents;
+    try {
+      contents = await inflateEntry(entry, maxBytes);
+    } catch {
+      return { error: `archive entry ${entry.name} is corrupt` };
+    }
+    if (!contents) {
+      return {
+        error: maxBytes < MAX_PHOTO_BYTES
+          ? `archive is larger than ${MAX_ARCHIVE_BYTES / 1024 / 1024} MB uncompressed`
+          : `archive entry ${entry.name} is larger than ${MAX_PHOTO_BYTES / 1024 / 1024} MB`
+      };
+    }
+    total += contents.length;
+    entries.push({ name: entry.name, buffer: contents });
+  }
+  return { entries };
+};
@@ -0,0 +1,211 @@
+// server/rosterImport.js
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { createPool, withTransaction } from './db.js';
+import { runMigrations } from './migrations.js';
+import { isJpeg } from './jpeg.js';
+import { INVALID_IMAGE, analyzeFaces } from './faceDetection.js';
+import { ROSTER_FIELDS, parseRoster, indexPhotos, readPhotoFolder, readPhotoArchive } from './roster.js';
+import { getStudent, upsertStudent, validateStudent } from './models/students.js';
+import { listStudentPhotos, addStudentPhotos } from './models/photos.js';
+import { saveFaceDescriptors } from './models/descriptors.js';
+
+/**
+ * Bulk roster import.
+ *
+ * Each roster row becomes a student; its faceImage names a photo in the
+ * uploaded folder or zip. A row is rejected when a required field is missing,
+ * its id appears earlier in the roster, or its photo is missing, not a JPEG or
+ * does not show exactly one face (checked with the browser's face pipeline,
+ * see faceDetection.js). Accepted rows are upserted with the photo as their
+ * faceImage and first gallery photo, and the photo's descriptor is stored so
+ * face-only kiosks can identify the student right away.
+ *
+ * Photos are stored as `<id>-<content hash>.jpg`, so importing the same roster
+ * again finds every row unchanged and writes nothing.
+ */
+
+/** Trims a roster row into student fields; empty optional fields become null. */
+const toStudentFields = (fields) => Object.fromEntries(
+  ROSTER_FIELDS.map((field) => {
+    const value = typeof fields[field] === 'number' ? String(fields[field]) : fields[field];
+    if (typeof value !== 'string') return [field, value ?? null];
+    return [field, value.trim() === '' ? null : value.trim()];
+  })
+);
+
+const photoFileName = (studentId, buffer) =>
+  `${studentId}-${createHash('sha256').update(buffer).digest('hex').slice(0, 16)}.jpg`;
+
+/** Writes a photo unless a file with the same (content-derived) name exists. Returns true if it wrote one. */
+const writePhoto = async (uploadDir, file, buffer) => {
+  try {
+    await fs.promises.writeFile(path.join(uploadDir, file), buffer, { flag: 'wx' });
+    return true;
+  } catch (err) {
+    if (err.code === 'EEXIST') return false;
+    throw err;
+  }
+};
+
+/** Stores one accepted row: photo file, student record, gallery entry and descriptor. */
+const saveRow = async (db, uploadDir, student, file, buffer, { descriptor, modelVersion }) => {
+  const written = await writePhoto(uploadDir, file, buffer);
+  try {
+    await withTransaction(db, async (client) => {
+      await upsertStudent(client, student);
+      const photos = await listStudentPhotos(client, student.id);
+      if (!photos.some((photo) => photo.url === student.faceImage)) {
+        await addStudentPhotos(client, student.id, [{ file, pose: null }]);
+      }
+    });
+    await saveFaceDescriptors(db, student.id, modelVersion, [{ imageUrl: student.faceImage, descriptor }]);
+  } catch (err) {
+    if (written) await fs.promises.unlink(path.join(uploadDir, file)).catch(() => {});
+    throw err;
+  }
+};
+
+/**
+ * Imports parsed roster rows.
+ * @param {Object[]} rows - [{ row, fields }] from parseRoster()
+ * @param {Map} photos - from indexPhotos()
+ * @param {Object} options - { uploadDir, dryRun, detectFaces } - detectFaces defaults to analyzeFaces
+ * @returns {Promise<Object>} { dryRun, summary: { total, created, updated, unchanged, rejected },
+ *   rows: [{ row, id, status, changes?, error? }] } - changes lists the fields an update touches
+ */
+export const importRoster = async (db, rows, photos, { uploadDir, dryRun = false, detectFaces = analyzeFaces }) => {
+  const seenIds = new Set();
+  const results = [];
+
+  for (const { row, fields } of rows) {
+    const student = toStudentFields(fields);
+    const reject = (error) => results.push({ row, id: student.id ?? null, status: 'rejected', error });
+
+    const validationError = validateStudent(student);
+    if (validationError) {
+      reject(validationError);
+      continue;
+    }
+    if (seenIds.has(student.id)) {
+      reject(`Student ${student.id} appears more than once in the roster`);
+      continue;
+    }
+    seenIds.add(student.id);
+
+    const photoName = path.basename(student.faceImage);
+    const buffer = photos.get(photoName);
+    if (buffer === undefined) {
+      reject(`Photo ${photoName} was not uploaded`);
+      continue;
+    }
+    if (buffer === null) {
+      reject(`More than one uploaded photo is named ${photoName}`);
+      continue;
+    }
+    if (!isJpeg(buffer)) {
+      reject(`Photo ${photoName} is not a JPEG image`);
+      continue;
+    }
+
+    let faces;
+    try {
+      faces = await detectFaces(buffer);
+    } catch (err) {
+      if (err.code !== INVALID_IMAGE) throw err;
+      reject(`Photo ${photoName} could not be read: ${err.message}`);
+      continue;
+    }
+    if (faces.faceCount !== 1) {
+      reject(faces.faceCount === 0 ? `No face found in ${photoName}` : `${faces.faceCount} faces found in ${photoName}`);
+      continue;
+    }
+
+    const file = photoFileName(student.id, buffer);
+    const record = { ...student, faceImage: `/uploads/${file}` };
+    const existing = await getStudent(db, student.id);
+    const changes = existing
+      ? ROSTER_FIELDS.filter((field) => field !== 'id' && (existing[field] ?? null) !== record[field])
+      : [];
+    const status = !existing ? 'created' : changes.length > 0 ? 'updated' : 'unchanged';
+
+    if (!dryRun && status !== 'unchanged') {
+      await saveRow(db, uploadDir, record, file, buffer, faces);
+    }
+    results.push({ row, id: student.id, status, ...(status === 'updated' && { changes }) });
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  return {
+    dryRun,
+    summary: {
+      total: results.length,
+      created: count('created'),
+      updated: count('updated'),
+      unchanged: count('unchanged'),
+      rejected: count('rejected')
+    },
+    rows: results
+  };
+};
+
+/** Terminal summary of an import report. */
+const printReport = ({ dryRun, summary, rows }) => {
+  console.log(`${dryRun ? 'Dry run - nothing was written. ' : ''}${summary.total} rows: ` +
+    `${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.rejected} rejected`);
+  for (const { row, id, status, changes, error } of rows) {
+    if (status === 'updated') console.log(`  row ${row} (${id}): updated ${changes.join(', ')}`);
+    if (status === 'rejected') console.log(`  row ${row}${id ? ` (${id})` : ''}: ${error}`);
+  }
+};
+
+// `node server/rosterImport.js <roster.csv|json> --photos <folder|zip> [--dry-run] [--json]`
+// imports into the database configured by DATABASE_URL
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      photos: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false }
+    }
+  });
+
+  if (positionals.length !== 1 || !values.photos) {
+    console.error('Usage: node server/rosterImport.js <roster.csv|roster.json> --photos <folder|photos.zip> [--dry-run] [--json]');
+    process.exitCode = 1;
+  } else {
+    const rosterPath = positionals[0];
+    const { rows, error } = parseRoster(await fs.promises.readFile(rosterPath), rosterPath);
+    if (error) {
+      console.error(`Cannot read ${rosterPath}: ${error}`);
+      process.exitCode = 1;
+    } else {
+      const db = createPool();
+      try {
+        const isFolder = (await fs.promises.stat(values.photos)).isDirectory();
+        const { entries, error: photosError } = isFolder
+          ? { entries: await readPhotoFolder(values.photos) }
+          : await readPhotoArchive(await fs.promises.readFile(values.photos));
+        if (photosError) throw new Error(`Cannot read ${values.photos}: ${photosError}`);
+        const photos = indexPhotos(entries);
+
+        await runMigrations(db);
+        const uploadDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+        await fs.promises.mkdir(uploadDir, { recursive: true });
+        const report = await importRoster(db, rows, photos, { uploadDir, dryRun: values['dry-run'] });
+
+        if (values.json) console.log(JSON.stringify(report, null, 2));
+        else printReport(report);
+      } catch (err) {
+        console.error('Roster import failed:', err);
+        process.exitCode = 1;
+      } finally {
+        await db.end();
+      }
+    }
+  }
+}
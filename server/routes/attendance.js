@@ -0,0 +1,116 @@
+// server/routes/attendance.js
+import express from 'express';
+import {
+  attendanceExportQuery,
+  getDailyAttendanceStats,
+  listAttendance,
+  recordAttendance,
+  validateAttendance,
+  validateAttendanceFilters
+} from '../models/attendance.js';
+import { EXPORT_FORMATS, streamExport } from '../exporters.js';
+
+/**
+ * Attendance log routes, mounted at /api/attendance.
+ *
+ *   POST /api/attendance   record a successful verification
+ *   GET  /api/attendance   list records (?date=YYYY-MM-DD&studentId=&department=)
+ *   GET  /api/attendance/stats/daily
+ *        per-day check-in counts (?from=YYYY-MM-DD&to=YYYY-MM-DD&department=)
+ *   GET  /api/attendance/export
+ *        download records as csv, json or xlsx
+ *        (?format=csv|json|xlsx&from=YYYY-MM-DD&to=YYYY-MM-DD&department=)
+ */
+export const createAttendanceRouter = (db) => {
+  const router = express.Router();
+
+  router.post('/', async (req, res, next) => {
+    const validationError = validateAttendance(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const record = await recordAttendance(db, req.body);
+      if (!record) {
+        return res.status(404).json({ error: `Student ${req.body.studentId} not found` });
+      }
+      res.status(201).json({ record });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/', async (req, res, next) => {
+    const filters = {
+      date: req.query.date,
+      studentId: req.query.studentId,
+      department: req.query.department
+    };
+    const validationError = validateAttendanceFilters(filters);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const records = await listAttendance(db, filters);
+      res.json({ records });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/stats/daily', async (req, res, next) => {
+    const filters = {
+      from: req.query.from,
+      to: req.query.to,
+      department: req.query.department
+    };
+    const validationError = validateAttendanceFilters(filters);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const days = await getDailyAttendanceStats(db, filters);
+      res.json({ days });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/export', async (req, res, next) => {
+    const format = req.query.format || 'csv';
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const filters = {
+      from: req.query.from,
+      to: req.query.to,
+      department: req.query.department
+    };
+    const validationError = validateAttendanceFilters(filters);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const filename = ['attendance', filters.from, filters.to, filters.department]
+      .filter(Boolean)
+      .join('_')
+      .replace(/[^\w.-]+/g, '-');
+
+    try {
+      await streamExport(db, attendanceExportQuery(filters), format, res, filename);
+    } catch (err) {
+      // Once streaming has started the status line is gone; cut the download short instead
+      if (res.headersSent) {
+        console.error('Attendance export failed:', err);
+        return res.destroy(err);
+      }
+      next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,108 @@
+// server/routes/config.js
+import express from 'express';
+import {
+  CONFIG_SCHEMA,
+  getKioskConfig,
+  getKioskOverrides,
+  listKioskOverrides,
+  saveKioskOverrides,
+  deleteKioskOverrides,
+  validateConfigOverrides,
+  validateKioskId
+} from '../models/kioskConfig.js';
+
+/**
+ * Runtime kiosk configuration, mounted at /api/config.
+ *
+ *   GET    /api/config?kioskId=            effective settings (defaults + the kiosk's overrides)
+ *   GET    /api/config/schema              every setting with its default and limits
+ *   GET    /api/config/kiosks              kiosks that have overrides
+ *   GET    /api/config/kiosks/:kioskId     one kiosk's overrides
+ *   PUT    /api/config/kiosks/:kioskId     replace overrides ({ overrides: { key: value } })
+ *   DELETE /api/config/kiosks/:kioskId     back to the defaults
+ *
+ * Kiosks read their settings when the verification hooks start, so a change
+ * applies from the next scan without rebuilding the client.
+ */
+export const createConfigRouter = (db) => {
+  const router = express.Router();
+
+  router.param('kioskId', (req, res, next, kioskId) => {
+    const validationError = validateKioskId(kioskId);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    next();
+  });
+
+  router.get('/', async (req, res, next) => {
+    const { kioskId } = req.query;
+    if (kioskId != null) {
+      const validationError = validateKioskId(kioskId);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    try {
+      const config = await getKioskConfig(db, kioskId);
+      res.json({ kioskId: kioskId ?? null, config });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/schema', (req, res) => {
+    res.json({ schema: CONFIG_SCHEMA });
+  });
+
+  router.get('/kiosks', async (req, res, next) => {
+    try {
+      const kiosks = await listKioskOverrides(db);
+      res.json({ kiosks });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/kiosks/:kioskId', async (req, res, next) => {
+    try {
+      const kiosk = await getKioskOverrides(db, req.params.kioskId);
+      if (!kiosk) {
+        return res.status(404).json({ error: `Kiosk ${req.params.kioskId} has no overrides` });
+      }
+      res.json({ kiosk });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put('/kiosks/:kioskId', async (req, res, next) => {
+    const overrides = req.body?.overrides;
+    const validationError = validateConfigOverrides(overrides);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const kiosk = await saveKioskOverrides(db, req.params.kioskId, overrides);
+      res.json({ kiosk });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/kiosks/:kioskId', async (req, res, next) => {
+    try {
+      const deleted = await deleteKioskOverrides(db, req.params.kioskId);
+      if (!deleted) {
+        return res.status(404).json({ error: `Kiosk ${req.params.kioskId} has no overrides` });
+      }
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,31 @@
+// server/routes/descriptors.js
+import express from 'express';
+import { listDescriptorsByModel } from '../models/descriptors.js';
+
+/**
+ * Enrolled face descriptors across all students, mounted at /api/face-descriptors.
+ *
+ *   GET /api/face-descriptors?modelVersion=   every descriptor computed with that model version
+ *
+ * Used by face-only kiosks to identify a student without an ID card. Students
+ * whose reference images have no descriptor for the version are not included.
+ */
+export const createDescriptorsRouter = (db) => {
+  const router = express.Router();
+
+  router.get('/', async (req, res, next) => {
+    const { modelVersion } = req.query;
+    if (typeof modelVersion !== 'string' || modelVersion.trim() === '') {
+      return res.status(400).json({ error: 'modelVersion is required' });
+    }
+
+    try {
+      const descriptors = await listDescriptorsByModel(db, modelVersion);
+      res.json({ descriptors });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,57 @@
+// server/routes/enrollments.js
+import express from 'express';
+import { getStudent, enrollStudent, validateStudent } from '../models/students.js';
+import { receivePhotos, validatePhotoUpload, storePhotos, removePhotoFiles } from '../photoUploads.js';
+
+/**
+ * Camera enrollment, mounted at /api/enrollments.
+ *
+ *   POST /api/enrollments   multipart/form-data: student fields (id, name, department, year, email),
+ *                           one or more JPEG `photos`, and an optional `poses` value per photo
+ *
+ * The first photo becomes the student's faceImage; all of them are kept as
+ * reference photos in student_photos.
+ */
+export const createEnrollmentsRouter = (db, { uploadDir }) => {
+  const router = express.Router();
+
+  router.post('/', receivePhotos, async (req, res, next) => {
+    const uploadError = validatePhotoUpload(req);
+    if (uploadError) {
+      return res.status(400).json({ error: uploadError });
+    }
+
+    // faceImage is filled in once the photos are stored
+    const fields = {
+      id: req.body.id,
+      name: req.body.name,
+      department: req.body.department || null,
+      year: req.body.year || null,
+      email: req.body.email || null
+    };
+    const validationError = validateStudent({ ...fields, faceImage: 'pending' });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let stored = [];
+    try {
+      if (await getStudent(db, fields.id)) {
+        return res.status(409).json({ error: `Student ${fields.id} already exists` });
+      }
+
+      stored = await storePhotos(uploadDir, fields.id, req);
+      const enrolled = await enrollStudent(db, { ...fields, faceImage: `/uploads/${stored[0].file}` }, stored);
+      if (!enrolled) {
+        await removePhotoFiles(uploadDir, stored);
+        return res.status(409).json({ error: `Student ${fields.id} already exists` });
+      }
+      res.status(201).json(enrolled);
+    } catch (err) {
+      await removePhotoFiles(uploadDir, stored);
+      next(err);
+    }
+  });
+
+  return router;
+};
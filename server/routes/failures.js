@@ -0,0 +1,106 @@
+// server/routes/failures.js
+import express from 'express';
+import path from 'path';
+import {
+  listFailures,
+  getFailureRow,
+  recordFailure,
+  toFailure,
+  validateFailure,
+  validateFailureFilters
+} from '../models/failures.js';
+import { decodeJpegDataUrl, saveJpeg } from '../jpeg.js';
+
+/**
+ * Failed verification audit trail, mounted at /api/failures.
+ *
+ *   POST /api/failures                record a failed attempt (+ optional JPEG snapshot data URL)
+ *   GET  /api/failures                list (?outcome=&studentId=&date=YYYY-MM-DD&limit=);
+ *                                     studentId matches the attempted or the matched student
+ *   GET  /api/failures/:id            single record
+ *   GET  /api/failures/:id/snapshot   evidence frame (image/jpeg)
+ *
+ * Snapshots are stored in `evidenceDir`, which is not served statically.
+ */
+export const createFailuresRouter = (db, { evidenceDir }) => {
+  const router = express.Router();
+
+  // Failure ids are serial integers; anything else cannot match a row
+  router.param('id', (req, res, next, id) => {
+    if (!/^\d+$/.test(id)) {
+      return res.status(404).json({ error: `Failure record ${id} not found` });
+    }
+    next();
+  });
+
+  router.post('/', async (req, res, next) => {
+    const validationError = validateFailure(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let snapshot = null;
+    if (req.body.snapshot) {
+      snapshot = decodeJpegDataUrl(req.body.snapshot);
+      if (!snapshot) {
+        return res.status(400).json({ error: 'snapshot must be a base64 JPEG data URL' });
+      }
+    }
+
+    try {
+      const snapshotFile = snapshot ? await saveJpeg(evidenceDir, snapshot) : null;
+      const failure = await recordFailure(db, req.body, snapshotFile);
+      res.status(201).json({ failure });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/', async (req, res, next) => {
+    const filters = {
+      outcome: req.query.outcome,
+      studentId: req.query.studentId,
+      date: req.query.date,
+      limit: req.query.limit
+    };
+    const validationError = validateFailureFilters(filters);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const failures = await listFailures(db, filters);
+      res.json({ failures });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const row = await getFailureRow(db, req.params.id);
+      if (!row) {
+        return res.status(404).json({ error: `Failure record ${req.params.id} not found` });
+      }
+      res.json({ failure: toFailure(row) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/:id/snapshot', async (req, res, next) => {
+    try {
+      const row = await getFailureRow(db, req.params.id);
+      if (!row || !row.snapshot_file) {
+        return res.status(404).json({ error: `No snapshot for failure record ${req.params.id}` });
+      }
+      res.sendFile(path.join(evidenceDir, row.snapshot_file), {
+        headers: { 'Content-Type': 'image/jpeg', 'Cache-Control': 'private, no-store' }
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,93 @@
+// server/routes/imports.js
+import express from 'express';
+import multer from 'multer';
+import { parseRoster, indexPhotos, readPhotoArchive, MAX_ROSTER_PHOTOS } from '../roster.js';
+import { importRoster } from '../rosterImport.js';
+import { MAX_PHOTO_BYTES } from '../photoUploads.js';
+
+const MAX_IMPORT_BYTES = 200 * 1024 * 1024; // the whole request: roster, photos and a zip of a whole intake
+
+// Held in memory like enrollment photos; nothing reaches uploads/ before a row is accepted.
+// fileSize is per file, so the request as a whole is capped by its Content-Length first
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: MAX_ROSTER_PHOTOS + 2, fileSize: MAX_IMPORT_BYTES }
+}).fields([
+  { name: 'roster', maxCount: 1 },
+  { name: 'photos', maxCount: MAX_ROSTER_PHOTOS },
+  { name: 'archive', maxCount: 1 }
+]);
+
+const receiveImport = (req, res, next) => {
+  const length = Number(req.headers['content-length']);
+  if (!req.headers['content-length'] || !Number.isFinite(length)) {
+    return res.status(411).json({ error: 'Import uploads need a Content-Length' });
+  }
+  if (length > MAX_IMPORT_BYTES) {
+    return res.status(413).json({ error: `Import upload is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB` });
+  }
+
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Import upload rejected: ${err.message}` });
+    }
+    next(err);
+  });
+};
+
+/**
+ * Bulk imports, mounted at /api/imports.
+ *
+ *   POST /api/imports/roster   multipart/form-data: a `roster` file (CSV or JSON), the photos as
+ *                              `photos` files and/or one zip `archive`, and optional `dryRun=true`
+ *
+ * Responds 200 with the import report (see importRoster in rosterImport.js),
+ * including rejected rows; 400 only when the upload itself is unusable, and
+ * 413 when it exceeds MAX_IMPORT_BYTES. Each of the `photos` files, and each photo
+ * in the archive, is limited to the enrollment photo size (MAX_PHOTO_BYTES).
+ */
+export const createImportsRouter = (db, { uploadDir }) => {
+  const router = express.Router();
+
+  router.post('/roster', receiveImport, async (req, res, next) => {
+    const rosterFile = req.files?.roster?.[0];
+    if (!rosterFile) {
+      return res.status(400).json({ error: 'A roster file (CSV or JSON) is required' });
+    }
+    const { rows, error } = parseRoster(rosterFile.buffer, rosterFile.originalname);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const photoFiles = req.files.photos || [];
+    const oversized = photoFiles.find((file) => file.size > MAX_PHOTO_BYTES);
+    if (oversized) {
+      return res.status(400).json({ error: `Photo ${oversized.originalname} is larger than ${MAX_PHOTO_BYTES / 1024 / 1024} MB` });
+    }
+
+    const entries = photoFiles.map((file) => ({ name: file.originalname, buffer: file.buffer }));
+    const archive = req.files.archive?.[0];
+    if (archive) {
+      const { entries: archived, error: archiveError } = await readPhotoArchive(archive.buffer);
+      if (archiveError) {
+        return res.status(400).json({ error: archiveError });
+      }
+      entries.push(...archived);
+    }
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'Upload the photos as `photos` files or as a zip `archive`' });
+    }
+
+    try {
+      const report = await importRoster(db, rows, indexPhotos(entries), {
+        uploadDir,
+        dryRun: req.body.dryRun === 'true'
+      });
+      res.json(report);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,97 @@
+// server/routes/sections.js
+import express from 'express';
+import {
+  listSections,
+  getSection,
+  createSection,
+  enrollStudents,
+  unenrollStudent,
+  validateSection
+} from '../models/sections.js';
+
+/**
+ * Course section routes, mounted at /api/sections.
+ *
+ *   GET    /api/sections                                 list with enrollment counts
+ *   GET    /api/sections/:id                             section with enrolled students
+ *   POST   /api/sections                                 create ({ id, name })
+ *   POST   /api/sections/:id/enrollments                 enroll ({ studentIds: [] })
+ *   DELETE /api/sections/:id/enrollments/:studentId      unenroll
+ */
+export const createSectionsRouter = (db) => {
+  const router = express.Router();
+
+  router.get('/', async (req, res, next) => {
+    try {
+      const sections = await listSections(db);
+      res.json({ sections });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const section = await getSection(db, req.params.id);
+      if (!section) {
+        return res.status(404).json({ error: `Section ${req.params.id} not found` });
+      }
+      res.json({ section });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/', async (req, res, next) => {
+    const validationError = validateSection(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const section = await createSection(db, req.body);
+      if (!section) {
+        return res.status(409).json({ error: `Section ${req.body.id} already exists` });
+      }
+      res.status(201).json({ section });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/:id/enrollments', async (req, res, next) => {
+    const { studentIds } = req.body || {};
+    if (!Array.isArray(studentIds) || studentIds.length === 0 || !studentIds.every((id) => typeof id === 'string')) {
+      return res.status(400).json({ error: 'studentIds must be a non-empty array of student IDs' });
+    }
+
+    try {
+      const section = await getSection(db, req.params.id);
+      if (!section) {
+        return res.status(404).json({ error: `Section ${req.params.id} not found` });
+      }
+
+      const unknown = await enrollStudents(db, req.params.id, studentIds);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown student IDs: ${unknown.join(', ')}` });
+      }
+      res.json({ section: await getSection(db, req.params.id) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/:id/enrollments/:studentId', async (req, res, next) => {
+    try {
+      const removed = await unenrollStudent(db, req.params.id, req.params.studentId);
+      if (!removed) {
+        return res.status(404).json({ error: `Student ${req.params.studentId} is not enrolled in ${req.params.id}` });
+      }
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,86 @@
+// server/routes/sessions.js
+import express from 'express';
+import {
+  listSessions,
+  getSession,
+  getSessionSummary,
+  createSession,
+  closeSession,
+  validateSession
+} from '../models/sessions.js';
+
+/**
+ * Class session routes, mounted at /api/sessions.
+ *
+ *   GET  /api/sessions             list (?kioskId=&sectionId=&open=true)
+ *   GET  /api/sessions/:id         session with present/late/absent counts
+ *   POST /api/sessions             schedule ({ sectionId, kioskId, startsAt, endsAt, graceMinutes })
+ *   POST /api/sessions/:id/close   close and mark missing students absent
+ */
+export const createSessionsRouter = (db) => {
+  const router = express.Router();
+
+  // Session ids are serial integers; anything else cannot match a row
+  router.param('id', (req, res, next, id) => {
+    if (!/^\d+$/.test(id)) {
+      return res.status(404).json({ error: `Session ${id} not found` });
+    }
+    next();
+  });
+
+  router.get('/', async (req, res, next) => {
+    try {
+      const sessions = await listSessions(db, {
+        kioskId: req.query.kioskId,
+        sectionId: req.query.sectionId,
+        open: req.query.open === 'true'
+      });
+      res.json({ sessions });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const session = await getSession(db, req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: `Session ${req.params.id} not found` });
+      }
+      res.json({ session, summary: await getSessionSummary(db, req.params.id) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/', async (req, res, next) => {
+    const validationError = validateSession(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const session = await createSession(db, req.body);
+      if (!session) {
+        return res.status(404).json({ error: `Section ${req.body.sectionId} not found` });
+      }
+      res.status(201).json({ session });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/:id/close', async (req, res, next) => {
+    try {
+      const result = await closeSession(db, req.params.id);
+      if (!result) {
+        return res.status(404).json({ error: `Session ${req.params.id} not found` });
+      }
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
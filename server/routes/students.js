@@ -0,0 +1,199 @@
+// server/routes/students.js
+import express from 'express';
+import { PG_ERRORS } from '../db.js';
+import {
+  listStudents,
+  getStudent,
+  createStudent,
+  updateStudent,
+  deleteStudent,
+  validateStudent
+} from '../models/students.js';
+import { listStudentPhotos, addStudentPhotos, deleteStudentPhoto } from '../models/photos.js';
+import {
+  listFaceDescriptors,
+  saveFaceDescriptors,
+  deleteFaceDescriptor,
+  validateFaceDescriptors
+} from '../models/descriptors.js';
+import { receivePhotos, validatePhotoUpload, storePhotos, removePhotoFiles } from '../photoUploads.js';
+
+/**
+ * Student registry CRUD routes, mounted at /api/students.
+ *
+ *   GET    /api/students        list (optional ?q= search on id, name, email)
+ *   GET    /api/students/:id    single record, with its reference photos and stored face descriptors
+ *   POST   /api/students        create
+ *   PUT    /api/students/:id    partial update
+ *   DELETE /api/students/:id    remove
+ *
+ * Reference photo gallery (files are stored in `uploadDir`):
+ *
+ *   GET    /api/students/:id/photos            list
+ *   POST   /api/students/:id/photos            add JPEG `photos` (multipart, optional `poses`)
+ *   DELETE /api/students/:id/photos/:photoId   remove one
+ *   PUT    /api/students/:id/descriptors       store precomputed face descriptors
+ *                                              { modelVersion, descriptors: [{ imageUrl, descriptor }] }
+ */
+export const createStudentsRouter = (db, { uploadDir }) => {
+  const router = express.Router();
+
+  // Photo ids are serial integers; anything else cannot match a row
+  router.param('photoId', (req, res, next, photoId) => {
+    if (!/^\d+$/.test(photoId)) {
+      return res.status(404).json({ error: `Photo ${photoId} not found` });
+    }
+    next();
+  });
+
+  router.get('/', async (req, res, next) => {
+    try {
+      const students = await listStudents(db, { search: req.query.q });
+      res.json({ students });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const student = await getStudent(db, req.params.id);
+      if (!student) {
+        return res.status(404).json({ error: `Student ${req.params.id} not found` });
+      }
+      res.json({
+        student: {
+          ...student,
+          photos: await listStudentPhotos(db, student.id),
+          descriptors: await listFaceDescriptors(db, student.id)
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/', async (req, res, next) => {
+    const validationError = validateStudent(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const student = await createStudent(db, req.body);
+      if (!student) {
+        return res.status(409).json({ error: `Student ${req.body.id} already exists` });
+      }
+      res.status(201).json({ student });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put('/:id', async (req, res, next) => {
+    const validationError = validateStudent(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (req.body.id != null && req.body.id !== req.params.id) {
+      return res.status(400).json({ error: 'Student ID cannot be changed' });
+    }
+
+    try {
+      const student = await updateStudent(db, req.params.id, req.body);
+      if (!student) {
+        return res.status(404).json({ error: `Student ${req.params.id} not found` });
+      }
+      res.json({ student });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/:id', async (req, res, next) => {
+    try {
+      const deleted = await deleteStudent(db, req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: `Student ${req.params.id} not found` });
+      }
+      res.status(204).end();
+    } catch (err) {
+      if (err.code === PG_ERRORS.FOREIGN_KEY_VIOLATION) {
+        return res.status(409).json({ error: `Student ${req.params.id} has attendance records and cannot be deleted` });
+      }
+      next(err);
+    }
+  });
+
+  router.get('/:id/photos', async (req, res, next) => {
+    try {
+      if (!(await getStudent(db, req.params.id))) {
+        return res.status(404).json({ error: `Student ${req.params.id} not found` });
+      }
+      res.json({ photos: await listStudentPhotos(db, req.params.id) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/:id/photos', receivePhotos, async (req, res, next) => {
+    const uploadError = validatePhotoUpload(req);
+    if (uploadError) {
+      return res.status(400).json({ error: uploadError });
+    }
+
+    let stored = [];
+    try {
+      if (!(await getStudent(db, req.params.id))) {
+        return res.status(404).json({ error: `Student ${req.params.id} not found` });
+      }
+      stored = await storePhotos(uploadDir, req.params.id, req);
+      const photos = await addStudentPhotos(db, req.params.id, stored);
+      res.status(201).json({ photos });
+    } catch (err) {
+      await removePhotoFiles(uploadDir, stored);
+      next(err);
+    }
+  });
+
+  router.delete('/:id/photos/:photoId', async (req, res, next) => {
+    try {
+      const file = await deleteStudentPhoto(db, req.params.id, req.params.photoId);
+      if (!file) {
+        return res.status(404).json({ error: `Photo ${req.params.photoId} not found for student ${req.params.id}` });
+      }
+      await deleteFaceDescriptor(db, req.params.id, `/uploads/${file}`);
+      // The file stays on disk while it is still the student's faceImage
+      const student = await getStudent(db, req.params.id);
+      if (student.faceImage !== `/uploads/${file}`) {
+        await removePhotoFiles(uploadDir, [{ file }]);
+      }
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put('/:id/descriptors', async (req, res, next) => {
+    try {
+      const student = await getStudent(db, req.params.id);
+      if (!student) {
+        return res.status(404).json({ error: `Student ${req.params.id} not found` });
+      }
+
+      const photos = await listStudentPhotos(db, student.id);
+      const imageUrls = [student.faceImage, ...photos.map((photo) => photo.url)];
+      const validationError = validateFaceDescriptors(req.body, imageUrls);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const descriptors = await saveFaceDescriptors(db, student.id, req.body.modelVersion, req.body.descriptors);
+      res.json({ descriptors });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,47 @@
+// server/seed.js
+import { fileURLToPath } from 'url';
+import { createPool } from './db.js';
+import { runMigrations } from './migrations.js';
+import { upsertStudent } from './models/students.js';
+
+// Records carried over from the original in-memory test database (src/services/testDB.js)
+export const SEED_STUDENTS = [
+  {
+    id: '20002547',
+    name: 'John Paul',
+    department: 'CCICT',
+    year: '4th year',
+    faceImage: '/uploads/mememe.jpg',
+    email: 'john.doe@university.edu'
+  },
+  {
+    id: '2201547',
+    name: 'Kevin Durant',
+    department: 'Engineering',
+    year: 'Senior',
+    faceImage: '/uploads/jungkok.jpg',
+    email: 'kevin@university.edu'
+  }
+];
+
+/** Upserts the seed records. Safe to run repeatedly. */
+export const seedStudents = async (db) => {
+  for (const student of SEED_STUDENTS) {
+    await upsertStudent(db, student);
+  }
+  console.log(`Seeded ${SEED_STUDENTS.length} students`);
+};
+
+// `node server/seed.js` migrates and seeds the database configured by DATABASE_URL
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const db = createPool();
+  try {
+    await runMigrations(db);
+    await seedStudents(db);
+  } catch (err) {
+    console.error('Seeding failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
@@ -0,0 +1,135 @@
+// server/tests/config.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG_DEFAULTS } from '../models/kioskConfig.js';
+import { createTestDb, startTestServer } from './helpers.js';
+
+describe('/api/config', () => {
+  let db;
+  let api;
+
+  const save = (kioskId, overrides) => api.request(`/api/config/kiosks/${kioskId}`, { method: 'PUT', body: { overrides } });
+
+  before(async () => {
+    db = await createTestDb();
+    api = await startTestServer(db);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    await db.query('DELETE FROM kiosk_config');
+  });
+
+  describe('GET /', () => {
+    it('returns the defaults for a kiosk without overrides', async () => {
+      const { status, body } = await api.request('/api/config?kioskId=lobby');
+      assert.equal(status, 200);
+      assert.equal(body.kioskId, 'lobby');
+      assert.deepEqual(body.config, CONFIG_DEFAULTS);
+    });
+
+    it('merges a kiosk\'s overrides into the defaults', async () => {
+      await save('lobby', { matchThreshold: 0.65, requireBlink: false });
+
+      const { body } = await api.request('/api/config?kioskId=lobby');
+      assert.equal(body.config.matchThreshold, 0.65);
+      assert.equal(body.config.requireBlink, false);
+      assert.equal(body.config.identifyThreshold, CONFIG_DEFAULTS.identifyThreshold);
+
+      const other = await api.request('/api/config?kioskId=library');
+      assert.equal(other.body.config.matchThreshold, CONFIG_DEFAULTS.matchThreshold);
+    });
+
+    it('ignores stored overrides that no longer fit the schema', async () => {
+      await db.query(
+        `INSERT INTO kiosk_config (kiosk_id, overrides) VALUES ('lobby', $1)`,
+        [JSON.stringify({ matchThreshold: 7, retiredSetting: true, scanInterval: 500 })]
+      );
+
+      const { body } = await api.request('/api/config?kioskId=lobby');
+      assert.equal(body.config.matchThreshold, CONFIG_DEFAULTS.matchThreshold);
+      assert.equal(body.config.scanInterval, 500);
+      assert.equal('retiredSetting' in body.config, false);
+    });
+  });
+
+  describe('PUT /kiosks/:kioskId', () => {
+    it('replaces the overrides', async () => {
+      await save('lobby', { matchThreshold: 0.65 });
+      const { status, body } = await save('lobby', { nameCheck: 'reject' });
+      assert.equal(status, 200);
+      assert.deepEqual(body.kiosk.overrides, { nameCheck: 'reject' });
+
+      const { body: stored } = await api.request('/api/config/kiosks/lobby');
+      assert.deepEqual(stored.kiosk.overrides, { nameCheck: 'reject' });
+    });
+
+    it('accepts every kind of setting within its limits', async () => {
+      const { status } = await save('lobby', {
+        identifyMargin: 0.1,
+        maxFailedAttempts: 3,
+        barcodeIdField: 'sid',
+        challengeTypes: ['nod'],
+        idFormats: [{ name: 'staff', prefix: 'S-', minLength: 6, maxLength: 6, pattern: null, checkDigit: 'luhn' }],
+        nameRegion: { x: 0.1, y: 0.5, width: 0.8, height: 0.2 }
+      });
+      assert.equal(status, 200);
+    });
+
+    for (const [overrides, error] of [
+      [{ madeUp: 1 }, 'Unknown setting: madeUp'],
+      [{ matchThreshold: 1.5 }, 'matchThreshold must be a number between 0 and 1'],
+      [{ maxFailedAttempts: 2.5 }, 'maxFailedAttempts must be an integer between 1 and 20'],
+      [{ requireBlink: 'yes' }, 'requireBlink must be true or false'],
+      [{ nameCheck: 'maybe' }, 'nameCheck must be one of: off, flag, reject'],
+      [{ challengeTypes: ['left', 'left'] }, 'challengeTypes must be a list of distinct values from: left, right, nod'],
+      [{ ocrPreprocessing: [] }, 'ocrPreprocessing must be a list of distinct values from: fixed, otsu, sauvola, niblack, contrast, sharpen (at least 1)'],
+      [{ idFormats: [] }, 'idFormats must be a list of 1 to 10 formats'],
+      [{ nameRegion: { x: 0.5, y: 0, width: 0.6, height: 1 } }, 'nameRegion must be { x, y, width, height } as fractions of the card, within it']
+    ]) {
+      it(`rejects ${JSON.stringify(overrides)}`, async () => {
+        const { status, body } = await save('lobby', overrides);
+        assert.equal(status, 400);
+        assert.equal(body.error, error);
+      });
+    }
+
+    it('rejects a body without overrides and an overlong kiosk id', async () => {
+      const missing = await api.request('/api/config/kiosks/lobby', { method: 'PUT', body: {} });
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.error, 'overrides must be a JSON object');
+
+      const longId = await save('k'.repeat(101), { matchThreshold: 0.6 });
+      assert.equal(longId.status, 400);
+    });
+
+    it('stores nothing when the overrides are rejected', async () => {
+      await save('lobby', { matchThreshold: 2 });
+      assert.equal((await api.request('/api/config/kiosks/lobby')).status, 404);
+    });
+  });
+
+  describe('DELETE /kiosks/:kioskId', () => {
+    it('puts the kiosk back on the defaults', async () => {
+      await save('lobby', { matchThreshold: 0.65 });
+
+      assert.equal((await api.request('/api/config/kiosks/lobby', { method: 'DELETE' })).status, 204);
+      const { body } = await api.request('/api/config?kioskId=lobby');
+      assert.deepEqual(body.config, CONFIG_DEFAULTS);
+      assert.equal((await api.request('/api/config/kiosks/lobby', { method: 'DELETE' })).status, 404);
+    });
+  });
+
+  describe('GET /kiosks', () => {
+    it('lists the kiosks with overrides', async () => {
+      await save('library', { scanInterval: 800 });
+      await save('lobby', { scanInterval: 600 });
+
+      const { body } = await api.request('/api/config/kiosks');
+      assert.deepEqual(body.kiosks.map((kiosk) => kiosk.kioskId), ['library', 'lobby']);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// server/tests/exporters.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable, Writable } from 'stream';
+import ExcelJS from 'exceljs';
+import { EXPORT_COLUMNS, streamExport } from '../exporters.js';
+import { createTestDb, startTestServer } from './helpers.js';
+
+const ROW = { student_id: '2024001', name: 'Ann Lee', status: 'present', recorded_at: new Date(0) };
+
+/** A pool with one client whose query streams `count` rows */
+const fakeDb = (count) => {
+  const client = {
+    released: false,
+    query: () => Readable.from(Array.from({ length: count }, () => ROW)),
+    release() { this.released = true; }
+  };
+  return { client, connect: async () => client };
+};
+
+/** A response whose client never reads, so its buffer fills up */
+const stalledResponse = () => {
+  const res = new Writable({ highWaterMark: 16, write: () => {} });
+  res.setHeader = () => {};
+  return res;
+};
+
+describe('streamExport', () => {
+  it('releases the database client when the response closes mid-export', async () => {
+    const db = fakeDb(1000);
+    const res = stalledResponse();
+
+    const exporting = streamExport(db, { text: 'SELECT 1', values: [] }, 'csv', res, 'attendance');
+    await new Promise((resolve) => setImmediate(resolve));
+    res.destroy();
+
+    await assert.rejects(exporting, /Response closed during export/);
+    assert.equal(db.client.released, true);
+  });
+});
+
+describe('GET /api/attendance/export', () => {
+  let api;
+
+  before(async () => {
+    const db = await createTestDb();
+    await db.query(
+      `INSERT INTO students (id, name, face_image, department) VALUES
+         ('2024001', 'Ann Lee', '/uploads/ann.jpg', 'CS'),
+         ('2024002', '=HYPERLINK("x")', '/uploads/bo.jpg', 'EE')`
+    );
+    await db.query(
+      `INSERT INTO attendance (student_id, similarity, input_method, recorded_at) VALUES
+         ('2024001', 0.81, 'ocr', '2024-03-01T09:00:00Z'),
+         ('2024002', 0.77, 'barcode', '2024-03-01T09:05:00Z'),
+         ('2024001', 0.85, 'keypad', '2024-03-02T09:00:00Z')`
+    );
+    api = await startTestServer(db);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  const download = (query) => fetch(`${api.baseUrl}/api/attendance/export?${query}`);
+
+  it('writes csv by default, oldest first, with formulas defused', async () => {
+    const res = await download('from=2024-03-01&to=2024-03-01');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.equal(res.headers.get('content-disposition'), 'attachment; filename="attendance_2024-03-01_2024-03-01.csv"');
+
+    const lines = (await res.text()).trim().split('\r\n');
+    assert.equal(lines[0], EXPORT_COLUMNS.map((column) => column.header).join(','));
+    assert.equal(lines.length, 3);
+    assert.match(lines[1], /^2024001,Ann Lee,CS,/);
+    assert.match(lines[2], /^2024002,"'=HYPERLINK\(""x""\)",EE,/);
+  });
+
+  it('writes json', async () => {
+    const res = await download('format=json&department=CS');
+    assert.equal(res.headers.get('content-type'), 'application/json; charset=utf-8');
+
+    const records = await res.json();
+    assert.deepEqual(records.map((record) => [record.studentId, record.inputMethod]), [['2024001', 'ocr'], ['2024001', 'keypad']]);
+    assert.equal(records[0].recordedAt, '2024-03-01T09:00:00.000Z');
+  });
+
+  it('writes an empty json list when nothing matches', async () => {
+    const res = await download('format=json&from=2025-01-01');
+    assert.deepEqual(await res.json(), []);
+  });
+
+  it('writes xlsx', async () => {
+    const res = await download('format=xlsx&from=2024-03-02');
+    assert.equal(res.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(Buffer.from(await res.arrayBuffer()));
+    const sheet = workbook.getWorksheet('Attendance');
+    assert.equal(sheet.rowCount, 2);
+    assert.equal(sheet.getRow(1).getCell(1).value, 'Student ID');
+    assert.equal(sheet.getRow(2).getCell(1).value, '2024001');
+  });
+
+  it('rejects an unknown format and a reversed range', async () => {
+    const format = await download('format=pdf');
+    assert.equal(format.status, 400);
+    assert.equal((await format.json()).error, 'format must be one of: csv, json, xlsx');
+
+    const range = await download('from=2024-03-02&to=2024-03-01');
+    assert.equal(range.status, 400);
+    assert.equal((await range.json()).error, 'from must not be after to');
+  });
+
+  it('rejects days that do not exist instead of passing them to the database', async () => {
+    for (const path of ['/api/attendance/export?from=2024-13-45', '/api/attendance?date=2023-02-29', '/api/attendance/stats/daily?to=2024-04-31']) {
+      const { status, body } = await api.request(path);
+      assert.equal(status, 400, path);
+      assert.match(body.error, /^(from|to|date) must be a date formatted as YYYY-MM-DD$/);
+    }
+    assert.equal((await api.request('/api/attendance?date=2024-02-29')).status, 200);
+  });
+});
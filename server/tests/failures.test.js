@@ -0,0 +1,130 @@
+// server/tests/failures.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The app picks its evidence directory up when backend.js is first imported
+const evidenceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+process.env.EVIDENCE_DIR = evidenceDir;
+const { createTestDb, startTestServer } = await import('./helpers.js');
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0xff, 0xd9]);
+const SNAPSHOT = `data:image/jpeg;base64,${JPEG.toString('base64')}`;
+
+describe('/api/failures', () => {
+  let db;
+  let api;
+
+  const report = (body) => api.request('/api/failures', { method: 'POST', body });
+
+  before(async () => {
+    db = await createTestDb();
+    api = await startTestServer(db);
+  });
+
+  after(async () => {
+    await api.close();
+    fs.rmSync(evidenceDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await db.query('DELETE FROM failed_attempts');
+    for (const file of fs.readdirSync(evidenceDir)) fs.rmSync(path.join(evidenceDir, file));
+  });
+
+  describe('POST /', () => {
+    it('records the attempt and stores its snapshot as evidence', async () => {
+      const { status, body } = await report({
+        outcome: 'failed_mismatch',
+        attemptedId: '2024001',
+        matchedId: '2024002',
+        matchedSimilarity: 0.74,
+        ocrDigits: '2024001',
+        inputMethod: 'ocr',
+        similarityScores: [0.41, 0.44],
+        reason: 'Face matches enrolled student 2024002',
+        kioskId: 'kiosk-1',
+        snapshot: SNAPSHOT
+      });
+      assert.equal(status, 201);
+      assert.equal(body.failure.outcome, 'failed_mismatch');
+      assert.equal(body.failure.matchedId, '2024002');
+      assert.deepEqual(body.failure.similarityScores, [0.41, 0.44]);
+      assert.equal(body.failure.hasSnapshot, true);
+
+      const files = fs.readdirSync(evidenceDir);
+      assert.equal(files.length, 1);
+      assert.deepEqual(fs.readFileSync(path.join(evidenceDir, files[0])), JPEG);
+
+      const snapshot = await fetch(`${api.baseUrl}/api/failures/${body.failure.id}/snapshot`);
+      assert.equal(snapshot.status, 200);
+      assert.equal(snapshot.headers.get('content-type'), 'image/jpeg');
+      assert.equal(snapshot.headers.get('cache-control'), 'private, no-store');
+      assert.deepEqual(Buffer.from(await snapshot.arrayBuffer()), JPEG);
+    });
+
+    it('records an attempt without a snapshot', async () => {
+      const { status, body } = await report({ outcome: 'failed_id', attemptedId: '9999999' });
+      assert.equal(status, 201);
+      assert.equal(body.failure.hasSnapshot, false);
+      assert.deepEqual(fs.readdirSync(evidenceDir), []);
+
+      const snapshot = await api.request(`/api/failures/${body.failure.id}/snapshot`);
+      assert.equal(snapshot.status, 404);
+    });
+
+    it('rejects a snapshot that is not a JPEG without writing it', async () => {
+      const png = `data:image/png;base64,${Buffer.from('\x89PNG').toString('base64')}`;
+      const { status, body } = await report({ outcome: 'failed_face', snapshot: png });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'snapshot must be a base64 JPEG data URL');
+      assert.deepEqual(fs.readdirSync(evidenceDir), []);
+    });
+
+    it('rejects an unknown outcome and out-of-range scores', async () => {
+      assert.equal((await report({ outcome: 'failed_everything' })).status, 400);
+      assert.equal((await report({ outcome: 'failed_face', similarityScores: [1.2] })).status, 400);
+      assert.equal((await report({ outcome: 'failed_face', inputMethod: 'telepathy' })).status, 400);
+    });
+  });
+
+  describe('GET /', () => {
+    beforeEach(async () => {
+      await report({ outcome: 'failed_id', attemptedId: '9999999' });
+      await report({ outcome: 'failed_mismatch', attemptedId: '2024001', matchedId: '2024002', matchedSimilarity: 0.7 });
+      await report({ outcome: 'failed_face', attemptedId: '2024002' });
+    });
+
+    it('lists attempts newest first', async () => {
+      const { body } = await api.request('/api/failures');
+      assert.deepEqual(body.failures.map((failure) => failure.outcome), ['failed_face', 'failed_mismatch', 'failed_id']);
+    });
+
+    it('filters by outcome and by attempted or matched student', async () => {
+      const byOutcome = await api.request('/api/failures?outcome=failed_id');
+      assert.deepEqual(byOutcome.body.failures.map((failure) => failure.attemptedId), ['9999999']);
+
+      const byStudent = await api.request('/api/failures?studentId=2024002');
+      assert.deepEqual(byStudent.body.failures.map((failure) => failure.outcome), ['failed_face', 'failed_mismatch']);
+
+      const limited = await api.request('/api/failures?limit=1');
+      assert.equal(limited.body.failures.length, 1);
+    });
+
+    it('rejects invalid filters', async () => {
+      assert.equal((await api.request('/api/failures?outcome=failed_everything')).status, 400);
+      assert.equal((await api.request('/api/failures?date=March')).status, 400);
+      assert.equal((await api.request('/api/failures?date=2024-13-45')).status, 400);
+      assert.equal((await api.request('/api/failures?limit=-1')).status, 400);
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('returns 404 for an unknown or malformed id', async () => {
+      assert.equal((await api.request('/api/failures/9999')).status, 404);
+      assert.equal((await api.request('/api/failures/abc')).status, 404);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+// server/tests/helpers.js
+import { Readable } from 'stream';
+import { newDb } from 'pg-mem';
+import { runMigrations } from '../migrations.js';
+import { createApp } from '../../backend.js';
+
+/**
+ * pg-mem has no cursors, so a pg-query-stream query on a pooled client is
+ * run as a plain query and its rows streamed from the full result.
+ */
+const withQueryStreams = (db) => {
+  const connect = db.connect.bind(db);
+  db.connect = async () => {
+    const client = await connect();
+    const query = client.query.bind(client);
+    client.query = (config, ...args) => {
+      if (typeof config?.submit !== 'function' || !config.cursor) return query(config, ...args);
+      const { text, values } = config.cursor;
+      return Readable.from((async function* () {
+        yield* (await query(text, values)).rows;
+      })());
+    };
+    return client;
+  };
+  return db;
+};
+
+/**
+ * Creates an in-process pg-mem database with the pg Pool API.
+ * With `migrate` set (the default) every migration is applied first.
+ */
+export const createTestDb = async ({ migrate = true } = {}) => {
+  const mem = newDb();
+  const { Pool } = mem.adapters.createPg();
+  const db = withQueryStreams(new Pool());
+  if (migrate) await runMigrations(db);
+  return db;
+};
+
+/**
+ * Starts the API on a random local port around `db`.
+ * `request(path, { method, body })` sends JSON (or a FormData as multipart) and
+ * resolves to { status, body }; responses that aren't JSON (exports) can be
+ * fetched from `baseUrl` directly.
+ */
+export const startTestServer = async (db) => {
+  const server = createApp(db).listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const isJson = body !== undefined && !(body instanceof FormData);
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: isJson ? { 'Content-Type': 'application/json' } : {},
+      body: isJson ? JSON.stringify(body) : body
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { baseUrl, request, close };
+};
@@ -0,0 +1,62 @@
+// server/tests/idConsensus.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIdVote } from '../../src/services/idConsensus.js';
+
+/** feeds the reads in order and returns the last tally */
+const feed = (vote, reads) => reads.reduce((_, ids) => vote.add(ids), null);
+
+describe('createIdVote', () => {
+  it('accepts an id once it wins the required reads', () => {
+    const vote = createIdVote({ votes: 3, window: 5 });
+    assert.equal(vote.add(['A']).accepted, false);
+    assert.equal(vote.add([]).accepted, false);
+    assert.equal(vote.add(['A']).accepted, false);
+    assert.deepEqual(vote.add(['A']), { studentId: 'A', votes: 3, required: 3, contested: false, accepted: true });
+  });
+
+  it('does not accept while another id is in the window', () => {
+    const tally = feed(createIdVote({ votes: 3, window: 5 }), [['B'], ['A'], ['A'], ['A']]);
+    assert.equal(tally.studentId, 'A');
+    assert.equal(tally.contested, true);
+    assert.equal(tally.accepted, false);
+  });
+
+  it('lets a competing read age out of the window', () => {
+    const tally = feed(createIdVote({ votes: 3, window: 5 }), [['B'], ['A'], ['A'], ['A'], ['A'], ['A']]);
+    assert.equal(tally.contested, false);
+    assert.equal(tally.accepted, true);
+  });
+
+  it('never accepts on a frame that read no id', () => {
+    const vote = createIdVote({ votes: 3, window: 5 });
+    const tally = feed(vote, [['B'], ['A'], ['A'], ['A'], [], []]);
+    assert.deepEqual(tally, { studentId: 'A', votes: 3, required: 3, contested: false, accepted: false });
+    assert.equal(vote.add(['A']).accepted, true);
+  });
+
+  it('drops votes older than the window', () => {
+    const tally = feed(createIdVote({ votes: 3, window: 3 }), [['A'], ['A'], [], ['A']]);
+    assert.equal(tally.votes, 2);
+    assert.equal(tally.accepted, false);
+  });
+
+  it('raises the window to the required votes', () => {
+    const tally = feed(createIdVote({ votes: 3, window: 1 }), [['A'], ['A'], ['A']]);
+    assert.equal(tally.accepted, true);
+  });
+
+  it('counts a frame reading two ids as contested', () => {
+    const tally = feed(createIdVote({ votes: 1, window: 1 }), [['A', 'B']]);
+    assert.equal(tally.contested, true);
+    assert.equal(tally.accepted, false);
+  });
+
+  it('forgets every read on reset', () => {
+    const vote = createIdVote({ votes: 2, window: 2 });
+    vote.add(['A']);
+    vote.reset();
+    assert.equal(vote.add(['A']).votes, 1);
+    assert.deepEqual(createIdVote().add([]), { studentId: null, votes: 0, required: 3, contested: false, accepted: false });
+  });
+});
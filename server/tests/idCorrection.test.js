@@ -0,0 +1,46 @@
+// server/tests/idCorrection.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { correctIdRead } from '../../src/services/idCorrection.js';
+
+const SEVEN_DIGITS = { name: 'student', minLength: 7, maxLength: 7, checkDigit: null };
+const PREFIXED = { name: 'staff', prefix: 'S', minLength: 6, maxLength: 6, checkDigit: null };
+
+const correct = (text, ids, formats = [SEVEN_DIGITS]) => correctIdRead({ text }, new Set(ids), formats);
+
+describe('correctIdRead', () => {
+  it('corrects a substituted, dropped or extra digit', () => {
+    assert.deepEqual(correct('2201541', ['2201547']), { studentId: '2201547', read: '2201541', edit: '1 -> 7 at 6' });
+    assert.deepEqual(correct('220154', ['2201547']), { studentId: '2201547', read: '220154', edit: 'insert 7 at 6' });
+    assert.equal(correct('22015477', ['2201547'])?.studentId, '2201547');
+    assert.equal(correct('2201 541', ['2201547'])?.studentId, '2201547');
+  });
+
+  it('measures the distance to the whole digit run, not a window of it', () => {
+    for (const text of ['22015433', '99220154', '2201 5499 1234']) {
+      assert.equal(correct(text, ['2201547']), null, text);
+    }
+  });
+
+  it('gives up when two registered ids are one edit away', () => {
+    assert.equal(correct('2201549', ['2201547', '2201548']), null);
+  });
+
+  it('never edits a digit read with high confidence', () => {
+    const symbols = [...'2201541'].map((text, i) => ({ text, confidence: i === 6 ? 95 : 50 }));
+    assert.equal(correctIdRead({ text: '2201541', symbols }, new Set(['2201547']), [SEVEN_DIGITS]), null);
+    symbols[6].confidence = 40;
+    assert.equal(correctIdRead({ text: '2201541', symbols }, new Set(['2201547']), [SEVEN_DIGITS])?.studentId, '2201547');
+  });
+
+  it('only corrects into ids that fit their format', () => {
+    const luhn = { ...SEVEN_DIGITS, checkDigit: 'luhn' };
+    // 2201547 fails luhn, so it is never a correction even when registered
+    assert.equal(correct('2201541', ['2201547'], [luhn]), null);
+  });
+
+  it('reads the digits after a prefix as one run', () => {
+    assert.equal(correct('NAME ANN LEE S 12345', ['S123456'], [PREFIXED])?.studentId, 'S123456');
+    assert.equal(correct('S1234567 8', ['S123456'], [PREFIXED]), null);
+  });
+});
@@ -0,0 +1,86 @@
+// server/tests/idFormats.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractIdCandidates, getOcrWhitelist, matchesIdFormat } from '../../src/services/idFormats.js';
+import { validateIdFormats } from '../models/kioskConfig.js';
+
+const format = (overrides) => ({ prefix: '', minLength: 1, maxLength: 20, pattern: null, checkDigit: null, ...overrides });
+
+describe('matchesIdFormat', () => {
+  it('checks the prefix and the number of digits after it', () => {
+    const staff = format({ prefix: 'S-', minLength: 6, maxLength: 7 });
+    assert.equal(matchesIdFormat('S-123456', staff), true);
+    assert.equal(matchesIdFormat('S-1234567', staff), true);
+    assert.equal(matchesIdFormat('S-12345', staff), false);
+    assert.equal(matchesIdFormat('S-12345678', staff), false);
+    assert.equal(matchesIdFormat('123456', staff), false);
+    assert.equal(matchesIdFormat('S-12A456', staff), false);
+  });
+
+  it('requires the pattern to match the whole id', () => {
+    const sevenDigits = format({ pattern: '\\d{7}' });
+    assert.equal(matchesIdFormat('2024001', sevenDigits), true);
+    assert.equal(matchesIdFormat('20240012', sevenDigits), false);
+
+    const byYear = format({ prefix: 'S', pattern: 'S20|S21\\d+' });
+    assert.equal(matchesIdFormat('S21001', byYear), true);
+    assert.equal(matchesIdFormat('S20001', byYear), false);
+  });
+
+  it('validates luhn check digits', () => {
+    const luhn = format({ checkDigit: 'luhn' });
+    assert.equal(matchesIdFormat('79927398713', luhn), true);
+    assert.equal(matchesIdFormat('79927398710', luhn), false);
+    assert.equal(matchesIdFormat('79927398731', luhn), false);   // swapped digits
+    assert.equal(matchesIdFormat('0', luhn), false);   // a check digit alone
+  });
+
+  it('validates mod 11 check digits', () => {
+    const mod11 = format({ checkDigit: 'mod11' });
+    // 6*2 + 5*3 + 4*4 + 3*5 + 2*6 + 1*7 = 77, (11 - 77 % 11) % 11 = 0
+    assert.equal(matchesIdFormat('1234560', mod11), true);
+    assert.equal(matchesIdFormat('1234561', mod11), false);
+    // 6*2 = 12, (11 - 12 % 11) = 10 has no single digit, so no 6x is valid
+    for (let digit = 0; digit <= 9; digit++) assert.equal(matchesIdFormat(`6${digit}`, mod11), false);
+  });
+
+  it('validates custom weighted check digits', () => {
+    const weighted = format({ checkDigit: { weights: [3, 1], modulus: 10 } });
+    // 3*3 + 2*1 + 1*3 = 14, (10 - 14 % 10) % 10 = 6
+    assert.equal(matchesIdFormat('1236', weighted), true);
+    assert.equal(matchesIdFormat('1237', weighted), false);
+  });
+});
+
+describe('extractIdCandidates', () => {
+  it('joins digits printed in groups and tries longer ids first', () => {
+    assert.deepEqual(
+      extractIdCandidates('ID 2000 2547', [format({ minLength: 7, maxLength: 8 })]),
+      ['20002547', '2000254', '0002547']
+    );
+  });
+
+  it('reads the digits after a prefix, whitespace ignored', () => {
+    const staff = format({ prefix: 'S', minLength: 6, maxLength: 6 });
+    assert.deepEqual(extractIdCandidates('Staff s 123 456 789', [staff]), ['S123456']);
+  });
+
+  it('drops candidates that fail their check digit', () => {
+    assert.deepEqual(extractIdCandidates('79927398713', [format({ minLength: 11, maxLength: 11, checkDigit: 'luhn' })]), ['79927398713']);
+    assert.deepEqual(extractIdCandidates('79927398710', [format({ minLength: 11, maxLength: 11, checkDigit: 'luhn' })]), []);
+  });
+});
+
+describe('getOcrWhitelist', () => {
+  it('adds the letters and dashes of prefixes to the digits', () => {
+    assert.equal(getOcrWhitelist([format({ prefix: 'S-' }), format({ prefix: '20' })]), '0123456789S-');
+  });
+});
+
+describe('validateIdFormats', () => {
+  it('rejects a pattern that does not compile', () => {
+    assert.equal(validateIdFormats([format({ minLength: 7, maxLength: 7, pattern: '(\\d{7}' })]),
+      'idFormats[0].pattern is not a valid regular expression');
+    assert.equal(validateIdFormats([format({ minLength: 7, maxLength: 7, pattern: '\\d{7}' })]), null);
+  });
+});
@@ -0,0 +1,72 @@
+// server/tests/migrations.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS, runMigrations } from '../migrations.js';
+import { createTestDb } from './helpers.js';
+
+const columnsOf = async (db, table) => {
+  const { rows } = await db.query(
+    'SELECT column_name FROM information_schema.columns WHERE table_name = $1',
+    [table]
+  );
+  return rows.map((row) => row.column_name);
+};
+
+describe('runMigrations', () => {
+  it('has unique migration ids', () => {
+    const ids = MIGRATIONS.map((migration) => migration.id);
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it('applies every migration on an empty database and records it', async () => {
+    const db = await createTestDb({ migrate: false });
+    await runMigrations(db);
+
+    const { rows } = await db.query('SELECT id FROM schema_migrations ORDER BY id');
+    assert.deepEqual(rows.map((row) => row.id), MIGRATIONS.map((migration) => migration.id));
+  });
+
+  it('creates the tables and later columns the models use', async () => {
+    const db = await createTestDb();
+
+    for (const table of ['students', 'attendance', 'sections', 'section_enrollments', 'class_sessions',
+      'failed_attempts', 'student_photos', 'face_descriptors', 'kiosk_config']) {
+      assert.ok((await columnsOf(db, table)).length > 0, `table ${table} is missing`);
+    }
+
+    const attendance = await columnsOf(db, 'attendance');
+    for (const column of ['session_id', 'status', 'kiosk_id', 'name_score', 'name_flagged', 'input_method']) {
+      assert.ok(attendance.includes(column), `attendance.${column} is missing`);
+    }
+    const failures = await columnsOf(db, 'failed_attempts');
+    for (const column of ['matched_id', 'matched_similarity', 'input_method']) {
+      assert.ok(failures.includes(column), `failed_attempts.${column} is missing`);
+    }
+  });
+
+  it('does nothing when run again', async () => {
+    const db = await createTestDb();
+    await db.query(
+      `INSERT INTO students (id, name, face_image) VALUES ('2024001', 'Ann Lee', '/uploads/ann.jpg')`
+    );
+
+    await runMigrations(db);
+
+    const { rows: applied } = await db.query('SELECT id FROM schema_migrations');
+    assert.equal(applied.length, MIGRATIONS.length);
+    const { rows: students } = await db.query('SELECT id FROM students');
+    assert.equal(students.length, 1);
+  });
+
+  it('enforces the attendance status values', async () => {
+    const db = await createTestDb();
+    await db.query(
+      `INSERT INTO students (id, name, face_image) VALUES ('2024001', 'Ann Lee', '/uploads/ann.jpg')`
+    );
+
+    await db.query(`INSERT INTO attendance (student_id, status) VALUES ('2024001', 'late')`);
+    await assert.rejects(
+      db.query(`INSERT INTO attendance (student_id, status) VALUES ('2024001', 'excused')`)
+    );
+  });
+});
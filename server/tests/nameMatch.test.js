@@ -0,0 +1,46 @@
+// server/tests/nameMatch.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareNames } from '../../src/services/nameMatch.js';
+
+const THRESHOLD = 0.6;   // nameMatchThreshold default
+
+describe('compareNames', () => {
+  it('matches the name in registered or surname-first order', () => {
+    assert.equal(compareNames('ANN LEE', 'Ann Lee'), 1);
+    assert.equal(compareNames('LEE, ANN', 'Ann Lee'), 1);
+    assert.equal(compareNames('Name: Zoë Ångström  ID 2024001', 'Zoe Angstrom'), 1);
+  });
+
+  it('accepts words ocr merged, split or misread', () => {
+    assert.equal(compareNames('ANNLEE', 'Ann Lee'), 1);
+    assert.equal(compareNames('AN NLEE', 'Ann Lee'), 1);
+    assert.ok(compareNames('ANN LFE', 'Ann Lee') >= THRESHOLD);
+  });
+
+  it('skips one word between two name parts', () => {
+    assert.equal(compareNames('ANN MARIE LEE', 'Ann Lee'), 1);
+    assert.ok(compareNames('ANN MARIE JOY LEE', 'Ann Lee') < 1);
+  });
+
+  it('does not piece a name together from words scattered over the card', () => {
+    const card = 'UNIVERSITY OF TORONTO STUDENT CARD INFORMATION TECHNOLOGY VALID UNTIL 2026';
+    assert.ok(compareNames(card, 'Ian Chen') < THRESHOLD);
+    assert.ok(compareNames(card, 'Tom Ng') < THRESHOLD);
+  });
+
+  it('keeps the name parts in order', () => {
+    assert.ok(compareNames('MARIE ANN LEE', 'Ann Marie Lee') < 1);
+    assert.equal(compareNames('LEE ANN MARIE', 'Ann Marie Lee'), 1);
+  });
+
+  it('scores a different name low', () => {
+    assert.ok(compareNames('BO CHEN', 'Ann Lee') < THRESHOLD);
+  });
+
+  it('returns null when there is nothing to compare', () => {
+    assert.equal(compareNames('', 'Ann Lee'), null);
+    assert.equal(compareNames('2024001 - J', 'Ann Lee'), null);
+    assert.equal(compareNames(null, 'Ann Lee'), null);
+  });
+});
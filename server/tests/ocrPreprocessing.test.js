@@ -0,0 +1,60 @@
+// server/tests/ocrPreprocessing.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toGrayscale, stretchContrast, otsuThreshold, PREPROCESSING_METHODS
+} from '../../src/services/ocrPreprocessing.js';
+
+/** gray levels spread evenly over center +- spread */
+const cluster = (center, spread, count) =>
+  Array.from({ length: count }, (_, i) => center - spread + (2 * spread * i) / (count - 1));
+
+describe('otsuThreshold', () => {
+  it('separates the two peaks of a bimodal histogram', () => {
+    const gray = Float32Array.from([...cluster(50, 10, 300), ...cluster(180, 15, 700)]);
+    const threshold = otsuThreshold(gray);
+    assert.ok(threshold >= 60 && threshold < 165, `threshold ${threshold}`);
+  });
+
+  it('puts every dark pixel below the threshold and every light one above', () => {
+    const gray = Float32Array.from([...cluster(30, 5, 50), ...cluster(220, 5, 950)]);
+    const binary = PREPROCESSING_METHODS.otsu(gray);
+    assert.ok(binary.slice(0, 50).every((value) => value === 0));
+    assert.ok(binary.slice(50).every((value) => value === 255));
+  });
+});
+
+describe('stretchContrast', () => {
+  it('maps the darkest and brightest levels to 0 and 255', () => {
+    const stretched = stretchContrast(Float32Array.from(cluster(100, 20, 1000)));
+    assert.ok(stretched[0] < 5);
+    assert.ok(stretched[999] > 250);
+  });
+
+  it('leaves a flat image alone', () => {
+    const flat = new Float32Array(100).fill(128);
+    assert.deepEqual(stretchContrast(flat), flat);
+  });
+});
+
+describe('toGrayscale', () => {
+  it('weights the channels by luminance', () => {
+    const gray = toGrayscale(Uint8ClampedArray.from([255, 0, 0, 255, 0, 255, 0, 255, 255, 255, 255, 255]));
+    assert.deepEqual([...gray].map(Math.round), [76, 150, 255]);
+  });
+});
+
+describe('sauvola', () => {
+  it('keeps dark print on a background that darkens across the image', () => {
+    const width = 60, height = 20;
+    // background fades from 230 to 110; a dark stroke (40) runs down column 45
+    const gray = Float32Array.from({ length: width * height }, (_, i) => {
+      const x = i % width;
+      return x === 45 ? 40 : 230 - 2 * x;
+    });
+    const binary = PREPROCESSING_METHODS.sauvola(gray, width, height);
+    const row = binary.slice(10 * width, 11 * width);
+    assert.equal(row[45], 0);
+    assert.ok(row.filter((value, x) => x !== 45 && value === 0).length <= 2);
+  });
+});
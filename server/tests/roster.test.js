@@ -0,0 +1,77 @@
+// server/tests/roster.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { readPhotoArchive, MAX_ROSTER_PHOTOS } from '../roster.js';
+import { MAX_PHOTO_BYTES } from '../photoUploads.js';
+import { createTestDb, startTestServer } from './helpers.js';
+
+const zipOf = (files) => {
+  const zip = new JSZip();
+  for (const [name, contents] of Object.entries(files)) zip.file(name, contents);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+describe('readPhotoArchive', () => {
+  it('reads the files of a zip, skipping hidden ones', async () => {
+    const { entries, error } = await readPhotoArchive(await zipOf({
+      'intake/2024001.jpg': 'ann',
+      '__MACOSX/intake/._2024001.jpg': 'fork',
+      'intake/.DS_Store': 'finder'
+    }));
+    assert.equal(error, undefined);
+    assert.deepEqual(entries.map(({ name, buffer }) => [name, buffer.toString()]), [['intake/2024001.jpg', 'ann']]);
+  });
+
+  it('rejects a buffer that is not a zip', async () => {
+    const { error } = await readPhotoArchive(Buffer.from('not a zip'));
+    assert.equal(error, 'archive must be a zip file');
+  });
+
+  it('stops inflating an entry larger than a photo may be', async () => {
+    // compresses to a few kB
+    const { entries, error } = await readPhotoArchive(await zipOf({ 'bomb.jpg': Buffer.alloc(MAX_PHOTO_BYTES + 1) }));
+    assert.equal(entries, undefined);
+    assert.match(error, /^archive entry bomb\.jpg is larger than 5 MB$/);
+  });
+
+  it('rejects an archive with too many files', async () => {
+    const files = Object.fromEntries(Array.from({ length: MAX_ROSTER_PHOTOS + 1 }, (_, i) => [`${i}.jpg`, 'x']));
+    const { error } = await readPhotoArchive(await zipOf(files));
+    assert.equal(error, `archive holds more than ${MAX_ROSTER_PHOTOS} files`);
+  });
+});
+
+describe('POST /api/imports/roster', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer(await createTestDb());
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  const upload = (form) => api.request('/api/imports/roster', { method: 'POST', body: form });
+
+  it('rejects a photo larger than an enrollment photo', async () => {
+    const form = new FormData();
+    form.append('roster', new Blob(['id,name,faceImage\n2024001,Ann Lee,ann.jpg\n']), 'roster.csv');
+    form.append('photos', new Blob([Buffer.alloc(MAX_PHOTO_BYTES + 1)]), 'ann.jpg');
+
+    const { status, body } = await upload(form);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Photo ann.jpg is larger than 5 MB');
+  });
+
+  it('reports why an archive was refused', async () => {
+    const form = new FormData();
+    form.append('roster', new Blob(['id,name,faceImage\n2024001,Ann Lee,ann.jpg\n']), 'roster.csv');
+    form.append('archive', new Blob([await zipOf({ 'ann.jpg': Buffer.alloc(MAX_PHOTO_BYTES + 1) })]), 'photos.zip');
+
+    const { status, body } = await upload(form);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'archive entry ann.jpg is larger than 5 MB');
+  });
+});
@@ -0,0 +1,181 @@
+// server/tests/sessions.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDb, startTestServer } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const STUDENTS = ['2024001', '2024002', '2024003'];
+
+describe('/api/sessions', () => {
+  let db;
+  let api;
+
+  const post = (path, body) => api.request(path, { method: 'POST', body });
+
+  /** Opens a CS101 session at kiosk-1 that started `startedMinutesAgo` ago and runs for two hours */
+  const openSession = async (startedMinutesAgo, graceMinutes = 10) => {
+    const startsAt = Date.now() - startedMinutesAgo * MINUTE;
+    const { body } = await post('/api/sessions', {
+      sectionId: 'CS101',
+      kioskId: 'kiosk-1',
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: new Date(startsAt + 120 * MINUTE).toISOString(),
+      graceMinutes
+    });
+    return body.session;
+  };
+
+  const checkIn = (studentId, kioskId = 'kiosk-1') =>
+    post('/api/attendance', { studentId, similarity: 0.9, kioskId });
+
+  before(async () => {
+    db = await createTestDb();
+    api = await startTestServer(db);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    for (const table of ['attendance', 'class_sessions', 'section_enrollments', 'sections', 'students']) {
+      await db.query(`DELETE FROM ${table}`);
+    }
+    for (const id of STUDENTS) {
+      await post('/api/students', { id, name: `Student ${id}`, faceImage: `/uploads/${id}.jpg` });
+    }
+    await post('/api/sections', { id: 'CS101', name: 'Intro to Computing' });
+    await post('/api/sections/CS101/enrollments', { studentIds: STUDENTS });
+  });
+
+  describe('POST /', () => {
+    it('schedules a session with the default grace period', async () => {
+      const { status, body } = await post('/api/sessions', {
+        sectionId: 'CS101',
+        kioskId: 'kiosk-1',
+        startsAt: '2024-03-01T09:00:00Z',
+        endsAt: '2024-03-01T10:30:00Z'
+      });
+      assert.equal(status, 201);
+      assert.equal(body.session.sectionName, 'Intro to Computing');
+      assert.equal(body.session.graceMinutes, 10);
+      assert.equal(body.session.closedAt, null);
+    });
+
+    it('rejects a session that ends before it starts', async () => {
+      const { status, body } = await post('/api/sessions', {
+        sectionId: 'CS101',
+        kioskId: 'kiosk-1',
+        startsAt: '2024-03-01T10:00:00Z',
+        endsAt: '2024-03-01T09:00:00Z'
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'endsAt must be after startsAt');
+    });
+
+    it('returns 404 for an unknown section', async () => {
+      const { status } = await post('/api/sessions', {
+        sectionId: 'CS999',
+        kioskId: 'kiosk-1',
+        startsAt: '2024-03-01T09:00:00Z',
+        endsAt: '2024-03-01T10:00:00Z'
+      });
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('check-in', () => {
+    it('marks a student present within the grace period', async () => {
+      const session = await openSession(5);
+
+      const { status, body } = await checkIn('2024001');
+      assert.equal(status, 201);
+      assert.equal(body.record.sessionId, session.id);
+      assert.equal(body.record.sectionId, 'CS101');
+      assert.equal(body.record.status, 'present');
+    });
+
+    it('marks a student late after the grace period', async () => {
+      await openSession(30, 10);
+
+      const { body } = await checkIn('2024001');
+      assert.equal(body.record.status, 'late');
+    });
+
+    it('counts a check-in shortly before the start', async () => {
+      await openSession(-10);
+
+      const { body } = await checkIn('2024001');
+      assert.equal(body.record.status, 'present');
+    });
+
+    it('returns the first record for a repeat check-in', async () => {
+      await openSession(5);
+
+      const first = await checkIn('2024001');
+      const second = await checkIn('2024001');
+      assert.equal(second.body.record.id, first.body.record.id);
+    });
+
+    it('does not attach check-ins at another kiosk', async () => {
+      await openSession(5);
+
+      const { body } = await checkIn('2024001', 'kiosk-2');
+      assert.equal(body.record.sessionId, null);
+      assert.equal(body.record.status, null);
+    });
+  });
+
+  describe('POST /:id/close', () => {
+    it('marks every enrolled student without a check-in absent', async () => {
+      const session = await openSession(30, 10);
+      await db.query(
+        `INSERT INTO attendance (student_id, kiosk_id, session_id, status) VALUES ('2024001', 'kiosk-1', $1, 'present')`,
+        [session.id]
+      );
+      await checkIn('2024002');
+
+      const { status, body } = await post(`/api/sessions/${session.id}/close`);
+      assert.equal(status, 200);
+      assert.ok(body.session.closedAt);
+      assert.deepEqual(body.summary, { present: 1, late: 1, absent: 1 });
+
+      const { rows } = await db.query('SELECT student_id FROM attendance WHERE session_id = $1 AND status = $2', [session.id, 'absent']);
+      assert.deepEqual(rows.map((row) => row.student_id), ['2024003']);
+    });
+
+    it('changes nothing when the session is already closed', async () => {
+      const session = await openSession(5);
+      await post(`/api/sessions/${session.id}/close`);
+
+      const { body } = await post(`/api/sessions/${session.id}/close`);
+      assert.deepEqual(body.summary, { present: 0, late: 0, absent: 3 });
+    });
+
+    it('stops attaching check-ins once closed', async () => {
+      const session = await openSession(5);
+      await post(`/api/sessions/${session.id}/close`);
+
+      const { body } = await checkIn('2024001');
+      assert.equal(body.record.sessionId, null);
+    });
+
+    it('returns 404 for an unknown session', async () => {
+      assert.equal((await post('/api/sessions/9999/close')).status, 404);
+      assert.equal((await post('/api/sessions/abc/close')).status, 404);
+    });
+  });
+
+  describe('GET /', () => {
+    it('lists only open sessions when asked', async () => {
+      const closed = await openSession(60);
+      await post(`/api/sessions/${closed.id}/close`);
+      const open = await openSession(5);
+
+      const { body } = await api.request('/api/sessions?open=true');
+      assert.deepEqual(body.sessions.map((session) => session.id), [open.id]);
+      const all = await api.request('/api/sessions?kioskId=kiosk-1');
+      assert.equal(all.body.sessions.length, 2);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// server/tests/students.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDb, startTestServer } from './helpers.js';
+
+const ANN = { id: '2024001', name: 'Ann Lee', faceImage: '/uploads/ann.jpg', department: 'CS', email: 'ann@example.edu' };
+const BO = { id: '2024002', name: 'Bo Chen', faceImage: '/uploads/bo.jpg', year: '2' };
+
+describe('/api/students', () => {
+  let db;
+  let api;
+
+  before(async () => {
+    db = await createTestDb();
+    api = await startTestServer(db);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  beforeEach(async () => {
+    await db.query('DELETE FROM attendance');
+    await db.query('DELETE FROM students');
+  });
+
+  describe('POST /', () => {
+    it('creates a student', async () => {
+      const { status, body } = await api.request('/api/students', { method: 'POST', body: ANN });
+      assert.equal(status, 201);
+      assert.equal(body.student.id, ANN.id);
+      assert.equal(body.student.name, ANN.name);
+      assert.equal(body.student.faceImage, ANN.faceImage);
+      assert.equal(body.student.year, null);
+      assert.ok(body.student.createdAt);
+    });
+
+    it('rejects a payload without a required field', async () => {
+      const { status, body } = await api.request('/api/students', {
+        method: 'POST',
+        body: { id: ANN.id, faceImage: ANN.faceImage }
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Missing required field: name');
+    });
+
+    it('rejects ids with characters other than letters, digits and dashes', async () => {
+      const { status } = await api.request('/api/students', { method: 'POST', body: { ...ANN, id: '2024 001' } });
+      assert.equal(status, 400);
+    });
+
+    it('returns 409 for an id that is already registered', async () => {
+      await api.request('/api/students', { method: 'POST', body: ANN });
+      const { status, body } = await api.request('/api/students', { method: 'POST', body: { ...ANN, name: 'Someone Else' } });
+      assert.equal(status, 409);
+      assert.equal(body.error, `Student ${ANN.id} already exists`);
+    });
+  });
+
+  describe('GET /', () => {
+    it('lists students ordered by id', async () => {
+      await api.request('/api/students', { method: 'POST', body: BO });
+      await api.request('/api/students', { method: 'POST', body: ANN });
+
+      const { status, body } = await api.request('/api/students');
+      assert.equal(status, 200);
+      assert.deepEqual(body.students.map((student) => student.id), [ANN.id, BO.id]);
+    });
+
+    it('searches id, name and email case-insensitively', async () => {
+      await api.request('/api/students', { method: 'POST', body: ANN });
+      await api.request('/api/students', { method: 'POST', body: BO });
+
+      const byName = await api.request('/api/students?q=chen');
+      assert.deepEqual(byName.body.students.map((student) => student.id), [BO.id]);
+      const byEmail = await api.request('/api/students?q=EXAMPLE.EDU');
+      assert.deepEqual(byEmail.body.students.map((student) => student.id), [ANN.id]);
+      const byId = await api.request('/api/students?q=2024');
+      assert.equal(byId.body.students.length, 2);
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('returns the student with its photos and descriptors', async () => {
+      await api.request('/api/students', { method: 'POST', body: ANN });
+
+      const { status, body } = await api.request(`/api/students/${ANN.id}`);
+      assert.equal(status, 200);
+      assert.equal(body.student.name, ANN.name);
+      assert.deepEqual(body.student.photos, []);
+      assert.deepEqual(body.student.descriptors, []);
+    });
+
+    it('returns 404 for an unknown id', async () => {
+      const { status, body } = await api.request('/api/students/9999999');
+      assert.equal(status, 404);
+      assert.equal(body.error, 'Student 9999999 not found');
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('updates only the fields sent', async () => {
+      await api.request('/api/students', { method: 'POST', body: ANN });
+
+      const { status, body } = await api.request(`/api/students/${ANN.id}`, { method: 'PUT', body: { year: '3' } });
+      assert.equal(status, 200);
+      assert.equal(body.student.year, '3');
+      assert.equal(body.student.name, ANN.name);
+      assert.equal(body.student.department, ANN.department);
+    });
+
+    it('refuses to change the id', async () => {
+      await api.request('/api/students', { method: 'POST', body: ANN });
+
+      const { status, body } = await api.request(`/api/students/${ANN.id}`, { method: 'PUT', body: { id: BO.id } });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Student ID cannot be changed');
+    });
+
+    it('rejects an empty required field', async () => {
+      await api.request('/api/students', { method: 'POST', body: ANN });
+
+      const { status } = await api.request(`/api/students/${ANN.id}`, { method: 'PUT', body: { name: ' ' } });
+      assert.equal(status, 400);
+    });
+
+    it('returns 404 for an unknown id', async () => {
+      const { status } = await api.request('/api/students/9999999', { method: 'PUT', body: { year: '1' } });
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('removes the student', async () => {
+      await api.request('/api/students', { method: 'POST', body: ANN });
+
+      const deleted = await api.request(`/api/students/${ANN.id}`, { method: 'DELETE' });
+      assert.equal(deleted.status, 204);
+      const { status } = await api.request(`/api/students/${ANN.id}`);
+      assert.equal(status, 404);
+    });
+
+    it('returns 404 for an unknown id', async () => {
+      const { status } = await api.request('/api/students/9999999', { method: 'DELETE' });
+      assert.equal(status, 404);
+    });
+
+    // The 409 for students with attendance records relies on the Postgres
+    // foreign-key SQLSTATE, which pg-mem does not report
+  });
+});
@@ -1,10 +1,12 @@
 import React, { useState } from 'react';
 import IDScanner from './components/IDScanner';
 import FaceVerifier from './components/FaceVerifier';
+import FaceIdentifier from './components/FaceIdentifier';
 import SuccessScreen from './components/SuccessScreen';
 import FailureScreen from './components/FailureScreen';
 import ProgressIndicator from './components/ProgressIndicator';
 import useVerificationFlow from './hooks/useVerificationFlow';
+import { getKioskMode } from './services/kiosk';
 
 /**
  * verificationapp - main orchestrator component
@@ -21,37 +23,57 @@ import useVerificationFlow from './hooks/useVerificationFlow';
  *   2. verifying_face   -> faceverifier component
  *   3. success          -> successscreen component
  *   4. failed_*         -> failurescreen component (with retry)
+ *
+ * face-only kiosks (?mode=face) replace steps 1-2 with
+ *      identifying_face -> faceidentifier component
  */
 const VerificationApp = () => {
+  const [kioskMode] = useState(getKioskMode); // 'card' or 'face', resolved once per page load
+
   // state machine hook - manages step transitions and data flow
   const {
-    currentStep,          // current verification state (scanning_id, verifying_face, success, failed_*)
+    currentStep,          // current verification state (scanning_id, verifying_face, identifying_face, success, failed_*)
     studentId,            // detected student id string
     studentData,          // full student record from database
     verificationResult,   // face match results { similarity, confidence, timestamp }
+    attendanceError,      // error message if the attendance log write failed
+    livenessCheck,        // liveness check that failed ('blink' or 'challenge'), for the failure screen
     handleIDDetected,     // callback: id scanned -> look up student -> next step
     handleFaceVerified,   // callback: face matched -> success screen
     handleFaceFailed,     // callback: face failed -> failure screen
+    handleFaceIdentified, // callback: face-only mode matched a student -> success screen
+    handleFaceUnrecognized, // callback: face-only mode found nobody -> failure screen
+    handleLivenessFailed, // callback: matching face failed a liveness check -> failure screen
+    retryAttendanceLog,   // callback: retry a failed attendance log write
     reset                 // callback: reset everything to step 1
-  } = useVerificationFlow();
+  } = useVerificationFlow(kioskMode);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
       <div className="container mx-auto px-4 py-8">
         <div className="flex items-center justify-center gap-8">
-          <ProgressIndicator currentStep={currentStep} />
+          <ProgressIndicator currentStep={currentStep} mode={kioskMode} />
           
           <div className="flex-1 max-w-2xl">
             {currentStep === 'scanning_id' && (
               <IDScanner onIDDetected={handleIDDetected} />
             )}
 
+            {currentStep === 'identifying_face' && (
+              <FaceIdentifier
+                onIdentified={handleFaceIdentified}
+                onFailed={handleFaceUnrecognized}
+                onLivenessFailed={handleLivenessFailed}
+              />
+            )}
+
             {currentStep === 'verifying_face' && studentData && (
               <FaceVerifier
                 studentId={studentId}
                 studentData={studentData}
                 onVerified={handleFaceVerified}
                 onFailed={handleFaceFailed}
+                onLivenessFailed={handleLivenessFailed}
               />
             )}
 
@@ -59,16 +81,23 @@ const VerificationApp = () => {
               <SuccessScreen
                 studentData={studentData}
                 verificationResult={verificationResult}
+                attendanceError={attendanceError}
+                onRetryLog={retryAttendanceLog}
                 onReset={reset}
               />
             )}
 
             {(currentStep === 'failed_id' || 
+              currentStep === 'failed_name' ||
               currentStep === 'failed_face' || 
-              currentStep === 'failed_mismatch') && (
+              currentStep === 'failed_mismatch' ||
+              currentStep === 'failed_unrecognized' ||
+              currentStep === 'failed_liveness' ||
+              currentStep === 'failed_system') && (
               <FailureScreen
                 failureType={currentStep}
                 studentId={studentId}
+                livenessCheck={livenessCheck}
                 onRetry={reset}
               />
             )}
@@ -1,9 +1,34 @@
-import React from "react";
+import React, { lazy, Suspense } from "react";
+import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import FaceRecog from "./FaceRecog";
 
-/** root app component - renders the facerecog verification application */
+// the admin area is split into its own chunk so kiosks never download it
+const AdminDashboard = lazy(() => import("./components/admin/AdminDashboard"));
+
+/**
+ * root app component
+ *
+ * routes:
+ *   /          -> facerecog verification kiosk
+ *   /admin/*   -> admin dashboard (students, attendance, failures, daily stats)
+ */
 const App = () => {
-  return <FaceRecog />;
+  return (
+    <BrowserRouter>
+      <Routes>
+        <Route path="/" element={<FaceRecog />} />
+        <Route
+          path="/admin/*"
+          element={
+            <Suspense fallback={<div className="p-8 text-gray-500">Loading admin…</div>}>
+              <AdminDashboard />
+            </Suspense>
+          }
+        />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+    </BrowserRouter>
+  );
 };
 
 export default App;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { UserX, XCircle, RefreshCw } from 'lucide-react';
+import FaceVerifier from './FaceVerifier';
+import useAsyncData from '../hooks/useAsyncData';
+import { getEnrolledFaces } from '../services/studentDB';
+import { FACE_MODEL_VERSION } from '../services/faceApi';
+
+/**
+ * faceidentifier component (face-only kiosk mode)
+ *
+ * loads every enrolled face descriptor for the current model version, then
+ * hands them to faceverifier in identify mode - the student is found by face
+ * alone (1:n), without scanning an id card first.
+ *
+ * @param {Function} onIdentified - callback when one student is matched
+ *   (receives { studentId, similarity, runnerUpSimilarity, confidence, matchedReference })
+ * @param {Function} onFailed - callback when no student can be identified
+ * @param {Function} onLivenessFailed - callback when the matched face never blinks or misses the head-pose challenge
+ */
+const FaceIdentifier = ({ onIdentified, onFailed, onLivenessFailed }) => {
+  const { data: gallery, error, isLoading, reload } = useAsyncData(() => getEnrolledFaces(FACE_MODEL_VERSION), []);
+
+  if (isLoading) {
+    return (
+      <div className="bg-white rounded-xl shadow-2xl p-8 text-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-green-600 mx-auto mb-4"></div>
+        <p className="text-gray-600">Loading enrolled faces...</p>
+      </div>
+    );
+  }
+
+  if (error || gallery.length === 0) {
+    return (
+      <div className="bg-white rounded-xl shadow-2xl p-8 text-center">
+        <div className="inline-flex items-center justify-center w-20 h-20 bg-red-100 rounded-full mb-4">
+          {error ? <XCircle size={48} className="text-red-600" /> : <UserX size={48} className="text-red-600" />}
+        </div>
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Face check-in unavailable</h2>
+        <p className="text-gray-600 mb-6">
+          {error || 'No enrolled faces have been processed for this kiosk\'s face model yet.'}
+        </p>
+        <button
+          onClick={reload}
+          className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200 inline-flex items-center gap-2"
+        >
+          <RefreshCw size={20} />
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <FaceVerifier
+      gallery={gallery}
+      onVerified={onIdentified}
+      onFailed={onFailed}
+      onLivenessFailed={onLivenessFailed}
+    />
+  );
+};
+
+export default FaceIdentifier;
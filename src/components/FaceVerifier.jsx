@@ -1,6 +1,8 @@
-import React, { useRef, useEffect } from 'react';
-import { User, CheckCircle2, XCircle } from 'lucide-react';
+import React, { useRef, useEffect, useMemo, useCallback } from 'react';
+import { User, CheckCircle2, XCircle, Eye } from 'lucide-react';
 import useFaceVerification from '../hooks/useFaceVerification';
+import { getReferenceImages, saveFaceDescriptors } from '../services/studentDB';
+import { FACE_MODEL_VERSION } from '../services/faceApi';
 import * as faceapi from '@vladmandic/face-api';
 
 /**
@@ -11,19 +13,42 @@ import * as faceapi from '@vladmandic/face-api';
  * - canvas overlay for face-api roi (region of interest) visualization
  * - student info card showing detected student details
  * - real-time status messages and similarity score
+ * - head-pose challenge prompts (step n of total) after a match
  * - loading spinner while models initialize
  * - error display for camera/model failures
  * - tips section for best verification results
+ *
+ * given a `gallery` instead of a student (face-only kiosks, see faceidentifier),
+ * it identifies the face among all enrolled students and shows no student card.
  * 
  * @param {string} studentId - the detected student id from step 1
- * @param {Object} studentData - full student record { name, department, year, faceImage, email }
- * @param {Function} onVerified - callback when face is verified (receives { similarity, confidence })
+ * @param {Object} studentData - full student record { name, department, year, faceImage, email, photos }
+ * @param {Object[]} gallery - every enrolled face from getenrolledfaces(), for identify mode
+ * @param {Function} onVerified - callback when face is verified (receives { similarity, confidence, matchedReference },
+ *   plus studentId in identify mode)
  * @param {Function} onFailed - callback when face verification fails
+ * @param {Function} onLivenessFailed - callback when the matched face never blinks (photo or screen) or misses the head-pose challenge
  */
-const FaceVerifier = ({ studentId, studentData, onVerified, onFailed }) => {
+const FaceVerifier = ({ studentId, studentData, gallery, onVerified, onFailed, onLivenessFailed }) => {
   const videoRef = useRef(null);   // reference to the <video> element for camera feed
   const canvasRef = useRef(null);  // reference to the <canvas> overlay for roi drawing
 
+  const identify = Boolean(gallery);
+
+  // stable across renders so the hook does not reload its references
+  const referenceImages = useMemo(
+    () => gallery || getReferenceImages(studentData, FACE_MODEL_VERSION),
+    [gallery, studentData]
+  );
+
+  // stores descriptors the hook had to extract from images (missing, or from an older model version);
+  // the identify gallery only holds stored descriptors, so there is nothing to save there
+  const studentRecordId = studentData ? studentData.id : null;
+  const handleDescriptorsComputed = useCallback((descriptors) => {
+    saveFaceDescriptors(studentRecordId, FACE_MODEL_VERSION, descriptors)
+      .catch((err) => console.error('Failed to store face descriptors:', err));
+  }, [studentRecordId]);
+
   const {
     isReady,
     error,
@@ -31,8 +56,15 @@ const FaceVerifier = ({ studentId, studentData, onVerified, onFailed }) => {
     faceDetected,
     similarityScore,
     isVerifying,
+    hasBlinked,
+    requireBlink,
+    challenge,
     detectionsRef
-  } = useFaceVerification(videoRef, studentData.faceImage, onVerified, onFailed);
+  } = useFaceVerification(videoRef, referenceImages, onVerified, onFailed, {
+    onDescriptorsComputed: identify ? undefined : handleDescriptorsComputed,
+    identify,
+    onLivenessFailed
+  });
 
   /**
    * canvas drawing effect - renders face-api roi overlay
@@ -100,35 +132,37 @@ const FaceVerifier = ({ studentId, studentData, onVerified, onFailed }) => {
         <div className="flex items-center justify-between mb-2">
           <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
             <User className="text-green-600" size={28} />
-            Step 2: Verify Face
+            {identify ? 'Face Check-In' : 'Step 2: Verify Face'}
           </h2>
-          <span className="text-sm text-gray-500">2/2</span>
+          {!identify && <span className="text-sm text-gray-500">2/2</span>}
         </div>
         <p className="text-gray-600">
-          Look at the camera to verify your identity
+          {identify ? 'Look at the camera to check in - no ID card needed' : 'Look at the camera to verify your identity'}
         </p>
       </div>
 
-      <div className="mb-4 p-4 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg border border-blue-200">
-        <div className="grid grid-cols-2 gap-4">
-          <div>
-            <p className="text-xs text-gray-600 mb-1">Student ID</p>
-            <p className="text-lg font-bold text-gray-800">{studentId}</p>
-          </div>
-          <div>
-            <p className="text-xs text-gray-600 mb-1">Name</p>
-            <p className="text-lg font-bold text-gray-800">{studentData.name}</p>
-          </div>
-          <div>
-            <p className="text-xs text-gray-600 mb-1">Department</p>
-            <p className="text-sm text-gray-700">{studentData.department}</p>
-          </div>
-          <div>
-            <p className="text-xs text-gray-600 mb-1">Year</p>
-            <p className="text-sm text-gray-700">{studentData.year}</p>
+      {studentData && (
+        <div className="mb-4 p-4 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg border border-blue-200">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <p className="text-xs text-gray-600 mb-1">Student ID</p>
+              <p className="text-lg font-bold text-gray-800">{studentId}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-600 mb-1">Name</p>
+              <p className="text-lg font-bold text-gray-800">{studentData.name}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-600 mb-1">Department</p>
+              <p className="text-sm text-gray-700">{studentData.department}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-600 mb-1">Year</p>
+              <p className="text-sm text-gray-700">{studentData.year}</p>
+            </div>
           </div>
         </div>
-      </div>
+      )}
 
       <div className="relative bg-gray-900 rounded-lg overflow-hidden" style={{ aspectRatio: '4/3' }}>
         <video
@@ -145,6 +179,17 @@ const FaceVerifier = ({ studentId, studentData, onVerified, onFailed }) => {
         />
 
 
+        {challenge && (
+          <div className="absolute top-4 left-4 right-4 flex justify-center">
+            <div className="bg-indigo-600 bg-opacity-90 text-white rounded-lg px-4 py-2 shadow-lg text-center animate-pulse">
+              <p className="text-xs uppercase tracking-wide opacity-80">
+                Liveness check {challenge.step}/{challenge.total}
+              </p>
+              <p className="text-lg font-bold">{challenge.prompt}</p>
+            </div>
+          </div>
+        )}
+
         {!isReady && !error && (
           <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70">
             <div className="text-center text-white">
@@ -169,6 +214,17 @@ const FaceVerifier = ({ studentId, studentData, onVerified, onFailed }) => {
               <div className="mt-2 flex items-center gap-2">
                 <CheckCircle2 size={16} className="text-green-400 drop-shadow-lg" />
                 <span className="text-green-400 text-xs drop-shadow-lg">Face detected</span>
+                {requireBlink && (hasBlinked ? (
+                  <>
+                    <Eye size={16} className="text-green-400 drop-shadow-lg ml-2" />
+                    <span className="text-green-400 text-xs drop-shadow-lg">Blink detected</span>
+                  </>
+                ) : (
+                  <>
+                    <Eye size={16} className="text-yellow-300 drop-shadow-lg ml-2" />
+                    <span className="text-yellow-300 text-xs drop-shadow-lg">Blink naturally</span>
+                  </>
+                ))}
               </div>
             )}
           </div>
@@ -190,7 +246,7 @@ const FaceVerifier = ({ studentId, studentData, onVerified, onFailed }) => {
           <div className="text-sm text-gray-700">
             <p className="font-semibold mb-1">Tips for best results:</p>
             <ul className="list-disc list-inside space-y-1 text-xs">
-              <li>Look directly at the camera</li>
+              <li>Look directly at the camera and blink normally</li>
               <li>Ensure your face is well-lit</li>
               <li>Remove glasses or masks if possible</li>
               <li>Keep your face centered in the frame</li>
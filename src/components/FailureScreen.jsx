@@ -5,10 +5,15 @@ import { XCircle, AlertTriangle, RefreshCw } from 'lucide-react';
  * failurescreen component
  * 
  * displayed when any step of the verification process fails.
- * handles three failure types:
+ * handles seven failure types:
  *   - failed_id: student id not found in database (yellow warning)
+ *   - failed_name: the name printed on the card isn't the registered name (red error)
  *   - failed_face: face doesn't match reference photo (red error)
  *   - failed_mismatch: id and face belong to different people (red error)
+ *   - failed_unrecognized: face-only kiosk found no unambiguous match (yellow warning)
+ *   - failed_liveness: the face matched but never blinked - photo or screen - or missed
+ *     the head-pose challenge (red error, wording per livenessCheck)
+ *   - failed_system: the student registry could not be reached (yellow warning)
  * 
  * each failure type shows:
  * - appropriate icon (warning triangle or x circle)
@@ -17,11 +22,12 @@ import { XCircle, AlertTriangle, RefreshCw } from 'lucide-react';
  * - the attempted student id (if available)
  * - retry button to restart the verification flow
  * 
- * @param {string} failureType - one of 'failed_id', 'failed_face', 'failed_mismatch'
+ * @param {string} failureType - one of 'failed_id', 'failed_name', 'failed_face', 'failed_mismatch', 'failed_unrecognized', 'failed_liveness', 'failed_system'
  * @param {string} studentId - the student id that was attempted (may be null)
+ * @param {string} livenessCheck - failed_liveness only: the check that failed, 'blink' or 'challenge'
  * @param {Function} onRetry - callback to reset and retry the verification flow
  */
-const FailureScreen = ({ failureType, studentId, onRetry }) => {
+const FailureScreen = ({ failureType, studentId, livenessCheck, onRetry }) => {
   // play failure sound effect on mount (silently fails if audio not available)
   useEffect(() => {
     const audio = new Audio('/failure.mp3');
@@ -44,6 +50,19 @@ const FailureScreen = ({ failureType, studentId, onRetry }) => {
           ],
           color: 'yellow'
         };
+      case 'failed_name':
+        return {
+          icon: <XCircle size={60} className="text-red-600" />,
+          title: "Name on Card Doesn't Match",
+          message: `The name printed on the card does not match the student registered as "${studentId}".`,
+          suggestions: [
+            'Ensure you are using your own ID card',
+            'Hold the card flat and steady so the name is readable',
+            'Avoid glare on the card surface',
+            'Contact administration if your name has changed'
+          ],
+          color: 'red'
+        };
       case 'failed_face':
         return {
           icon: <XCircle size={60} className="text-red-600" />,
@@ -71,6 +90,58 @@ const FailureScreen = ({ failureType, studentId, onRetry }) => {
           ],
           color: 'red'
         };
+      case 'failed_unrecognized':
+        return {
+          icon: <AlertTriangle size={60} className="text-yellow-600" />,
+          title: 'Face Not Recognized',
+          message: 'Your face could not be matched to a single enrolled student.',
+          suggestions: [
+            'Look directly at the camera with your face well-lit',
+            'Remove glasses, masks, or face coverings',
+            'Make sure you have enrolled your reference photos',
+            'Use a kiosk with ID card scanning if the problem persists'
+          ],
+          color: 'yellow'
+        };
+      case 'failed_liveness':
+        if (livenessCheck === 'challenge') {
+          return {
+            icon: <XCircle size={60} className="text-red-600" />,
+            title: 'Liveness Check Failed',
+            message: 'The head movements were not completed in time.',
+            suggestions: [
+              'Follow each instruction on screen as it appears',
+              'Turn or nod your head clearly, then face the camera again',
+              'Keep your whole face in the camera frame while moving',
+              'Stay alone in front of the camera'
+            ],
+            color: 'red'
+          };
+        }
+        return {
+          icon: <XCircle size={60} className="text-red-600" />,
+          title: 'Liveness Check Failed',
+          message: 'No natural blink was detected. Photos and screens cannot be used to check in.',
+          suggestions: [
+            'Check in in person, looking at the camera',
+            'Blink normally - do not stare or hold your eyes shut',
+            'Remove sunglasses so your eyes are visible',
+            'Improve the lighting on your face'
+          ],
+          color: 'red'
+        };
+      case 'failed_system':
+        return {
+          icon: <AlertTriangle size={60} className="text-yellow-600" />,
+          title: 'System Unavailable',
+          message: 'The student registry could not be reached, so your check-in was not recorded.',
+          suggestions: [
+            'Wait a moment and try again',
+            'Check that the kiosk is connected to the network',
+            'Contact administration if the problem persists'
+          ],
+          color: 'yellow'
+        };
       default:
         return {
           icon: <XCircle size={60} className="text-red-600" />,
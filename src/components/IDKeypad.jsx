@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Delete, CornerDownLeft } from 'lucide-react';
+
+const DIGIT_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+/**
+ * idkeypad component
+ *
+ * on-screen keypad for typing the student id when the camera can't read the
+ * card (worn print, glare). the id can also be typed into the field with a
+ * keyboard. shows an error until the next key when the id is rejected.
+ *
+ * @param {string[]} prefixes - id prefixes from the kiosk's idFormats, offered as extra keys
+ * @param {Function} onSubmit - (id) => false if the id was not accepted
+ */
+const IDKeypad = ({ prefixes = [], onSubmit }) => {
+  const [value, setValue] = useState('');     // id typed so far
+  const [rejected, setRejected] = useState(false);
+
+  const type = (text) => {
+    setValue((current) => current + text);
+    setRejected(false);
+  };
+
+  const backspace = () => {
+    setValue((current) => current.slice(0, -1));
+    setRejected(false);
+  };
+
+  const submit = () => {
+    if (!value) return;
+    if (onSubmit(value) === false) setRejected(true);
+  };
+
+  const keyClass = 'py-3 rounded-lg bg-white border border-gray-300 text-xl font-semibold text-gray-800 hover:bg-gray-100 active:bg-gray-200';
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          setValue(e.target.value.toUpperCase());
+          setRejected(false);
+        }}
+        onKeyDown={(e) => e.key === 'Enter' && submit()}
+        placeholder="Student ID"
+        autoComplete="off"
+        className={`w-full mb-1 px-4 py-3 rounded-lg border-2 text-2xl font-mono tracking-widest text-center ${
+          rejected ? 'border-red-400' : 'border-gray-300'
+        }`}
+      />
+      <p className="h-5 mb-2 text-sm text-center text-red-600">
+        {rejected && 'Not a valid student ID - check the number and try again'}
+      </p>
+
+      {prefixes.length > 0 && (
+        <div className="flex gap-2 mb-2">
+          {prefixes.map((prefix) => (
+            <button key={prefix} type="button" onClick={() => type(prefix)} className={`flex-1 ${keyClass}`}>
+              {prefix}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-3 gap-2">
+        {DIGIT_KEYS.map((digit) => (
+          <button key={digit} type="button" onClick={() => type(digit)} className={keyClass}>
+            {digit}
+          </button>
+        ))}
+        <button type="button" onClick={backspace} className={`flex items-center justify-center ${keyClass}`} aria-label="Delete">
+          <Delete size={24} />
+        </button>
+        <button type="button" onClick={() => type('0')} className={keyClass}>
+          0
+        </button>
+        <button
+          type="button"
+          onClick={submit}
+          disabled={!value}
+          className="flex items-center justify-center py-3 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          aria-label="Submit"
+        >
+          <CornerDownLeft size={24} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default IDKeypad;
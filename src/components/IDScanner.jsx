@@ -1,6 +1,7 @@
 import React, { useRef, useEffect, useState } from 'react';
-import { Camera, Scan } from 'lucide-react';
+import { Camera, Scan, Keyboard } from 'lucide-react';
 import useIDScannerLogic from '../hooks/useIDScannerLogic';
+import IDKeypad from './IDKeypad';
 
 /**
  * idscanner component (step 1)
@@ -8,11 +9,15 @@ import useIDScannerLogic from '../hooks/useIDScannerLogic';
  * renders the id card scanning interface with:
  * - live video feed from rear-facing camera (16:9 aspect ratio)
  * - canvas overlay with roi visualization:
- *   - when object detected: cyan bounding box with corner accents
- *   - when no object: dashed guide box with corner brackets and scan line animation
+ *   - when a card is detected: cyan quadrilateral with corner accents
+ *   - when no card: dashed guide box with corner brackets and scan line animation
  * - real-time status messages
+ * - confidence meter: one segment per frame that read the leading id, out of the
+ *   idConsensusVotes needed (amber while another id competes)
  * - loading spinner while models initialize
  * - error display for camera failures
+ * - "enter id manually" keypad fallback (manualEntry), for cards the camera can't read;
+ *   keyboard-wedge badge readers work without it (handled in useidscannerlogic)
  * - tips section for best scanning results
  * 
  * @param {Function} onIDDetected - callback when a valid student id is found
@@ -22,14 +27,19 @@ const IDScanner = ({ onIDDetected }) => {
   const canvasRef = useRef(null);     // reference to the <canvas> overlay for roi drawing
   const animationRef = useRef(null);  // requestanimationframe id for cleanup
   const scanLineY = useRef(0);        // current y position of the scanning line animation
+  const [showKeypad, setShowKeypad] = useState(false);  // keypad fallback opened by the student
   
   const {
     isReady,
     error,
     status,
-    detections,
+    cardQuad,
+    consensus,
+    manualEntry,
+    idPrefixes,
     scanProgress,
-    startScanning
+    startScanning,
+    submitTypedId
   } = useIDScannerLogic(videoRef, onIDDetected);
 
   // auto-start scanning when camera and models are ready
@@ -43,8 +53,8 @@ const IDScanner = ({ onIDDetected }) => {
    * canvas drawing effect - renders roi overlay
    * 
    * two modes:
-   * 1. object detected: draw cyan bounding box with corner accents around detected object
-   * 2. no object: draw dashed guide box with corner brackets, scan line animation, and text hint
+   * 1. card detected: draw cyan quadrilateral with corner accents around the card
+   * 2. no card: draw dashed guide box with corner brackets, scan line animation, and text hint
    */
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -64,55 +74,43 @@ const IDScanner = ({ onIDDetected }) => {
       
       const isScanning = scanProgress > 0 && scanProgress < 100;
       
-      // mode 1: draw bounding boxes around detected objects (coco-ssd results)
-      if (detections && detections.length > 0) {
+      // mode 1: outline the detected card quadrilateral (it follows the card's perspective)
+      if (cardQuad) {
         const scaleX = rect.width / (video.videoWidth || 1);
         const scaleY = rect.height / (video.videoHeight || 1);
         
-        detections.forEach((detection) => {
-          // scale detection coordinates from native video to displayed size
-          const [x, y, width, height] = detection.bbox;
-          const dx = x * scaleX;
-          const dy = y * scaleY;
-          const dw = width * scaleX;
-          const dh = height * scaleY;
-          
-          // draw cyan bounding box around detected object
-          ctx.strokeStyle = '#00bcd4';
-          ctx.lineWidth = 3;
-          ctx.strokeRect(dx, dy, dw, dh);
-          
-          // draw corner accent brackets for visual emphasis
-          const cornerLen = 20;
-          ctx.lineWidth = 4;
-          ctx.lineCap = 'round';
-          
-          // top-left
-          ctx.beginPath();
-          ctx.moveTo(dx, dy + cornerLen);
-          ctx.lineTo(dx, dy);
-          ctx.lineTo(dx + cornerLen, dy);
-          ctx.stroke();
-          
-          // top-right
-          ctx.beginPath();
-          ctx.moveTo(dx + dw - cornerLen, dy);
-          ctx.lineTo(dx + dw, dy);
-          ctx.lineTo(dx + dw, dy + cornerLen);
-          ctx.stroke();
-          
-          // bottom-left
-          ctx.beginPath();
-          ctx.moveTo(dx, dy + dh - cornerLen);
-          ctx.lineTo(dx, dy + dh);
-          ctx.lineTo(dx + cornerLen, dy + dh);
-          ctx.stroke();
-          
-          // bottom-right
+        // scale corner coordinates from native video to displayed size
+        const corners = cardQuad.map(({ x, y }) => ({ x: x * scaleX, y: y * scaleY }));
+        
+        // draw cyan outline with a light fill
+        ctx.strokeStyle = '#00bcd4';
+        ctx.fillStyle = 'rgba(0, 188, 212, 0.12)';
+        ctx.lineWidth = 3;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        corners.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        // draw corner accents along both sides meeting at each corner
+        const cornerLen = 20;
+        ctx.lineWidth = 5;
+        ctx.lineCap = 'round';
+        corners.forEach((corner, i) => {
+          const next = corners[(i + 1) % 4];
+          const prev = corners[(i + 3) % 4];
+          const toward = (target) => {
+            const length = Math.hypot(target.x - corner.x, target.y - corner.y) || 1;
+            const t = Math.min(1, cornerLen / length);
+            return { x: corner.x + (target.x - corner.x) * t, y: corner.y + (target.y - corner.y) * t };
+          };
+          const a = toward(prev);
+          const b = toward(next);
           ctx.beginPath();
-          ctx.moveTo(dx + dw - cornerLen, dy + dh);
-          ctx.lineTo(dx + dw, dy + dh);
-          ctx.lineTo(dx + dw, dy + dh - cornerLen);
+          ctx.moveTo(a.x, a.y);
+          ctx.lineTo(corner.x, corner.y);
+          ctx.lineTo(b.x, b.y);
           ctx.stroke();
         });
       } else {
@@ -200,7 +198,7 @@ const IDScanner = ({ onIDDetected }) => {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [isReady, detections, scanProgress]);
+  }, [isReady, cardQuad, scanProgress]);
 
   return (
     <div className="bg-white rounded-xl shadow-2xl p-6">
@@ -254,11 +252,41 @@ const IDScanner = ({ onIDDetected }) => {
           <div className="rounded-lg p-3">
             <div className="flex items-center justify-between">
               <span className="text-white text-sm font-medium drop-shadow-lg">{status}</span>
+              {consensus && (
+                <div className="flex items-center gap-1" title={`ID ${consensus.studentId}`}>
+                  {Array.from({ length: consensus.required }, (_, i) => (
+                    <span
+                      key={i}
+                      className={`w-4 h-2 rounded-sm ${
+                        i < consensus.votes
+                          ? (consensus.contested ? 'bg-amber-400' : 'bg-cyan-400')
+                          : 'bg-white bg-opacity-30'
+                      }`}
+                    />
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         </div>
       </div>
 
+      {isReady && manualEntry && (
+        <>
+          <button
+            type="button"
+            onClick={() => setShowKeypad((shown) => !shown)}
+            className="mt-4 w-full flex items-center justify-center gap-2 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+          >
+            <Keyboard size={20} />
+            {showKeypad ? 'Hide keypad' : "Card won't scan? Enter ID manually"}
+          </button>
+          {showKeypad && (
+            <IDKeypad prefixes={idPrefixes} onSubmit={(id) => submitTypedId(id, 'keypad')} />
+          )}
+        </>
+      )}
+
       <div className="mt-4 p-4 bg-blue-50 rounded-lg border border-blue-200">
         <div className="flex items-start gap-3">
           <div className="text-sm text-gray-700">
@@ -267,7 +295,7 @@ const IDScanner = ({ onIDDetected }) => {
               <li>Hold ID card steady in the frame</li>
               <li>Ensure good lighting on the card</li>
               <li>Keep the card steady and in focus</li>
-              <li>Position the student number clearly visible</li>
+              <li>Position the student number or the barcode clearly visible</li>
             </ul>
           </div>
         </div>
@@ -6,6 +6,7 @@ import { Scan, User, CheckCircle2 } from 'lucide-react';
  * 
  * displays a vertical step indicator showing the verification progress.
  * three steps: scan id -> scan face -> verified
+ * (face-only kiosks have two: scan face -> verified)
  * 
  * step statuses:
  *   - completed: green background, white icon (step is done)
@@ -16,14 +17,20 @@ import { Scan, User, CheckCircle2 } from 'lucide-react';
  * connecting lines between steps fill green when the next step is active/completed.
  * 
  * @param {string} currentStep - current verification state from useverificationflow
+ * @param {string} mode - kiosk mode: 'card' (default) or 'face'
  */
-const ProgressIndicator = ({ currentStep }) => {
-  // define the three verification steps with their icons
-  const steps = [
-    { id: 'scanning_id', label: 'Scan ID', icon: Scan },          // step 1
-    { id: 'verifying_face', label: 'Scan Face', icon: User },     // step 2
-    { id: 'success', label: 'Verified', icon: CheckCircle2 }      // step 3 (final)
-  ];
+const ProgressIndicator = ({ currentStep, mode = 'card' }) => {
+  // define the verification steps with their icons
+  const steps = mode === 'face'
+    ? [
+        { id: 'identifying_face', label: 'Scan Face', icon: User },   // step 1
+        { id: 'success', label: 'Verified', icon: CheckCircle2 }      // step 2 (final)
+      ]
+    : [
+        { id: 'scanning_id', label: 'Scan ID', icon: Scan },          // step 1
+        { id: 'verifying_face', label: 'Scan Face', icon: User },     // step 2
+        { id: 'success', label: 'Verified', icon: CheckCircle2 }      // step 3 (final)
+      ];
 
   /**
    * determines the visual status of a step based on the current flow state
@@ -31,7 +38,7 @@ const ProgressIndicator = ({ currentStep }) => {
    * @returns {'completed'|'active'|'pending'|'error'} visual status
    */
   const getStepStatus = (stepId) => {
-    const stepOrder = ['scanning_id', 'verifying_face', 'success'];
+    const stepOrder = steps.map((step) => step.id);
     const currentIndex = stepOrder.indexOf(currentStep);
     const stepIndex = stepOrder.indexOf(stepId);
 
@@ -1,5 +1,5 @@
 import React, { useEffect } from 'react';
-import { CheckCircle2, User, Calendar, Clock, Award } from 'lucide-react';
+import { CheckCircle2, User, Calendar, Clock, Award, AlertTriangle, RefreshCw, BookOpen } from 'lucide-react';
 
 /**
  * successscreen component
@@ -9,16 +9,20 @@ import { CheckCircle2, User, Calendar, Clock, Award } from 'lucide-react';
  * - animated success icon with bounce effect
  * - student photo, name, department, and year
  * - match score percentage and verification status
- * - attendance details (date and time of verification)
+ * - the reference photo the live face matched best (when the student has several)
+ * - attendance details (date and time of verification, plus class and present/late status when a session is running)
+ * - an error banner with retry if the attendance log write failed
  * - reset button to start a new verification
  * 
  * plays success.mp3 audio on mount.
  * 
  * @param {Object} studentData - student record { id, name, department, year, faceImage }
- * @param {Object} verificationResult - { similarity, confidence, timestamp, studentId }
+ * @param {Object} verificationResult - { similarity, confidence, matchedReference, timestamp, studentId, attendanceId, sectionId, status }
+ * @param {string} attendanceError - error message if the attendance record could not be saved (or null)
+ * @param {Function} onRetryLog - callback to retry saving the attendance record
  * @param {Function} onReset - callback to reset the verification flow
  */
-const SuccessScreen = ({ studentData, verificationResult, onReset }) => {
+const SuccessScreen = ({ studentData, verificationResult, attendanceError, onRetryLog, onReset }) => {
   // play success sound effect on mount (silently fails if audio not available)
   useEffect(() => {
     const audio = new Audio('/success.mp3');
@@ -56,10 +60,32 @@ const SuccessScreen = ({ studentData, verificationResult, onReset }) => {
           Verification Successful!
         </h2>
         <p className="text-gray-600">
-          Identity confirmed and logged
+          {attendanceError
+            ? 'Identity confirmed, but attendance was not logged'
+            : verificationResult.attendanceId
+              ? 'Identity confirmed and logged'
+              : 'Identity confirmed, logging attendance...'}
         </p>
       </div>
 
+      {attendanceError && (
+        <div className="mb-6 p-4 bg-red-50 rounded-lg border border-red-200">
+          <div className="flex items-center justify-between gap-3">
+            <div className="flex items-center gap-2 text-red-700">
+              <AlertTriangle size={20} />
+              <span className="text-sm font-semibold">Attendance log failed: {attendanceError}</span>
+            </div>
+            <button
+              onClick={onRetryLog}
+              className="shrink-0 bg-red-600 hover:bg-red-700 text-white text-sm font-semibold py-2 px-4 rounded-lg transition-colors duration-200 flex items-center gap-2"
+            >
+              <RefreshCw size={16} />
+              Retry
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="bg-gradient-to-br from-green-50 to-emerald-50 rounded-xl p-6 mb-6 border-2 border-green-200">
         <div className="flex items-center gap-4 mb-4">
           <div className="relative">
@@ -111,6 +137,22 @@ const SuccessScreen = ({ studentData, verificationResult, onReset }) => {
             </div>
           </div>
         </div>
+
+        {verificationResult.matchedReference && (
+          <div className="mt-4 bg-white rounded-lg p-3 shadow-sm flex items-center gap-3">
+            <img
+              src={verificationResult.matchedReference.url}
+              alt="Matched reference"
+              className="w-12 h-12 rounded-md object-cover"
+            />
+            <div>
+              <p className="text-xs text-gray-600">Matched Reference</p>
+              <p className="text-sm font-semibold text-gray-800 capitalize">
+                {verificationResult.matchedReference.pose || 'Registered photo'}
+              </p>
+            </div>
+          </div>
+        )}
       </div>
 
       <div className="bg-gray-50 rounded-lg p-4 mb-6">
@@ -134,6 +176,20 @@ const SuccessScreen = ({ studentData, verificationResult, onReset }) => {
               {formatTime(verificationResult.timestamp)}
             </span>
           </div>
+          {verificationResult.sectionId && (
+            <div className="flex items-center justify-between text-sm">
+              <div className="flex items-center gap-2 text-gray-600">
+                <BookOpen size={16} />
+                <span>Class</span>
+              </div>
+              <span className="font-medium text-gray-800">
+                {verificationResult.sectionId}
+                <span className={`ml-2 font-bold ${verificationResult.status === 'late' ? 'text-yellow-600' : 'text-green-600'}`}>
+                  {verificationResult.status === 'late' ? 'Late' : 'Present'}
+                </span>
+              </span>
+            </div>
+          )}
         </div>
       </div>
 
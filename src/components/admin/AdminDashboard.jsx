@@ -0,0 +1,72 @@
+import React from 'react';
+import { NavLink, Routes, Route, Navigate } from 'react-router-dom';
+import { Users, UserPlus, ClipboardList, ShieldAlert, BarChart3 } from 'lucide-react';
+import StudentsPanel from './StudentsPanel';
+import EnrollmentPanel from './EnrollmentPanel';
+import AttendancePanel from './AttendancePanel';
+import FailuresPanel from './FailuresPanel';
+import DailyStatsPanel from './DailyStatsPanel';
+
+// sidebar entries, relative to /admin
+const NAV_ITEMS = [
+  { to: 'students', label: 'Students', icon: Users },
+  { to: 'enroll', label: 'Enroll Student', icon: UserPlus },
+  { to: 'attendance', label: 'Attendance', icon: ClipboardList },
+  { to: 'failures', label: 'Failed Attempts', icon: ShieldAlert },
+  { to: 'stats', label: 'Daily Stats', icon: BarChart3 }
+];
+
+/**
+ * admindashboard component
+ *
+ * layout for the /admin area: sidebar navigation on the left and the
+ * active panel on the right. each panel loads its own data through
+ * the services/ modules, so the dashboard itself holds no state.
+ */
+const AdminDashboard = () => {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      <div className="container mx-auto px-4 py-8 flex gap-8">
+        <nav className="w-56 shrink-0">
+          <div className="bg-white rounded-xl shadow-lg p-4">
+            <h1 className="text-lg font-bold text-gray-800 mb-4 px-2">Admin</h1>
+            <ul className="space-y-1">
+              {NAV_ITEMS.map(({ to, label, icon: Icon }) => (
+                <li key={to}>
+                  <NavLink
+                    to={to}
+                    className={({ isActive }) =>
+                      `flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                        isActive ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-indigo-50'
+                      }`
+                    }
+                  >
+                    <Icon size={18} />
+                    {label}
+                  </NavLink>
+                </li>
+              ))}
+            </ul>
+            <NavLink to="/" className="block mt-6 px-3 text-sm text-indigo-600 hover:underline">
+              ← Back to kiosk
+            </NavLink>
+          </div>
+        </nav>
+
+        <main className="flex-1 min-w-0">
+          <Routes>
+            <Route index element={<Navigate to="students" replace />} />
+            <Route path="students" element={<StudentsPanel />} />
+            <Route path="enroll" element={<EnrollmentPanel />} />
+            <Route path="attendance" element={<AttendancePanel />} />
+            <Route path="failures" element={<FailuresPanel />} />
+            <Route path="stats" element={<DailyStatsPanel />} />
+            <Route path="*" element={<Navigate to="students" replace />} />
+          </Routes>
+        </main>
+      </div>
+    </div>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import PanelStatus from './PanelStatus';
+import useAsyncData from '../../hooks/useAsyncData';
+import { getAttendance, getAttendanceExportUrl } from '../../services/attendanceDB';
+
+// badge colours for session attendance status
+const STATUS_STYLES = {
+  present: 'bg-green-100 text-green-800',
+  late: 'bg-yellow-100 text-yellow-800',
+  absent: 'bg-red-100 text-red-800'
+};
+
+/** formats an iso timestamp as local date + time */
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString('en-US');
+
+/**
+ * attendancepanel component
+ *
+ * attendance log filtered by day, student id and department, with
+ * download links that export the same filtered set as csv, json or xlsx.
+ */
+const AttendancePanel = () => {
+  const [filters, setFilters] = useState({ date: '', studentId: '', department: '' });
+  const { data: records, error, isLoading, reload } = useAsyncData(
+    () => getAttendance(filters),
+    [filters.date, filters.studentId, filters.department]
+  );
+
+  const updateFilter = (field) => (e) => setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="bg-white rounded-xl shadow-2xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">Attendance</h2>
+        <div className="flex gap-2">
+          {['csv', 'json', 'xlsx'].map((format) => (
+            <a
+              key={format}
+              href={getAttendanceExportUrl(format, filters)}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
+            >
+              <Download size={14} />
+              {format.toUpperCase()}
+            </a>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex gap-3 mb-4">
+        <input
+          type="date"
+          value={filters.date}
+          onChange={updateFilter('date')}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          type="text"
+          value={filters.studentId}
+          onChange={updateFilter('studentId')}
+          placeholder="Student ID"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          type="text"
+          value={filters.department}
+          onChange={updateFilter('department')}
+          placeholder="Department"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+      </div>
+
+      <PanelStatus isLoading={isLoading} error={error} isEmpty={records?.length === 0} onRetry={reload} />
+
+      {!error && records?.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-4">Time</th>
+              <th className="py-2 pr-4">Student</th>
+              <th className="py-2 pr-4">Department</th>
+              <th className="py-2 pr-4">Class</th>
+              <th className="py-2 pr-4">Match</th>
+              <th className="py-2">Kiosk</th>
+            </tr>
+          </thead>
+          <tbody>
+            {records.map((record) => (
+              <tr key={record.id} className="border-b last:border-0">
+                <td className="py-2 pr-4 whitespace-nowrap">{formatDateTime(record.recordedAt)}</td>
+                <td className="py-2 pr-4">
+                  <span className="font-medium text-gray-800">{record.name}</span>
+                  <span className="ml-2 font-mono text-gray-500">{record.studentId}</span>
+                </td>
+                <td className="py-2 pr-4">{record.department}</td>
+                <td className="py-2 pr-4">
+                  {record.sectionId ? (
+                    <>
+                      {record.sectionId}
+                      <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[record.status] || ''}`}>
+                        {record.status}
+                      </span>
+                    </>
+                  ) : '—'}
+                </td>
+                <td className="py-2 pr-4">
+                  {record.similarity != null ? `${(record.similarity * 100).toFixed(1)}%` : '—'}
+                  {record.nameFlagged && (
+                    <span
+                      className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-800"
+                      title={`Name on card matched ${(record.nameScore * 100).toFixed(1)}%`}
+                    >
+                      name?
+                    </span>
+                  )}
+                </td>
+                <td className="py-2">
+                  {record.kioskId || '—'}
+                  {record.inputMethod && <div className="text-xs text-gray-500">ID: {record.inputMethod}</div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default AttendancePanel;
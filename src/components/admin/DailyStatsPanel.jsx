@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import PanelStatus from './PanelStatus';
+import useAsyncData from '../../hooks/useAsyncData';
+import { getDailyAttendanceStats } from '../../services/attendanceDB';
+
+// default range: the last 14 days including today
+const DEFAULT_RANGE_DAYS = 14;
+
+/** formats a date as YYYY-MM-DD in local time (the format <input type="date"> uses) */
+const toInputDate = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const defaultRange = () => {
+  const to = new Date();
+  const from = new Date(to);
+  from.setDate(from.getDate() - (DEFAULT_RANGE_DAYS - 1));
+  return { from: toInputDate(from), to: toInputDate(to) };
+};
+
+/**
+ * dailystatspanel component
+ *
+ * per-day check-in counts as horizontal bars, split into present / late /
+ * absent for session attendance. walk-in check-ins without a session are
+ * counted in the total only.
+ */
+const DailyStatsPanel = () => {
+  const [filters, setFilters] = useState(() => ({ ...defaultRange(), department: '' }));
+  const { data: days, error, isLoading, reload } = useAsyncData(
+    () => getDailyAttendanceStats(filters),
+    [filters.from, filters.to, filters.department]
+  );
+
+  const updateFilter = (field) => (e) => setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+  const maxCount = Math.max(1, ...(days || []).map((day) => day.checkIns + day.absent));
+
+  return (
+    <div className="bg-white rounded-xl shadow-2xl p-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4">Daily Stats</h2>
+
+      <div className="flex gap-3 mb-4 items-center text-sm">
+        <input type="date" value={filters.from} onChange={updateFilter('from')} className="px-3 py-2 border border-gray-300 rounded-lg" />
+        <span className="text-gray-500">to</span>
+        <input type="date" value={filters.to} onChange={updateFilter('to')} className="px-3 py-2 border border-gray-300 rounded-lg" />
+        <input
+          type="text"
+          value={filters.department}
+          onChange={updateFilter('department')}
+          placeholder="Department"
+          className="px-3 py-2 border border-gray-300 rounded-lg"
+        />
+      </div>
+
+      <div className="flex gap-4 mb-4 text-xs text-gray-600">
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-green-500" /> Present</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-yellow-400" /> Late</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-indigo-400" /> Walk-in</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-red-400" /> Absent</span>
+      </div>
+
+      <PanelStatus isLoading={isLoading} error={error} isEmpty={days?.length === 0} onRetry={reload} />
+
+      {!error && days?.length > 0 && (
+        <ul className="space-y-2">
+          {days.map((day) => {
+            const walkIns = day.checkIns - day.present - day.late;
+            const segments = [
+              { count: day.present, className: 'bg-green-500' },
+              { count: day.late, className: 'bg-yellow-400' },
+              { count: walkIns, className: 'bg-indigo-400' },
+              { count: day.absent, className: 'bg-red-400' }
+            ];
+            return (
+              <li key={day.date} className="flex items-center gap-3 text-sm">
+                <span className="w-24 shrink-0 font-mono text-gray-600">{day.date}</span>
+                <div className="flex-1 flex h-5 bg-gray-100 rounded overflow-hidden">
+                  {segments.map(({ count, className }) => count > 0 && (
+                    <div
+                      key={className}
+                      className={className}
+                      style={{ width: `${(count / maxCount) * 100}%` }}
+                      title={String(count)}
+                    />
+                  ))}
+                </div>
+                <span className="w-12 text-right font-semibold text-gray-800">{day.checkIns}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DailyStatsPanel;
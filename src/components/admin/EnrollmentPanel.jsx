@@ -0,0 +1,204 @@
+import React, { useRef, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import * as faceapi from '@vladmandic/face-api';
+import { Camera, CheckCircle2, XCircle, RefreshCw, UserPlus } from 'lucide-react';
+import useFaceEnrollment, { ENROLLMENT_POSES } from '../../hooks/useFaceEnrollment';
+import { enrollStudent } from '../../services/studentDB';
+import { FACE_MODEL_VERSION } from '../../services/faceApi';
+
+const EMPTY_FORM = { id: '', name: '', department: '', year: '', email: '' };
+
+// form fields in display order
+const FIELDS = [
+  { name: 'id', label: 'Student ID', required: true },
+  { name: 'name', label: 'Full name', required: true },
+  { name: 'department', label: 'Department' },
+  { name: 'year', label: 'Year' },
+  { name: 'email', label: 'Email', type: 'email' }
+];
+
+/**
+ * enrollmentpanel component
+ *
+ * registers a new student from the admin dashboard:
+ * - student details form
+ * - live front camera with face-api roi overlay
+ * - guided reference shots (one per pose in ENROLLMENT_POSES), captured
+ *   automatically once the frame passes the quality checks in usefaceenrollment
+ * - submits the record and photos to /api/enrollments
+ */
+const EnrollmentPanel = () => {
+  const videoRef = useRef(null);   // reference to the <video> element for camera feed
+  const canvasRef = useRef(null);  // reference to the <canvas> overlay for roi drawing
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [enrolled, setEnrolled] = useState(null); // last enrolled student, for the confirmation banner
+
+  const {
+    isReady,
+    error,
+    status,
+    qualityIssue,
+    shots,
+    isComplete,
+    detectionsRef,
+    retake
+  } = useFaceEnrollment(videoRef);
+
+  // draws the detected face box over the video (same approach as faceverifier)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const video = videoRef.current;
+    if (!canvas || !video || !isReady) return;
+
+    let animationId;
+    const draw = () => {
+      if (video.videoWidth && video.videoHeight) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const detections = detectionsRef.current;
+        if (detections && detections.length > 0) {
+          const resized = faceapi.resizeResults(detections, { width: video.videoWidth, height: video.videoHeight });
+          faceapi.draw.drawDetections(canvas, resized);
+        }
+      }
+      animationId = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => cancelAnimationFrame(animationId);
+  }, [isReady, detectionsRef]);
+
+  const updateField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+  const canSubmit = isComplete && form.id.trim() !== '' && form.name.trim() !== '' && !isSubmitting;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    setIsSubmitting(true);
+    setSubmitError(null);
+    try {
+      const { student } = await enrollStudent(
+        Object.fromEntries(Object.entries(form).map(([field, value]) => [field, value.trim()])),
+        shots,
+        FACE_MODEL_VERSION
+      );
+      setEnrolled(student);
+      setForm(EMPTY_FORM);
+      retake();
+    } catch (err) {
+      console.error('Enrollment error:', err);
+      setSubmitError(err.message || 'Enrollment failed');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-2xl p-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <UserPlus className="text-indigo-600" size={26} />
+        Enroll Student
+      </h2>
+
+      {enrolled && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800 flex items-center gap-2">
+          <CheckCircle2 size={18} />
+          Enrolled {enrolled.name} ({enrolled.id}).
+          <Link to="/admin/students" className="underline">View students</Link>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {FIELDS.map(({ name, label, required, type }) => (
+            <label key={name} className="block text-sm">
+              <span className="text-gray-700">
+                {label}{required && <span className="text-red-500"> *</span>}
+              </span>
+              <input
+                type={type || 'text'}
+                value={form[name]}
+                onChange={updateField(name)}
+                required={required}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+          ))}
+
+          {submitError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800 flex items-center gap-2">
+              <XCircle size={18} />
+              {submitError}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={!canSubmit}
+            className="w-full py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Enrolling…' : isComplete ? 'Enroll Student' : `Capture ${ENROLLMENT_POSES.length - shots.length} more photo(s)`}
+          </button>
+        </form>
+
+        <div>
+          <div className="relative bg-gray-900 rounded-lg overflow-hidden" style={{ aspectRatio: '4/3' }}>
+            <video ref={videoRef} autoPlay playsInline muted className="w-full h-full object-contain" />
+            <canvas ref={canvasRef} className="absolute inset-0 w-full h-full pointer-events-none" />
+
+            {!isReady && !error && (
+              <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70">
+                <div className="text-center text-white">
+                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-3"></div>
+                  <p>Starting camera...</p>
+                </div>
+              </div>
+            )}
+
+            <div className="absolute bottom-3 left-3 right-3 text-white text-sm drop-shadow-lg">
+              <p className="font-semibold flex items-center gap-2">
+                <Camera size={16} />
+                {status}
+              </p>
+              {qualityIssue && !isComplete && <p className="text-yellow-300 text-xs mt-1">{qualityIssue}</p>}
+            </div>
+          </div>
+
+          {error && (
+            <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 flex items-center gap-2">
+              <XCircle size={18} />
+              {error}
+            </div>
+          )}
+
+          <div className="mt-3 grid grid-cols-3 gap-2">
+            {ENROLLMENT_POSES.map((pose, i) => (
+              <div key={pose.id} className="text-center text-xs text-gray-600">
+                <div className={`rounded-md overflow-hidden bg-gray-100 border-2 ${i === shots.length ? 'border-indigo-500' : 'border-transparent'}`} style={{ aspectRatio: '4/3' }}>
+                  {shots[i] && <img src={shots[i].dataUrl} alt={`${pose.id} reference`} className="w-full h-full object-cover" />}
+                </div>
+                <span className="capitalize">{pose.id}</span>
+              </div>
+            ))}
+          </div>
+
+          {shots.length > 0 && (
+            <button
+              type="button"
+              onClick={retake}
+              className="mt-3 flex items-center gap-1 text-sm text-indigo-600 hover:underline"
+            >
+              <RefreshCw size={14} />
+              Retake photos
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EnrollmentPanel;
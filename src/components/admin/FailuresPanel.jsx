@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import PanelStatus from './PanelStatus';
+import useAsyncData from '../../hooks/useAsyncData';
+import { getFailures, getFailureSnapshotUrl } from '../../services/failuresDB';
+
+// outcome filter options; values match FAILURE_OUTCOMES on the server
+const OUTCOME_LABELS = {
+  failed_id: 'ID not found',
+  failed_name: 'Card name mismatch',
+  failed_face: 'Face mismatch',
+  failed_mismatch: 'Identity mismatch',
+  failed_unrecognized: 'Face not recognized',
+  failed_liveness: 'Liveness failed',
+  failed_system: 'System error'
+};
+
+/**
+ * failurespanel component
+ *
+ * audit trail of failed verification attempts with their evidence frames.
+ * clicking a thumbnail opens the full snapshot in a new tab.
+ */
+const FailuresPanel = () => {
+  const [filters, setFilters] = useState({ outcome: '', date: '', studentId: '' });
+  const { data: failures, error, isLoading, reload } = useAsyncData(
+    () => getFailures(filters),
+    [filters.outcome, filters.date, filters.studentId]
+  );
+
+  const updateFilter = (field) => (e) => setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="bg-white rounded-xl shadow-2xl p-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4">Failed Attempts</h2>
+
+      <div className="flex gap-3 mb-4">
+        <select
+          value={filters.outcome}
+          onChange={updateFilter('outcome')}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="">All outcomes</option>
+          {Object.entries(OUTCOME_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.date}
+          onChange={updateFilter('date')}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          type="text"
+          value={filters.studentId}
+          onChange={updateFilter('studentId')}
+          placeholder="Attempted or matched ID"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+      </div>
+
+      <PanelStatus isLoading={isLoading} error={error} isEmpty={failures?.length === 0} onRetry={reload} />
+
+      {!error && failures?.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-4">Snapshot</th>
+              <th className="py-2 pr-4">Time</th>
+              <th className="py-2 pr-4">Outcome</th>
+              <th className="py-2 pr-4">Attempted ID</th>
+              <th className="py-2 pr-4">Scores</th>
+              <th className="py-2">Kiosk</th>
+            </tr>
+          </thead>
+          <tbody>
+            {failures.map((failure) => (
+              <tr key={failure.id} className="border-b last:border-0 align-top">
+                <td className="py-2 pr-4">
+                  {failure.hasSnapshot ? (
+                    <a href={getFailureSnapshotUrl(failure.id)} target="_blank" rel="noreferrer">
+                      <img
+                        src={getFailureSnapshotUrl(failure.id)}
+                        alt={`Evidence for attempt ${failure.id}`}
+                        loading="lazy"
+                        className="w-20 h-14 object-cover rounded-md bg-gray-100"
+                      />
+                    </a>
+                  ) : '—'}
+                </td>
+                <td className="py-2 pr-4 whitespace-nowrap">{new Date(failure.createdAt).toLocaleString('en-US')}</td>
+                <td className="py-2 pr-4">
+                  {OUTCOME_LABELS[failure.outcome] || failure.outcome}
+                  {failure.reason && <div className="text-xs text-gray-500">{failure.reason}</div>}
+                </td>
+                <td className="py-2 pr-4 font-mono">
+                  {failure.attemptedId || '—'}
+                  {failure.ocrDigits && <div className="text-xs text-gray-500">OCR: {failure.ocrDigits}</div>}
+                  {failure.inputMethod && <div className="text-xs text-gray-500">Input: {failure.inputMethod}</div>}
+                  {failure.matchedId && (
+                    <div className="text-xs text-red-600">
+                      Face matched: {failure.matchedId}
+                      {failure.matchedSimilarity != null && ` (${(failure.matchedSimilarity * 100).toFixed(0)}%)`}
+                    </div>
+                  )}
+                </td>
+                <td className="py-2 pr-4">
+                  {failure.similarityScores.length > 0
+                    ? failure.similarityScores.map((score) => `${(score * 100).toFixed(0)}%`).join(', ')
+                    : '—'}
+                </td>
+                <td className="py-2">{failure.kioskId || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default FailuresPanel;
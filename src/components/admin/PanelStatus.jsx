@@ -0,0 +1,47 @@
+import React from 'react';
+import { Loader2, AlertTriangle, RefreshCw } from 'lucide-react';
+
+/**
+ * panelstatus component
+ *
+ * shared loading / error / empty placeholder for admin panels.
+ * renders nothing once there is data to show.
+ *
+ * @param {boolean} isLoading - true while the panel's request is in flight
+ * @param {string} error - error message from the last request (or null)
+ * @param {boolean} isEmpty - true when the request succeeded but returned no rows
+ * @param {Function} onRetry - callback to re-run the request after an error
+ */
+const PanelStatus = ({ isLoading, error, isEmpty, onRetry }) => {
+  if (error) {
+    return (
+      <div className="flex items-center justify-between gap-4 p-4 bg-red-50 border border-red-200 rounded-lg text-red-800 text-sm">
+        <span className="flex items-center gap-2">
+          <AlertTriangle size={18} />
+          {error}
+        </span>
+        <button
+          onClick={onRetry}
+          className="flex items-center gap-1 px-3 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+        >
+          <RefreshCw size={14} />
+          Retry
+        </button>
+      </div>
+    );
+  }
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center gap-2 p-8 text-gray-500">
+        <Loader2 size={20} className="animate-spin" />
+        Loading…
+      </div>
+    );
+  }
+  if (isEmpty) {
+    return <p className="p-8 text-center text-gray-500">No records found.</p>;
+  }
+  return null;
+};
+
+export default PanelStatus;
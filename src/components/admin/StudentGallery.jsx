@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Trash2, Upload } from 'lucide-react';
+import PanelStatus from './PanelStatus';
+import useAsyncData from '../../hooks/useAsyncData';
+import { getStudentPhotos, addStudentPhotos, deleteStudentPhoto } from '../../services/studentDB';
+
+/**
+ * studentgallery component
+ *
+ * a student's reference photos. the verifier matches live faces against every
+ * photo here, so adding shots with glasses, a new haircut, etc. reduces false
+ * rejections. photos can be added (jpeg) or removed.
+ *
+ * @param {Object} student - student record { id, faceImage }
+ */
+const StudentGallery = ({ student }) => {
+  const { data: photos, error, isLoading, reload } = useAsyncData(() => getStudentPhotos(student.id), [student.id]);
+  const [actionError, setActionError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  /** runs an add/remove request, then reloads the gallery */
+  const runAction = async (action) => {
+    setIsBusy(true);
+    setActionError(null);
+    try {
+      await action();
+      reload();
+    } catch (err) {
+      console.error('Gallery update error:', err);
+      setActionError(err.message || 'Update failed');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleUpload = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = ''; // allow picking the same file again
+    if (files.length > 0) runAction(() => addStudentPhotos(student.id, files));
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg">
+      <PanelStatus isLoading={isLoading} error={error || actionError} onRetry={reload} />
+
+      {!error && photos && (
+        <div className="flex flex-wrap gap-3 items-end">
+          {photos.length === 0 && (
+            <p className="text-sm text-gray-500">No gallery photos - only the registered face image is used.</p>
+          )}
+          {photos.map((photo) => (
+            <figure key={photo.id} className="relative text-center text-xs text-gray-600">
+              <img src={photo.url} alt={`${student.id} ${photo.pose || 'reference'}`} className="w-24 h-20 rounded-md object-cover bg-gray-200" />
+              <figcaption className="capitalize mt-1">
+                {photo.pose || 'photo'}
+                {photo.url === student.faceImage && ' (main)'}
+              </figcaption>
+              <button
+                onClick={() => runAction(() => deleteStudentPhoto(student.id, photo.id))}
+                disabled={isBusy}
+                title="Remove photo"
+                className="absolute top-1 right-1 p-1 bg-white bg-opacity-80 rounded-full text-red-600 hover:bg-opacity-100 disabled:opacity-50"
+              >
+                <Trash2 size={14} />
+              </button>
+            </figure>
+          ))}
+
+          <label className={`flex flex-col items-center justify-center w-24 h-20 border-2 border-dashed border-gray-300 rounded-md text-xs text-gray-500 cursor-pointer hover:border-indigo-400 ${isBusy ? 'opacity-50 pointer-events-none' : ''}`}>
+            <Upload size={18} />
+            Add JPEG
+            <input type="file" accept="image/jpeg" multiple onChange={handleUpload} className="hidden" />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StudentGallery;
@@ -0,0 +1,88 @@
+import React, { useState, Fragment } from 'react';
+import { Search, Images } from 'lucide-react';
+import PanelStatus from './PanelStatus';
+import StudentGallery from './StudentGallery';
+import useAsyncData from '../../hooks/useAsyncData';
+import { searchStudents } from '../../services/studentDB';
+
+/**
+ * studentspanel component
+ *
+ * searchable list of registered students (matches id, name or email).
+ * each row can be expanded to manage the student's reference photo gallery.
+ */
+const StudentsPanel = () => {
+  const [query, setQuery] = useState('');
+  const [openGalleryId, setOpenGalleryId] = useState(null); // student whose gallery is expanded
+  const { data: students, error, isLoading, reload } = useAsyncData(() => searchStudents(query), [query]);
+
+  return (
+    <div className="bg-white rounded-xl shadow-2xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">Students</h2>
+        <label className="relative">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search id, name or email"
+            className="pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm w-72"
+          />
+        </label>
+      </div>
+
+      <PanelStatus isLoading={isLoading} error={error} isEmpty={students?.length === 0} onRetry={reload} />
+
+      {!error && students?.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-4">Photo</th>
+              <th className="py-2 pr-4">ID</th>
+              <th className="py-2 pr-4">Name</th>
+              <th className="py-2 pr-4">Department</th>
+              <th className="py-2 pr-4">Year</th>
+              <th className="py-2 pr-4">Email</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {students.map((student) => (
+              <Fragment key={student.id}>
+                <tr className="border-b last:border-0">
+                  <td className="py-2 pr-4">
+                    <img src={student.faceImage} alt="" className="w-10 h-10 rounded-full object-cover bg-gray-100" />
+                  </td>
+                  <td className="py-2 pr-4 font-mono">{student.id}</td>
+                  <td className="py-2 pr-4 font-medium text-gray-800">{student.name}</td>
+                  <td className="py-2 pr-4">{student.department}</td>
+                  <td className="py-2 pr-4">{student.year}</td>
+                  <td className="py-2 pr-4">{student.email}</td>
+                  <td className="py-2">
+                    <button
+                      onClick={() => setOpenGalleryId(openGalleryId === student.id ? null : student.id)}
+                      className="flex items-center gap-1 text-indigo-600 hover:underline"
+                    >
+                      <Images size={16} />
+                      Photos
+                    </button>
+                  </td>
+                </tr>
+                {openGalleryId === student.id && (
+                  <tr>
+                    <td colSpan={7} className="pb-3">
+                      <StudentGallery student={student} />
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default StudentsPanel;
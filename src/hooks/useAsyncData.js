@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * useasyncdata hook
+ *
+ * runs an async loader (usually a services/ call) and tracks its result.
+ * re-runs whenever `deps` change; responses from an earlier, superseded run
+ * are dropped so fast filter changes can't show stale rows.
+ *
+ * @param {Function} loader - async function that resolves to the data
+ * @param {Array} deps - values that trigger a reload when they change
+ * @returns {Object} hook state: { data, error, isLoading, reload }
+ */
+const useAsyncData = (loader, deps) => {
+  const [data, setData] = useState(null);            // last successful result
+  const [error, setError] = useState(null);          // error message of the last run, or null
+  const [isLoading, setIsLoading] = useState(true);  // true while a run is in flight
+  const [reloadCount, setReloadCount] = useState(0); // bumped by reload() to force a re-run
+
+  useEffect(() => {
+    let isCurrent = true; // false once a newer run starts or the component unmounts
+
+    setIsLoading(true);
+    setError(null);
+    loader()
+      .then((result) => {
+        if (isCurrent) setData(result);
+      })
+      .catch((err) => {
+        console.error('Data loading error:', err);
+        if (isCurrent) setError(err.message || 'Request failed');
+      })
+      .finally(() => {
+        if (isCurrent) setIsLoading(false);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+    // the loader is recreated every render; callers list what it depends on in `deps`
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [...deps, reloadCount]);
+
+  /** runs the loader again with the current deps */
+  const reload = useCallback(() => setReloadCount((count) => count + 1), []);
+
+  return { data, error, isLoading, reload };
+};
+
+export default useAsyncData;
@@ -0,0 +1,214 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import * as faceapi from '@vladmandic/face-api';
+import { captureSnapshot } from '../services/snapshot';
+import { startCamera, stopCamera } from '../services/camera';
+import {
+  loadFaceModels,
+  createDetectorOptions,
+  getFaceQualityIssue,
+  estimateYaw,
+  measureFaceImage,
+  loadImage,
+  computeDescriptor
+} from '../services/faceApi';
+
+/**
+ * guided reference shots, captured in this order.
+ * yaw ranges use estimateyaw(): positive = turned to the subject's left.
+ */
+export const ENROLLMENT_POSES = [
+  { id: 'front', prompt: 'Look straight at the camera', minYaw: -0.06, maxYaw: 0.06 },
+  { id: 'left', prompt: 'Turn your head slightly to your left', minYaw: 0.1, maxYaw: 0.3 },
+  { id: 'right', prompt: 'Turn your head slightly to your right', minYaw: -0.3, maxYaw: -0.1 }
+];
+
+/**
+ * usefaceenrollment hook
+ *
+ * captures guided reference photos for a new student with the same camera
+ * and face-api pipeline the verifier uses (services/camera.js, services/faceapi.js).
+ *
+ * flow:
+ * 1. initialize front-facing camera (640x480) and load face-api models
+ * 2. prompt for each pose in ENROLLMENT_POSES
+ * 3. run periodic detection; a frame is rejected when there is not exactly one
+ *    face, the face fails the verifier's quality check (or a stricter score),
+ *    the face is too dark / bright / blurry, or the head is not in the prompted pose
+ * 4. after STABLE_FRAMES good frames in a row, capture the frame, extract its
+ *    descriptor (stored with the student so the verifier can skip this step)
+ *    and move to the next pose
+ *
+ * @param {React.RefObject} videoRef - reference to the html video element
+ * @returns {Object} hook state: { isReady, error, status, qualityIssue, currentPose, shots, isComplete, detectionsRef, retake }
+ */
+const useFaceEnrollment = (videoRef) => {
+  // --- ui state ---
+  const [isReady, setIsReady] = useState(false);             // true when camera + models are loaded
+  const [error, setError] = useState(null);                   // error message string if initialization fails
+  const [status, setStatus] = useState('Initializing...');    // status text displayed to the user
+  const [qualityIssue, setQualityIssue] = useState(null);     // why the current frame is rejected (or null)
+  const [shots, setShots] = useState([]);                     // captured shots: [{ pose, dataUrl, descriptor }]
+  const detectionsRef = useRef([]);                            // latest detections for the roi canvas
+
+  // --- internal refs ---
+  const streamRef = useRef(null);            // mediastream for camera cleanup
+  const detectionIntervalRef = useRef(null); // setinterval id for the detection loop
+  const isDetectingRef = useRef(false);      // skips a tick while the previous detection is still running
+  const goodFramesRef = useRef(0);           // consecutive frames that passed every check
+  const shotsRef = useRef([]);               // mirror of shots for the interval callback
+
+  // --- configuration ---
+  const DETECTION_INTERVAL = 400;   // how often to run face detection (ms)
+  const MIN_DETECTION_SCORE = 0.7;  // stricter than verification - references must be clear
+  const STABLE_FRAMES = 3;          // good frames in a row before a shot is taken
+  const MIN_BRIGHTNESS = 60;        // mean face luminance (0-255) below this is too dark
+  const MAX_BRIGHTNESS = 210;       // ... above this is washed out
+  const MIN_SHARPNESS = 30;         // laplacian variance of the face crop below this is blurry
+  const SHOT_QUALITY = 0.92;        // jpeg quality of the stored reference photos
+
+  const currentPose = ENROLLMENT_POSES[shots.length] || null;
+  const isComplete = shots.length === ENROLLMENT_POSES.length;
+
+  /**
+   * checks a single detection against everything a reference shot needs
+   * @returns {string|null} the problem to show the user, or null if the frame is usable
+   */
+  const getShotIssue = useCallback((detection, pose) => {
+    const video = videoRef.current;
+    const qualityIssue = getFaceQualityIssue(detection, video, { minScore: MIN_DETECTION_SCORE });
+    if (qualityIssue) return qualityIssue;
+
+    const { brightness, sharpness } = measureFaceImage(video, detection.detection.box);
+    if (brightness < MIN_BRIGHTNESS) return 'Too dark - add more light';
+    if (brightness > MAX_BRIGHTNESS) return 'Too bright - avoid direct light';
+    if (sharpness < MIN_SHARPNESS) return 'Image is blurry - hold still';
+
+    const yaw = estimateYaw(detection.landmarks);
+    if (yaw < pose.minYaw || yaw > pose.maxYaw) return pose.prompt;
+
+    return null;
+  }, [videoRef]);
+
+  /** runs one detection pass and captures a shot once the frame has been good for long enough */
+  const detectFrame = useCallback(async () => {
+    const video = videoRef.current;
+    const poseIndex = shotsRef.current.length;
+    const pose = ENROLLMENT_POSES[poseIndex];
+    if (!video || !pose || isDetectingRef.current) return;
+
+    isDetectingRef.current = true;
+    try {
+      const detections = await faceapi
+        .detectAllFaces(video, createDetectorOptions())
+        .withFaceLandmarks();
+      detectionsRef.current = detections;
+
+      let issue = null;
+      if (detections.length === 0) issue = 'Please look at the camera';
+      else if (detections.length > 1) issue = 'Multiple faces detected. Only one person allowed.';
+      else issue = getShotIssue(detections[0], pose);
+
+      setQualityIssue(issue);
+      if (issue) {
+        goodFramesRef.current = 0;
+        return;
+      }
+
+      goodFramesRef.current++;
+      if (goodFramesRef.current < STABLE_FRAMES) {
+        setStatus('Hold still...');
+        return;
+      }
+
+      const dataUrl = captureSnapshot(video, SHOT_QUALITY);
+      if (!dataUrl) return;
+      goodFramesRef.current = 0;
+
+      // the descriptor is taken from the jpeg itself - the same input the verifier would use
+      const descriptor = await computeDescriptor(await loadImage(dataUrl));
+      if (!descriptor) {
+        setQualityIssue('Face not found in the captured photo - hold still');
+        return;
+      }
+      if (shotsRef.current.length !== poseIndex) return; // retake() was called meanwhile
+
+      shotsRef.current = [...shotsRef.current, { pose: pose.id, dataUrl, descriptor }];
+      setShots(shotsRef.current);
+
+      const nextPose = ENROLLMENT_POSES[shotsRef.current.length];
+      setStatus(nextPose ? nextPose.prompt : 'All reference photos captured');
+    } catch (err) {
+      console.error('Enrollment detection error:', err);
+    } finally {
+      isDetectingRef.current = false;
+    }
+  }, [videoRef, getShotIssue]);
+
+  /** discards every captured shot and starts again from the first pose */
+  const retake = useCallback(() => {
+    shotsRef.current = [];
+    goodFramesRef.current = 0;
+    setShots([]);
+    setQualityIssue(null);
+    setStatus(ENROLLMENT_POSES[0].prompt);
+  }, []);
+
+  /**
+   * initialization effect - runs once on mount
+   * camera -> models -> detection loop
+   * cleanup: stops the loop and releases the camera stream
+   */
+  useEffect(() => {
+    let isMounted = true; // prevents state updates after unmount
+
+    const init = async () => {
+      try {
+        streamRef.current = await startCamera(videoRef.current, { facingMode: 'user' });
+      } catch (err) {
+        console.error('Camera error:', err);
+        if (isMounted) setError('Camera access denied');
+        return;
+      }
+      if (!isMounted) return;
+
+      try {
+        setStatus('Loading face recognition models...');
+        await loadFaceModels();
+      } catch (err) {
+        console.error('Model loading error:', err);
+        if (isMounted) setError('Failed to load face recognition models');
+        return;
+      }
+      if (!isMounted) return;
+
+      setIsReady(true);
+      setStatus(ENROLLMENT_POSES[0].prompt);
+      detectionIntervalRef.current = setInterval(detectFrame, DETECTION_INTERVAL);
+    };
+
+    init();
+
+    return () => {
+      isMounted = false;
+      if (detectionIntervalRef.current) {
+        clearInterval(detectionIntervalRef.current);
+        detectionIntervalRef.current = null;
+      }
+      stopCamera(streamRef.current);
+    };
+  }, [videoRef, detectFrame]);
+
+  return {
+    isReady,        // boolean: camera and models loaded
+    error,          // string: error message or null
+    status,         // string: current prompt / status text
+    qualityIssue,   // string: why the current frame is rejected, or null
+    currentPose,    // object: the pose being captured ({ id, prompt }), null when complete
+    shots,          // array: captured shots [{ pose, dataUrl, descriptor }]
+    isComplete,     // boolean: every pose has been captured
+    detectionsRef,  // ref: face-api detections for roi canvas drawing
+    retake          // function: discard the shots and start over
+  };
+};
+
+export default useFaceEnrollment;
@@ -1,5 +1,25 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import * as faceapi from '@vladmandic/face-api';
+import { captureSnapshot } from '../services/snapshot';
+import { startCamera, stopCamera } from '../services/camera';
+import {
+  loadFaceModels,
+  loadImage,
+  computeDescriptor,
+  createDetectorOptions,
+  getFaceQualityIssue,
+  eyeAspectRatio,
+  estimateYaw,
+  estimatePitch
+} from '../services/faceApi';
+import { createFaceMatcher, identifyFace } from '../services/faceMatcher';
+import {
+  createBlinkDetector,
+  createChallengeTracker,
+  pickChallenge,
+  POSE_CHALLENGES
+} from '../services/liveness';
+import { loadKioskConfig } from '../services/kioskConfig';
 
 /**
  * usefaceverification hook
@@ -8,20 +28,59 @@ import * as faceapi from '@vladmandic/face-api';
  * using the @vladmandic/face-api library (tinyfacedetector model).
  * 
  * flow:
- * 1. initialize front-facing camera (640x480)
+ * 0. load the kiosk configuration (thresholds, timings, camera size - see services/kioskconfig.js)
+ * 1. initialize front-facing camera (faceCameraWidth x faceCameraHeight, 640x480 by default)
  * 2. load face-api models (tinyfacedetector, facelandmark68, facerecognition)
- * 3. load reference face descriptor from the student's stored photo
+ * 3. load a reference face descriptor for each of the student's reference photos
+ *    (precomputed descriptors are used directly; others are extracted from the image)
  * 4. run periodic face detection on the live video feed
- * 5. compare detected face descriptor against reference using euclidean distance
- * 6. if similarity >= threshold, trigger onverified callback
+ * 5. compare detected face descriptor against the references using euclidean distance
+ *    (closest reference or reference centroid, see matchStrategy)
+ * 6. if similarity >= threshold and the matched face then blinks, trigger onverified callback
+ *
+ * liveness: a separate, faster loop follows the eye aspect ratio of the single
+ * face in frame (services/liveness.js). every match is held until the face
+ * blinks; only blinks after the match count, and the descriptor of the frame
+ * the blink ended on must match the same student, so a blink from someone
+ * else (or before a photo was held up) confirms nothing. without such a blink
+ * within blinkTimeout the attempt fails liveness (a printed photo or a phone screen).
+ * after the blink, a random head-pose challenge (challengeTypes) is prompted on
+ * screen and out loud; every movement must be seen, in order, within
+ * challengeTimeout before onverified fires. the frame each movement completes
+ * on is re-identified the same way; another face there cancels the challenge
+ * and matching starts over.
+ *
+ * identify mode (face-only kiosks) runs the same loop as a 1:n search: the
+ * references are every enrolled student's descriptors, and a face is accepted
+ * only when one student reaches identifyThreshold with identifyMargin over
+ * the runner-up (see identifyface in services/facematcher.js).
  * 
  * @param {React.RefObject} videoRef - reference to the html video element
- * @param {string} referenceFaceImage - url path to the student's reference face image
- * @param {Function} onVerified - callback when face is successfully verified (receives {similarity, confidence})
+ * @param {Object[]} referenceImages - the student's reference photos [{ id, url, pose, descriptor? }],
+ *   or in identify mode every enrolled descriptor [{ studentId, url, descriptor }]
+ *   (memoize it - a new array restarts the camera); photos without a detectable face are skipped
+ * @param {Function} onVerified - callback when face is successfully verified
+ *   (receives { similarity, confidence, matchedReference: { id, url, pose }, challenge };
+ *   challenge lists the head movements performed; identify mode adds studentId and runnerUpSimilarity)
  * @param {Function} onFailed - callback when face verification fails
+ *   (receives a reason string and { similarityScores, snapshot, descriptor } for the failure audit log;
+ *   descriptor is the live face of the last attempt, for the identity mismatch check)
+ * @param {Object} options - optional:
+ *   - onDescriptorsComputed: receives [{ imageUrl, descriptor }] for references that had no
+ *     stored descriptor and were processed from the image (memoize it as well)
+ *   - identify: true for a 1:n search over referenceImages instead of a 1:1 check
+ *   - onLivenessFailed: callback when a matching face never blinks or misses the head-pose challenge
+ *     (same arguments as onFailed, plus check: 'blink' or 'challenge', and studentId in identify mode);
+ *     defaults to onFailed
  * @returns {Object} hook state: { isReady, error, status, faceDetected, similarityScore, isVerifying, detectionsRef }
  */
-const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed) => {
+const useFaceVerification = (
+  videoRef,
+  referenceImages,
+  onVerified,
+  onFailed,
+  { onDescriptorsComputed, identify = false, onLivenessFailed } = {}
+) => {
   // --- ui state ---
   const [isReady, setIsReady] = useState(false);           // true when camera + models + reference are all loaded
   const [error, setError] = useState(null);                 // error message string if initialization fails
@@ -29,31 +88,52 @@ const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed)
   const [faceDetected, setFaceDetected] = useState(false);  // true when a single face is detected in frame
   const [similarityScore, setSimilarityScore] = useState(null); // latest similarity score (0-1)
   const [isVerifying, setIsVerifying] = useState(false);    // true during active face comparison
+  const [hasBlinked, setHasBlinked] = useState(false);      // true once the face in frame has blinked (liveness)
+  const [challenge, setChallenge] = useState(null);         // active head-pose challenge step: { type, prompt, step, total }
   const detectionsRef = useRef([]);                          // shared ref for face-api detection results (used by faceverifier canvas)
 
   // --- internal refs ---
-  const modelsLoadedRef = useRef(false);              // prevents re-loading models on re-render
   const detectionIntervalRef = useRef(null);          // setinterval id for periodic face detection
-  const referenceDescriptorRef = useRef(null);        // 128-dimensional face descriptor from reference photo
+  const matcherRef = useRef(null);                    // face matcher over the loaded references (services/facematcher.js)
   const streamRef = useRef(null);                     // mediastream for camera cleanup
   const hasVerifiedRef = useRef(false);               // prevents duplicate verification callbacks
   const hasFailedRef = useRef(false);                  // prevents duplicate failure callbacks
   const failedAttemptsRef = useRef(0);                 // consecutive failed match attempts counter
+  const attemptScoresRef = useRef([]);                 // similarity score of every match attempt (for the audit log)
   const lastDetectionTimeRef = useRef(Date.now());    // timestamp of last match attempt (for throttling)
+  const livenessIntervalRef = useRef(null);           // setinterval id for the blink / head-pose sampling loop
+  const blinkDetectorRef = useRef(null);              // eye aspect ratio tracker (services/liveness.js)
+  const isSamplingRef = useRef(false);                // skips a liveness sample while the previous one is still running
+  const pendingMatchRef = useRef(null);               // { result, since, similarityScores } - a match waiting for a blink
+  const frameCanvasRef = useRef(null);                // video frame the liveness loop samples (and re-identifies) from
+  const challengeRef = useRef(null);                  // { steps, tracker, since, match } - the running head-pose challenge
+  const configRef = useRef(null);                     // kiosk settings from /api/config, loaded first in init
 
   // --- configuration ---
-  const MATCH_THRESHOLD = 0.58;     // minimum similarity score to verify (0-1, higher = stricter)
-  const DETECTION_INTERVAL = 1000;  // how often to run face detection (ms)
-  const MATCHING_THROTTLE = 6000;   // minimum time between match attempts (ms) to avoid rapid re-checks
-  const MAX_FAILED_ATTEMPTS = 5;    // failed attempts 
+  // tunable settings come from the backend (server/models/kioskconfig.js):
+  //   matchThreshold      minimum similarity score to verify (0-1, higher = stricter)
+  //   matchStrategy       'best' = closest reference photo, 'centroid' = mean of all reference descriptors
+  //   identifyThreshold   identify mode: minimum similarity of the best student (stricter - any student may match)
+  //   identifyMargin      identify mode: required lead of the best student over the runner-up
+  //   detectionInterval   how often to run face detection (ms)
+  //   matchingThrottle    minimum time between match attempts (ms) to avoid rapid re-checks
+  //   maxFailedAttempts   failed attempts before the verification fails
+  //   detectorInputSize   tinyfacedetector input size for live frames
+  //   requireBlink        hold every match until the face blinks (liveness)
+  //   blinkTimeout        how long a matched face may go without blinking before liveness fails (ms)
+  //   challengeTypes      enabled head-pose challenges (see POSE_CHALLENGES); [] = off
+  //   challengeLength     movements asked for per verification (distinct, random order)
+  //   challengeTimeout    time to complete the whole challenge sequence (ms)
+  const LIVENESS_SAMPLE_INTERVAL = 100; // how often to sample eyes and head pose (ms) - blinks last 100-400 ms
 
   /**
-   * announces "verification successful" via web speech api
-   * called once when face verification passes
+   * reads a message out via web speech api
+   * (silently skipped when speech synthesis is not available)
+   * @param {string} text - what to say
    */
-  const speakVerification = useCallback(() => {
+  const speak = useCallback((text) => {
     if ('speechSynthesis' in window) {
-      const utterance = new SpeechSynthesisUtterance('Verification Successful');
+      const utterance = new SpeechSynthesisUtterance(text);
       utterance.rate = 1.0;
       utterance.pitch = 1.0;
       utterance.volume = 0.8;
@@ -62,44 +142,50 @@ const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed)
   }, []);
 
   /**
-   * announces "verification failed" via web speech api
-   * called once when face verification fails after max attempts
+   * announces "verification successful"
+   * called once when face verification passes
    */
-  const speakFailure = useCallback(() => {
-    if ('speechSynthesis' in window) {
-      const utterance = new SpeechSynthesisUtterance('Verification Failed. Face does not match.');
-      utterance.rate = 1.0;
-      utterance.pitch = 1.0;
-      utterance.volume = 0.8;
-      speechSynthesis.speak(utterance);
+  const speakVerification = useCallback(() => {
+    speak('Verification Successful');
+  }, [speak]);
+
+  /**
+   * announces "verification failed"
+   * called once when face verification fails after max attempts (or fails liveness)
+   * @param {string} detail - what went wrong; defaults to the face match failure
+   */
+  const speakFailure = useCallback((detail) => {
+    speak(`Verification Failed. ${detail || (identify ? 'Face not recognized.' : 'Face does not match.')}`);
+  }, [speak, identify]);
+
+  /**
+   * loads this kiosk's settings from the backend (shared with the id scanner, see services/kioskconfig.js)
+   * @returns {boolean} true if the settings loaded successfully
+   */
+  const loadConfig = useCallback(async () => {
+    try {
+      configRef.current = await loadKioskConfig();
+      return true;
+    } catch (err) {
+      console.error('Kiosk configuration error:', err);
+      setError('Failed to load kiosk configuration');
+      return false;
     }
   }, []);
 
   /**
-   * initializes the front-facing camera at 640x480 resolution
+   * initializes the front-facing camera at the configured resolution (640x480 by default)
    * attaches the mediastream to the video element
    * @returns {boolean} true if camera initialized successfully
    */
   const initCamera = useCallback(async () => {
+    const { faceCameraWidth, faceCameraHeight } = configRef.current;
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          facingMode: 'user',       // front-facing camera for face verification
-          width: { ideal: 640 },    // 4:3 aspect ratio
-          height: { ideal: 480 }
-        }
+      streamRef.current = await startCamera(videoRef.current, {
+        facingMode: 'user', // front-facing camera
+        width: faceCameraWidth,
+        height: faceCameraHeight
       });
-
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        streamRef.current = stream;
-        await new Promise((resolve) => {
-          videoRef.current.onloadedmetadata = () => {
-            videoRef.current.play();
-            resolve();
-          };
-        });
-      }
       return true;
     } catch (err) {
       console.error('Camera error:', err);
@@ -109,26 +195,13 @@ const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed)
   }, [videoRef]);
 
   /**
-   * loads face-api.js neural network models from /public/models/
-   * models used:
-   *   - tinyfacedetector: lightweight face detection (~190kb)
-   *   - facelandmark68net: 68-point facial landmark detection
-   *   - facerecognitionnet: generates 128-dimensional face descriptors
+   * loads the face-api.js models (shared with enrollment, see services/faceapi.js)
    * @returns {boolean} true if models loaded successfully
    */
   const loadModels = useCallback(async () => {
-    if (modelsLoadedRef.current) return true; // skip if already loaded
-
     try {
       setStatus('Loading face recognition models...');
-      const modelPath = `${window.location.origin}/models`;
-      
-      await faceapi.nets.tinyFaceDetector.loadFromUri(modelPath);
-      await faceapi.nets.faceLandmark68Net.loadFromUri(modelPath);
-      await faceapi.nets.faceRecognitionNet.loadFromUri(modelPath);
-
-      modelsLoadedRef.current = true;
-      console.log('Face models loaded');
+      await loadFaceModels();
       return true;
     } catch (err) {
       console.error('Model loading error:', err);
@@ -138,115 +211,299 @@ const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed)
   }, []);
 
   /**
-   * loads the student's reference face image and extracts its 128-dimensional descriptor
-   * the descriptor is stored in referencedescriptorref for comparison during live detection
+   * prepares the reference descriptors for comparison during live detection.
+   * references that arrive with a descriptor (precomputed for FACE_MODEL_VERSION)
+   * are used as-is; the others are downloaded and run through face-api once, and
+   * the new descriptors are handed to ondescriptorscomputed so they can be stored.
+   * an image that fails to load or has no detectable face is skipped; loading
+   * fails only when no reference is usable.
    * cache-busting query param (?t=timestamp) ensures fresh image load
-   * @returns {boolean} true if reference descriptor was extracted successfully
+   * @returns {boolean} true if at least one reference descriptor is available
    */
-  const loadReferenceDescriptor = useCallback(async () => {
-    try {
-      setStatus('Loading reference face...');
-      
-      // load reference image with cache-busting
-      const img = await new Promise((resolve, reject) => {
-        const image = new Image();
-        image.crossOrigin = 'anonymous';
-        image.onload = () => resolve(image);
-        image.onerror = () => reject(new Error('Failed to load reference image'));
-        image.src = referenceFaceImage + '?t=' + Date.now();
-      });
+  const loadReferenceDescriptors = useCallback(async () => {
+    setStatus('Loading reference faces...');
+    const loaded = [];
+    const computed = []; // [{ imageUrl, descriptor }] extracted from images in this run
+
+    // sequential - the detector shares one webgl backend
+    for (const reference of referenceImages) {
+      if (reference.descriptor) {
+        loaded.push(reference);
+        continue;
+      }
+
+      try {
+        const img = await loadImage(reference.url + '?t=' + Date.now());
+        const descriptor = await computeDescriptor(img);
+        if (!descriptor) {
+          throw new Error('No face found in reference image');
+        }
 
-      // detect face in reference image and extract 128-dimensional descriptor
-      const detection = await faceapi
-        .detectSingleFace(
-          img,
-          new faceapi.TinyFaceDetectorOptions({ 
-            inputSize: 160,         // input resolution for detector (smaller = faster)
-            scoreThreshold: 0.5     // minimum confidence to consider a detection valid
-          })
-        )
-        .withFaceLandmarks()        // detect 68 facial landmark points
-        .withFaceDescriptor();      // generate 128-dimensional face descriptor vector
-
-      if (!detection) {
-        throw new Error('No face found in reference image');
+        loaded.push({ ...reference, descriptor });
+        computed.push({ imageUrl: reference.url, descriptor });
+      } catch (err) {
+        console.warn(`Skipping reference ${reference.url}:`, err.message);
       }
+    }
 
-      // store descriptor as regular array for euclidean distance calculation
-      referenceDescriptorRef.current = Array.from(detection.descriptor);
-      console.log('Reference face loaded');
-      return true;
-    } catch (err) {
-      console.error('Reference loading error:', err);
-      setError('Failed to load reference face image');
+    if (loaded.length === 0) {
+      setError(identify ? 'No enrolled faces available for identification' : 'Failed to load reference face image');
       return false;
     }
-  }, [referenceFaceImage]);
+
+    matcherRef.current = createFaceMatcher(loaded, { strategy: configRef.current.matchStrategy });
+    console.log(`Reference faces loaded: ${loaded.length}/${referenceImages.length} (${computed.length} computed)`);
+
+    if (computed.length > 0 && onDescriptorsComputed) {
+      onDescriptorsComputed(computed);
+    }
+    return true;
+  }, [referenceImages, onDescriptorsComputed, identify]);
 
   /**
-   * calculates face similarity using euclidean distance
-   * 
-   * formula: distance = sqrt( sum( (a[i] - b[i])^2 ) ) for all 128 dimensions
-   * similarity = max(0, 1 - distance)
-   * 
-   * typical distance ranges for face-api descriptors:
-   *   - same person:      0.2 - 0.4 (similarity 60-80%)
-   *   - different person:  0.6 - 1.0+ (similarity 0-40%)
-   * 
-   * @param {number[]} a - 128-dimensional descriptor of face a
-   * @param {number[]} b - 128-dimensional descriptor of face b
-   * @returns {number} similarity score between 0 and 1
+   * scores a live descriptor against the loaded references
+   *   - 1:1: the student's score (matchStrategy) must reach matchThreshold
+   *   - identify: the best student must reach identifyThreshold with identifyMargin
+   *     over the runner-up; a close runner-up makes the attempt ambiguous
+   *
+   * @param {number[]} descriptor - 128-dimensional descriptor of the live face
+   * @returns {Object} { isMatch, isAmbiguous, similarity, studentId, runnerUpSimilarity, matchedReference }
    */
-  const faceSimilarity = (a, b) => {
-    if (!a || !b || a.length !== b.length) return 0;
-    
-    // calculate euclidean distance between two 128-dimensional face descriptors
-    let sum = 0;
-    for (let i = 0; i < a.length; i++) {
-      const diff = a[i] - b[i];
-      sum += diff * diff;
+  const scoreAgainstReferences = (descriptor) => {
+    const { matchThreshold, identifyThreshold, identifyMargin } = configRef.current;
+    if (!identify) {
+      const [best] = matcherRef.current.findMatches(descriptor);
+      return { ...best, isMatch: best.similarity >= matchThreshold, isAmbiguous: false, runnerUpSimilarity: null };
     }
-    const distance = Math.sqrt(sum);
-    
-    // convert distance to similarity (0-1 range, higher = more similar)
-    const similarity = Math.max(0, 1 - distance);
-    
-    console.log('Euclidean distance:', distance.toFixed(4), 'Similarity:', similarity.toFixed(4));
-    return similarity;
+
+    const { status, match, runnerUp } = identifyFace(matcherRef.current, descriptor, {
+      threshold: identifyThreshold,
+      margin: identifyMargin
+    });
+    return {
+      ...match,
+      isMatch: status === 'match',
+      isAmbiguous: status === 'ambiguous',
+      runnerUpSimilarity: runnerUp ? runnerUp.similarity : null
+    };
   };
 
   /**
    * validates face detection quality before attempting a match
-   * checks:
-   *   1. detection confidence score >= 0.5
-   *   2. face is horizontally centered (within 35% of video center)
-   *   3. face size is between 15-85% of video width (not too far/close)
+   * (confidence, centering and size - see getfacequalityissue in services/faceapi.js)
    * 
    * @param {Object} detection - face-api detection result with .detection.box and .detection.score
    * @returns {boolean} true if face quality is sufficient for matching
    */
   const checkFaceQuality = (detection) => {
     if (!videoRef.current) return false;
-    if (detection.detection.score < 0.5) return false; // low confidence detection
+    return getFaceQualityIssue(detection, videoRef.current) === null;
+  };
 
-    const faceBox = detection.detection.box;
-    const videoCenter = videoRef.current.videoWidth / 2;
-    const faceCenter = faceBox.x + (faceBox.width / 2);
-    const maxOffset = videoRef.current.videoWidth * 0.35; // 35% tolerance from center
-    
-    if (Math.abs(faceCenter - videoCenter) > maxOffset) return false; // face too far off-center
+  /** stops the face detection and liveness sampling loops */
+  const stopDetection = useCallback(() => {
+    if (detectionIntervalRef.current) {
+      clearInterval(detectionIntervalRef.current);
+      detectionIntervalRef.current = null;
+    }
+    if (livenessIntervalRef.current) {
+      clearInterval(livenessIntervalRef.current);
+      livenessIntervalRef.current = null;
+    }
+  }, []);
 
-    const minSize = videoRef.current.videoWidth * 0.15; // face too small (too far away)
-    const maxSize = videoRef.current.videoWidth * 0.85; // face too large (too close)
-    if (faceBox.width < minSize || faceBox.width > maxSize) return false;
+  /** forgets the blink, a match waiting for one and any running challenge - the face in frame may have changed */
+  const resetLiveness = () => {
+    pendingMatchRef.current = null;
+    challengeRef.current = null;
+    setChallenge(null);
+    setHasBlinked(false);
+    if (blinkDetectorRef.current) blinkDetectorRef.current.reset();
+  };
 
-    return true;
+  /**
+   * copies the current video frame, so a liveness event and the identity check
+   * of the face that performed it use the same image
+   * @returns {HTMLCanvasElement}
+   */
+  const grabFrame = (video) => {
+    if (!frameCanvasRef.current) frameCanvasRef.current = document.createElement('canvas');
+    const canvas = frameCanvasRef.current;
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  };
+
+  /**
+   * checks that the single face in a frame is the one a match was made with:
+   * it must match again, and in identify mode match the same student
+   * @param {HTMLCanvasElement} frame - from grabframe
+   * @param {Object} match - { result } of the match being confirmed
+   * @returns {Promise<boolean>}
+   */
+  const isMatchedFace = async (frame, match) => {
+    const detections = await faceapi
+      .detectAllFaces(frame, createDetectorOptions({ inputSize: configRef.current.detectorInputSize }))
+      .withFaceLandmarks()
+      .withFaceDescriptors();
+    if (detections.length !== 1) return false;
+
+    const { isMatch, studentId, similarity } = scoreAgainstReferences(Array.from(detections[0].descriptor));
+    console.log('Liveness face re-check:', (similarity * 100).toFixed(1) + '%');
+    return isMatch && (!identify || studentId === match.result.studentId);
+  };
+
+  /**
+   * ends the loops and notifies the parent of a successful match
+   * @param {Object} result - payload for onverified
+   */
+  const completeVerification = (result) => {
+    console.log('FACE VERIFIED!');
+    hasVerifiedRef.current = true;  // prevent duplicate callbacks
+    failedAttemptsRef.current = 0;  // reset failed counter
+    pendingMatchRef.current = null;
+    challengeRef.current = null;
+    setChallenge(null);
+    speakVerification();            // audio announcement
+    stopDetection();
+    onVerified(result);
+  };
+
+  /**
+   * ends the loops when a matched face failed a liveness check
+   * @param {string} reason - for the audit log
+   * @param {string} spoken - short explanation read out to the user
+   * @param {Object} match - { result, similarityScores } of the match that was being confirmed
+   * @param {string} check - the check that failed: 'blink' or 'challenge'
+   */
+  const failLiveness = (reason, spoken, match, check) => {
+    console.log('LIVENESS FAILED -', reason);
+    hasFailedRef.current = true;
+    challengeRef.current = null;
+    setChallenge(null);
+    speakFailure(spoken);
+    stopDetection();
+
+    // notify parent component of failure, with evidence for the audit log
+    (onLivenessFailed || onFailed)(reason, {
+      similarityScores: match.similarityScores,
+      snapshot: captureSnapshot(videoRef.current),
+      check,
+      ...(identify && { studentId: match.result.studentId })
+    });
+  };
+
+  /** shows and reads out the current step of the running challenge */
+  const promptChallengeStep = () => {
+    const { steps, tracker } = challengeRef.current;
+    const type = steps[tracker.stepIndex()];
+    setChallenge({ type, prompt: POSE_CHALLENGES[type].prompt, step: tracker.stepIndex() + 1, total: steps.length });
+    speak(POSE_CHALLENGES[type].spoken);
+  };
+
+  /**
+   * a match passed the blink check: run the head-pose challenge, or verify
+   * right away when no challenge types are enabled
+   * @param {Object} match - { result, similarityScores }
+   */
+  const confirmMatch = (match) => {
+    pendingMatchRef.current = null;
+    const steps = pickChallenge(configRef.current.challengeTypes, configRef.current.challengeLength);
+    if (steps.length === 0) {
+      completeVerification(match.result);
+      return;
+    }
+
+    console.log('Head-pose challenge:', steps.join(' -> '));
+    challengeRef.current = { steps, tracker: createChallengeTracker(steps), since: Date.now(), match };
+    promptChallengeStep();
+  };
+
+  /**
+   * one liveness sample from the single face in frame:
+   *   - eye aspect ratio while a match waits for a blink; a blink confirms the match when the
+   *     blinking face is the matched one, waiting longer than blinkTimeout fails liveness
+   *   - head pose while a challenge runs; each movement counts when the face performing it is
+   *     the matched one (another face cancels the challenge), the last movement verifies,
+   *     running longer than challengeTimeout fails liveness
+   */
+  const sampleLiveness = async () => {
+    const video = videoRef.current;
+    if (!video || isSamplingRef.current || hasVerifiedRef.current || hasFailedRef.current) return;
+    const { requireBlink, blinkTimeout, challengeTimeout, detectorInputSize } = configRef.current;
+    const pending = requireBlink ? pendingMatchRef.current : null;
+    if (!pending && !challengeRef.current) return; // nothing to watch right now
+
+    isSamplingRef.current = true;
+    try {
+      const frame = grabFrame(video);
+      const detections = await faceapi
+        .detectAllFaces(frame, createDetectorOptions({ inputSize: detectorInputSize }))
+        .withFaceLandmarks();
+      const now = Date.now();
+      const landmarks = detections.length === 1 ? detections[0].landmarks : null;
+      if (hasVerifiedRef.current || hasFailedRef.current) return;
+
+      if (pending) {
+        if (landmarks && blinkDetectorRef.current.update(eyeAspectRatio(landmarks), now)) {
+          console.log('Blink detected');
+          const sameFace = await isMatchedFace(frame, pending);
+          if (pendingMatchRef.current !== pending || hasVerifiedRef.current || hasFailedRef.current) return;
+          if (sameFace) {
+            setHasBlinked(true);
+            confirmMatch(pending);
+          } else {
+            console.log('Blink ignored - not the matched face');
+          }
+          return;
+        }
+
+        if (now - pending.since > blinkTimeout) {
+          failLiveness('Face matched but never blinked - possible photo or screen', 'No blink detected.', pending, 'blink');
+        }
+        return;
+      }
+
+      const running = challengeRef.current;
+      if (landmarks && running.tracker.update({ yaw: estimateYaw(landmarks), pitch: estimatePitch(landmarks) })) {
+        const sameFace = await isMatchedFace(frame, running.match);
+        if (challengeRef.current !== running || hasVerifiedRef.current || hasFailedRef.current) return;
+        if (!sameFace) {
+          // someone else performed the movement (the matched face may have been a photo)
+          console.log('Head-pose challenge cancelled - not the matched face');
+          resetLiveness();
+          setStatus('Face changed - look at the camera');
+          return;
+        }
+        if (running.tracker.isComplete()) {
+          completeVerification({ ...running.match.result, challenge: running.steps });
+        } else {
+          promptChallengeStep();
+        }
+        return;
+      }
+
+      if (now - running.since > challengeTimeout) {
+        const missed = running.steps[running.tracker.stepIndex()];
+        failLiveness(
+          `Head movement challenge not completed (${running.steps.join(', ')}; stopped at ${missed})`,
+          'Head movement not detected.',
+          running.match,
+          'challenge'
+        );
+      }
+    } catch (err) {
+      console.error('Liveness sampling error:', err);
+    } finally {
+      isSamplingRef.current = false;
+    }
   };
 
   /**
    * starts the periodic face detection loop
-   * runs every DETECTION_INTERVAL ms, detects faces in the video feed,
-   * and compares against the reference descriptor when MATCHING_THROTTLE allows
+   * runs every detectionInterval ms, detects faces in the video feed,
+   * and compares against the reference descriptor when matchingThrottle allows
    * 
    * detection results:
    *   - 0 faces: show "please look at the camera"
@@ -254,12 +511,23 @@ const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed)
    *   - 2+ faces: show "multiple faces detected" error
    */
   const startFaceDetection = useCallback(() => {
-    if (!videoRef.current || !referenceDescriptorRef.current) return;
+    if (!videoRef.current || !matcherRef.current) return;
+    const {
+      detectionInterval,
+      matchingThrottle,
+      maxFailedAttempts,
+      detectorInputSize,
+      requireBlink,
+      challengeTypes
+    } = configRef.current;
 
     setStatus('Looking for face...');
     hasVerifiedRef.current = false;
     hasFailedRef.current = false;
     failedAttemptsRef.current = 0;
+    attemptScoresRef.current = [];
+    blinkDetectorRef.current = createBlinkDetector();
+    resetLiveness();
 
     // run face detection at regular intervals
     detectionIntervalRef.current = setInterval(async () => {
@@ -268,26 +536,21 @@ const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed)
       try {
         // detect all faces in current video frame with landmarks and descriptors
         const detections = await faceapi
-          .detectAllFaces(
-            videoRef.current,
-            new faceapi.TinyFaceDetectorOptions({
-              inputSize: 160,         // smaller = faster, larger = more accurate
-              scoreThreshold: 0.5     // minimum detection confidence
-            })
-          )
+          .detectAllFaces(videoRef.current, createDetectorOptions({ inputSize: detectorInputSize }))
           .withFaceLandmarks()        // 68-point facial landmarks
           .withFaceDescriptors();     // 128-dimensional face descriptor for each face
 
 
         const now = Date.now();
         // only attempt matching if enough time has passed since last attempt
-        const shouldMatch = (now - lastDetectionTimeRef.current >= MATCHING_THROTTLE);
+        const shouldMatch = (now - lastDetectionTimeRef.current >= matchingThrottle);
 
         if (detections.length === 0) {
           // no face found in frame
           setFaceDetected(false);
           setStatus('Please look at the camera');
           setSimilarityScore(null);
+          if (!challengeRef.current) resetLiveness(); // a turned head can drop out of detection mid-challenge
         } else if (detections.length === 1) {
           // single face detected - update roi ref for canvas drawing
           setFaceDetected(true);
@@ -295,97 +558,107 @@ const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed)
           console.log('DETECTIONS SET:', detections.length, 'box:', detections[0].detection.box);
           const detection = detections[0];
 
-          if (checkFaceQuality(detection) && shouldMatch) {
+          if (checkFaceQuality(detection) && shouldMatch && !pendingMatchRef.current && !challengeRef.current) {
             lastDetectionTimeRef.current = now; // reset throttle timer
             setIsVerifying(true);
             setStatus('Verifying face...');
 
-            // extract descriptor and compare with reference using euclidean distance
+            // extract descriptor and compare with the references using euclidean distance
             const currentDescriptor = Array.from(detection.descriptor);
-            const similarity = faceSimilarity(
-              currentDescriptor,
-              referenceDescriptorRef.current
-            );
+            const {
+              isMatch,
+              isAmbiguous,
+              similarity,
+              studentId,
+              runnerUpSimilarity,
+              matchedReference
+            } = scoreAgainstReferences(currentDescriptor);
 
             setSimilarityScore(similarity);
+            attemptScoresRef.current.push(similarity);
             console.log('Match score:', (similarity * 100).toFixed(1) + '%');
 
-            if (similarity >= MATCH_THRESHOLD && !hasVerifiedRef.current) {
-              // match found - face verified successfully
-              console.log('FACE VERIFIED!');
-              hasVerifiedRef.current = true;  // prevent duplicate callbacks
-              failedAttemptsRef.current = 0;  // reset failed counter
-              speakVerification();             // audio announcement
-              
-              // stop detection loop
-              if (detectionIntervalRef.current) {
-                clearInterval(detectionIntervalRef.current);
-                detectionIntervalRef.current = null;
-              }
-
-              // notify parent component with match results
-              onVerified({
+            if (isMatch && !hasVerifiedRef.current) {
+              // match found - notify parent component with match results
+              const result = {
                 similarity,
-                confidence: detection.detection.score
-              });
-            } else if (similarity < MATCH_THRESHOLD) {
+                confidence: detection.detection.score,
+                matchedReference,
+                ...(identify && { studentId, runnerUpSimilarity })
+              };
+
+              const match = { result, similarityScores: [...attemptScoresRef.current] };
+              if (requireBlink) {
+                // a photo or screen matches too - hold the result until the matched face blinks;
+                // eye movements from before the match don't count
+                blinkDetectorRef.current.reset();
+                pendingMatchRef.current = { ...match, since: now };
+                setStatus('Face matched - please blink to confirm');
+              } else {
+                confirmMatch(match);
+              }
+            } else if (!isMatch) {
               // no match - face doesn't match reference
               failedAttemptsRef.current++;
-              const attemptsLeft = MAX_FAILED_ATTEMPTS - failedAttemptsRef.current;
-              console.log(`Failed attempt ${failedAttemptsRef.current}/${MAX_FAILED_ATTEMPTS}`);
+              const attemptsLeft = maxFailedAttempts - failedAttemptsRef.current;
+              console.log(`Failed attempt ${failedAttemptsRef.current}/${maxFailedAttempts}`);
 
-              if (failedAttemptsRef.current >= MAX_FAILED_ATTEMPTS && !hasFailedRef.current) {
+              if (failedAttemptsRef.current >= maxFailedAttempts && !hasFailedRef.current) {
                 // max failed attempts reached - trigger failure
                 console.log('FACE VERIFICATION FAILED - max attempts reached');
                 hasFailedRef.current = true;
                 speakFailure();
-
-                // stop detection loop
-                if (detectionIntervalRef.current) {
-                  clearInterval(detectionIntervalRef.current);
-                  detectionIntervalRef.current = null;
-                }
-
-                // notify parent component of failure
-                onFailed('Face does not match the registered student');
+                stopDetection();
+
+                // notify parent component of failure, with evidence for the audit log
+                onFailed(identify ? 'Face does not match any enrolled student' : 'Face does not match the registered student', {
+                  similarityScores: [...attemptScoresRef.current],
+                  snapshot: captureSnapshot(videoRef.current),
+                  descriptor: currentDescriptor
+                });
               } else {
-                setStatus(`No match (${(similarity * 100).toFixed(1)}%) - attempt ${failedAttemptsRef.current}/${MAX_FAILED_ATTEMPTS}`);
+                const outcome = isAmbiguous ? 'Ambiguous match' : 'No match';
+                setStatus(`${outcome} (${(similarity * 100).toFixed(1)}%) - attempt ${failedAttemptsRef.current}/${maxFailedAttempts}`);
               }
             }
 
             setIsVerifying(false);
           } else {
-            setStatus('Position face in center');
+            if (challengeRef.current) setStatus('Follow the on-screen instruction');
+            else setStatus(pendingMatchRef.current ? 'Face matched - please blink to confirm' : 'Position face in center');
           }
         } else {
           // multiple faces detected - security measure, only allow one person
           setFaceDetected(false);
           detectionsRef.current = [];
           setStatus('Multiple faces detected. Only one person allowed.');
+          resetLiveness(); // the blink could come from someone else
         }
       } catch (err) {
         console.error('Detection error:', err);
       }
-    }, DETECTION_INTERVAL);
-  }, [videoRef, onVerified, onFailed]);
+    }, detectionInterval);
 
-  /** stops the face detection interval loop */
-  const stopDetection = useCallback(() => {
-    if (detectionIntervalRef.current) {
-      clearInterval(detectionIntervalRef.current);
-      detectionIntervalRef.current = null;
+    // eye aspect ratio / head pose sampling for the liveness checks
+    if (requireBlink || challengeTypes.length > 0) {
+      livenessIntervalRef.current = setInterval(sampleLiveness, LIVENESS_SAMPLE_INTERVAL);
     }
-  }, []);
+  }, [videoRef, onVerified, onFailed, onLivenessFailed, identify, stopDetection]);
+
 
   /**
    * initialization effect - runs once on mount
-   * sequential setup: camera -> models -> reference descriptor -> start detection
+   * sequential setup: kiosk config -> camera -> models -> reference descriptor -> start detection
    * cleanup: stops detection interval and releases camera stream
    */
   useEffect(() => {
     let isMounted = true; // prevents state updates after unmount
 
     const init = async () => {
+      // step 0: load this kiosk's settings (thresholds, timings, camera size)
+      const configOk = await loadConfig();
+      if (!configOk || !isMounted) return;
+
       // step 1: initialize camera
       const cameraOk = await initCamera();
       if (!cameraOk || !isMounted) return;
@@ -394,8 +667,8 @@ const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed)
       const modelsOk = await loadModels();
       if (!modelsOk || !isMounted) return;
 
-      // step 3: load reference face descriptor from student photo
-      const refOk = await loadReferenceDescriptor();
+      // step 3: load reference face descriptors from the student's photos
+      const refOk = await loadReferenceDescriptors();
       if (!refOk || !isMounted) return;
 
       // step 4: all ready - start face detection after brief delay
@@ -415,11 +688,9 @@ const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed)
       stopDetection();
       
       // release camera stream
-      if (streamRef.current) {
-        streamRef.current.getTracks().forEach(track => track.stop());
-      }
+      stopCamera(streamRef.current);
     };
-  }, [initCamera, loadModels, loadReferenceDescriptor, startFaceDetection, stopDetection]);
+  }, [loadConfig, initCamera, loadModels, loadReferenceDescriptors, startFaceDetection, stopDetection]);
 
   // expose state and refs to the consuming component (faceverifier)
   return {
@@ -429,6 +700,9 @@ const useFaceVerification = (videoRef, referenceFaceImage, onVerified, onFailed)
     faceDetected,     // boolean: face currently visible in frame
     similarityScore,  // number: latest match score (0-1) or null
     isVerifying,      // boolean: currently running face comparison
+    hasBlinked,       // boolean: the matched face has blinked (only ever true when the blink check runs)
+    requireBlink: configRef.current?.requireBlink !== false, // boolean: the blink check is on
+    challenge,        // object: current head-pose challenge step { type, prompt, step, total }, or null
     detectionsRef     // ref: face-api detection objects for roi canvas drawing
   };
 };
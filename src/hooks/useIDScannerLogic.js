@@ -1,71 +1,128 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import * as tf from '@tensorflow/tfjs';
-import * as cocoSsd from '@tensorflow-models/coco-ssd';
 import Tesseract from 'tesseract.js';
-import { getAllValidStudentIDs } from '../services/testDB';
+import { getAllValidStudentIDs } from '../services/studentDB';
+import { captureSnapshot } from '../services/snapshot';
+import { startCamera, stopCamera } from '../services/camera';
+import { loadKioskConfig } from '../services/kioskConfig';
+import { extractIdCandidates, getOcrWhitelist, matchesAnyIdFormat } from '../services/idFormats';
+import { extractBarcodeId } from '../services/barcode';
+import { createFrameProcessor } from '../services/frameProcessor';
+import { createIdVote } from '../services/idConsensus';
+import { correctIdRead } from '../services/idCorrection';
 
 /**
  * useidscannerlogic hook
  * 
- * custom react hook that handles real-time student id card scanning
- * using coco-ssd for object detection and tesseract.js for ocr.
+ * custom react hook that handles real-time student id card scanning:
+ * barcodes are decoded with zxing, and tesseract.js ocr reads the printed
+ * number from the located, perspective-corrected card when no barcode gives a
+ * registered id.
  * 
  * flow:
- * 1. initialize rear-facing camera (1280x720)
- * 2. load coco-ssd model (object detection) and tesseract ocr worker
- * 3. periodically scan video frames for objects (id cards)
- * 4. if an object is detected, crop to its bounding box (roi) for focused ocr
- * 5. run ocr on the cropped region with digit-only whitelist
- * 6. clean ocr text and search for valid student ids
- * 7. if a valid id is found, trigger oniddetected callback
+ * 0. load the kiosk configuration (scan interval, camera size - see services/kioskconfig.js)
+ * 1. initialize rear-facing camera (idCameraWidth x idCameraHeight, 1280x720 by default)
+ * 2. start the frame worker with its barcode reader, load the tesseract ocr worker and registered student ids
+ * 3. periodically decode a barcode from the full video frame (barcodeFormats, see services/barcode.js);
+ *    the id is read from the barcodeIdField of its payload
+ * 4. otherwise find the card's quadrilateral and warp it flat (services/carddetector.js)
+ * 5. run ocr on the corrected card (or the full frame when no card was found),
+ *    whitelisted to digits and the id prefixes - once per ocrPreprocessing method
+ *    (services/ocrpreprocessing.js) until one yields a registered id
+ * 6. extract ids in the configured formats (idFormats, see services/idformats.js)
+ *    and look them up in the registry; without a registered id, accept the one registered
+ *    id a single low-confidence digit away (idCorrection, see services/idcorrection.js)
+ * 7. vote over consecutive frames (services/idconsensus.js): an ocr'd id is accepted once it
+ *    wins idConsensusVotes of the last idConsensusWindow reads with no other id among them
+ * 8. once an id is accepted, read the name area of the card with a second, letters-only
+ *    ocr pass (nameCheck, nameRegion) and trigger oniddetected callback
+ *
+ * the image work of steps 3-5 (barcode decoding, card detection, warping, preprocessing)
+ * runs in a web worker (services/frameprocessor.js), so the overlay animation in idscanner
+ * doesn't stall; ocr runs in tesseract's own workers. each frame logs its per-stage timings.
+ *
+ * ids can also be typed: on the on-screen keypad (submitTypedId, when manualEntry is on) or
+ * by a usb keyboard-wedge badge / rfid reader, recognized by keys arriving less than
+ * wedgeMaxKeyGap ms apart and ending in enter. typed ids must fit one of the idFormats.
  * 
  * @param {React.RefObject} videoRef - reference to the html video element
- * @param {Function} onIDDetected - callback when a valid student id is found (receives studentid string)
- * @returns {Object} hook state: { isReady, error, status, detections, startScanning, stopScanning }
+ * @param {Function} onIDDetected - callback when a valid student id is found
+ *   (receives studentid string and { ocrDigits, snapshot, nameText, inputMethod } - ocrDigits and
+ *   snapshot for the failure audit log, null ocrDigits unless the id was ocr'd; nameText is the raw
+ *   name ocr, null when the name check is off, the name could not be read or the id was typed;
+ *   inputMethod is 'barcode', 'ocr', 'keypad' or 'wedge')
+ * @returns {Object} hook state: { isReady, error, status, cardQuad, consensus, manualEntry, idPrefixes,
+ *   startScanning, stopScanning, submitTypedId }
  */
 const useIDScannerLogic = (videoRef, onIDDetected) => {
   // --- ui state ---
-  const [isReady, setIsReady] = useState(false);       // true when camera + models are loaded
+  const [isReady, setIsReady] = useState(false);       // true when camera + ocr are loaded
   const [error, setError] = useState(null);             // error message string if initialization fails
   const [status, setStatus] = useState('Initializing...');  // status text displayed to the user
-  const [detections, setDetections] = useState([]);     // coco-ssd detection results for roi canvas drawing
+  const [cardQuad, setCardQuad] = useState(null);      // card corners in video pixels (clockwise from top-left), or null
+  const [consensus, setConsensus] = useState(null);    // { studentId, votes, required, contested } of the leading ocr read, or null
+  const [manualEntry, setManualEntry] = useState(false); // true when the on-screen keypad is offered
+  const [idPrefixes, setIdPrefixes] = useState([]);    // id prefixes from idFormats, as extra keypad keys
   
   // --- internal refs ---
-  const modelRef = useRef(null);           // coco-ssd model instance
   const ocrWorkerRef = useRef(null);       // tesseract.js ocr worker instance
+  const nameWorkerRef = useRef(null);      // second worker for the printed name, null when nameCheck is 'off'
+  const frameProcessorRef = useRef(null);  // barcode, card and preprocessing stages (frame worker)
   const scanIntervalRef = useRef(null);    // setinterval id for periodic scanning
   const isProcessingRef = useRef(false);   // prevents overlapping scan operations
   const scanCountRef = useRef(0);          // number of scan attempts (unlimited)
   const streamRef = useRef(null);          // mediastream for camera cleanup
+  const validIdsRef = useRef(new Set());   // registered student ids fetched from the backend
+  const configRef = useRef(null);          // kiosk settings from /api/config, loaded first in init
+  const idVoteRef = useRef(null);          // multi-frame voting buffer, recreated by startScanning
 
   // --- configuration ---
-  const SCAN_INTERVAL = 1000;  // how often to scan for id cards (ms)
+  // tunable settings come from the backend (server/models/kioskconfig.js):
+  //   barcodeFormats                  barcode symbologies to decode ([] = ocr only)
+  //   barcodeIdField                  payload field holding the student id ('' = whole payload)
+  //   idFormats                       student id format rules for barcode and ocr candidates
+  //   ocrPreprocessing                preprocessing methods to try on each frame, in order
+  //   cardMinArea                     smallest card outline accepted, as a fraction of the frame
+  //   cardAspectRatio                 card long side / short side - the warped card's shape
+  //   idCorrection                    correct a single misread digit when exactly one registered id fits
+  //   idCorrectionConfidence          only characters ocr'd with less confidence than this (0-100) are edited
+  //   idConsensusVotes                frames an ocr'd id must win before it is accepted ...
+  //   idConsensusWindow               ... out of this many most recent frames
+  //   manualEntry                     offer the on-screen keypad
+  //   wedgeInput, wedgeMaxKeyGap      accept keyboard-wedge readers; longest pause between their keys (ms)
+  //   nameCheck, nameRegion           whether and where to read the printed name (compared in useverificationflow)
+  //   scanInterval                    how often to scan for id cards (ms)
+  //   idCameraWidth, idCameraHeight   ideal camera resolution - hd by default for better ocr accuracy
 
   /**
-   * initializes the rear-facing camera at 1280x720 resolution
+   * loads this kiosk's settings from the backend (shared with face verification, see services/kioskconfig.js)
+   * @returns {boolean} true if the settings loaded successfully
+   */
+  const loadConfig = useCallback(async () => {
+    try {
+      configRef.current = await loadKioskConfig();
+      setManualEntry(configRef.current.manualEntry);
+      setIdPrefixes([...new Set(configRef.current.idFormats.map((format) => format.prefix).filter(Boolean))]);
+      return true;
+    } catch (err) {
+      console.error('Kiosk configuration error:', err);
+      setError('Failed to load kiosk configuration');
+      return false;
+    }
+  }, []);
+
+  /**
+   * initializes the rear-facing camera at the configured resolution (1280x720 by default)
    * uses 'environment' facing mode for scanning physical id cards
    * @returns {boolean} true if camera initialized successfully
    */
   const initCamera = useCallback(async () => {
+    const { idCameraWidth, idCameraHeight } = configRef.current;
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { 
-          facingMode: 'environment',    // rear camera for scanning id cards
-          width: { ideal: 1280 },       // hd resolution for better ocr accuracy
-          height: { ideal: 720 } 
-        }
+      streamRef.current = await startCamera(videoRef.current, {
+        facingMode: 'environment',    // rear camera for scanning id cards
+        width: idCameraWidth,
+        height: idCameraHeight
       });
-
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        streamRef.current = stream;
-        await new Promise((resolve) => {
-          videoRef.current.onloadedmetadata = () => {
-            videoRef.current.play();
-            resolve();
-          };
-        });
-      }
       return true;
     } catch (err) {
       console.error('Camera error:', err);
@@ -75,34 +132,38 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
   }, [videoRef]);
 
   /**
-   * loads ai models:
-   *   1. tensorflow.js with webgl backend for gpu acceleration
-   *   2. coco-ssd (lite_mobilenet_v2) for object detection
-   *   3. tesseract.js ocr worker configured for digit-only recognition
+   * loads the readers:
+   *   1. tesseract.js ocr worker limited to the characters of the configured id formats
+   *   2. a letters-only tesseract.js worker for the printed name, unless nameCheck is 'off'
+   *   3. zxing barcode reader for the enabled symbologies
    * @returns {boolean} true if all models loaded successfully
    */
   const initModels = useCallback(async () => {
     try {
       setStatus('Loading AI models...');
       
-      // initialize tensorflow.js with webgl backend for gpu acceleration
-      await tf.ready();
-      await tf.setBackend('webgl');
-      
-      // load coco-ssd object detection model (lightweight mobilenet variant)
-      modelRef.current = await cocoSsd.load({ base: 'lite_mobilenet_v2' });
-      
       // initialize tesseract ocr worker for english text recognition
       ocrWorkerRef.current = await Tesseract.createWorker('eng', 1, {
         logger: () => {}  // suppress verbose logging
       });
       
-      // configure ocr for digit-only recognition (student ids are numeric)
+      // configure ocr for the id formats (digits, plus any prefix letters)
       await ocrWorkerRef.current.setParameters({
         tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK,  // treat image as single text block
-        tessedit_char_whitelist: '0123456789',               // only recognize digits
+        tessedit_char_whitelist: getOcrWhitelist(configRef.current.idFormats),
       });
 
+      if (configRef.current.nameCheck !== 'off') {
+        nameWorkerRef.current = await Tesseract.createWorker('eng', 1, { logger: () => {} });
+        await nameWorkerRef.current.setParameters({
+          tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK,
+          tessedit_char_whitelist: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz -.,'",
+        });
+      }
+
+      frameProcessorRef.current = createFrameProcessor();
+      await frameProcessorRef.current.configure({ barcodeFormats: configRef.current.barcodeFormats });
+
       console.log('Models loaded');
       return true;
     } catch (err) {
@@ -112,6 +173,24 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
     }
   }, []);
 
+  /**
+   * fetches the registered student ids once so ocr matching doesn't hit
+   * the backend on every frame
+   * @returns {boolean} true if the id list was loaded
+   */
+  const loadValidIds = useCallback(async () => {
+    try {
+      setStatus('Loading student registry...');
+      validIdsRef.current = new Set(await getAllValidStudentIDs());
+      console.log('Loaded', validIdsRef.current.size, 'student IDs');
+      return true;
+    } catch (err) {
+      console.error('Registry loading error:', err);
+      setError('Failed to load student registry');
+      return false;
+    }
+  }, []);
+
   /**
    * cleans ocr text by replacing commonly misread characters with their digit equivalents
    * ocr engines often confuse letters with similar-looking digits:
@@ -134,130 +213,111 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
   };
 
   /**
-   * searches ocr text for a valid student id from the database
-   * 
-   * strategy (in order of priority):
-   *   1. exact match: check if any valid id appears as substring in the digit string
-   *   2. sliding window: try all 7-digit substrings against valid ids
-   *   3. first 7 digits: check if the first 7 digits match a valid id
-   * 
+   * searches ocr text for registered student ids
+   *
+   * candidates are every id in the text that fits one of the configured formats
+   * (length range, prefix, pattern, check digit - see extractidcandidates in
+   * services/idformats.js); all registered ones are returned, so the vote sees
+   * when one read could be two different students
+   *
    * @param {string} text - raw ocr text to search
-   * @returns {string|null} matched student id or null if not found
+   * @returns {string[]} registered ids in candidate priority order (empty if none)
    */
-  const findValidStudentId = (text) => {
-    const validIds = getAllValidStudentIDs();
-    
-    // strip everything except digits
-    const digitsOnly = text.replace(/\D/g, '');
-    
-    console.log('All digits found:', digitsOnly, `(${digitsOnly.length} digits)`);
-    
-    // strategy 1: check if any valid id exists as substring in the digit string
-    for (const validId of validIds) {
-      if (digitsOnly.includes(validId)) {
-        console.log('FOUND EXACT MATCH:', validId);
-        return validId;
-      }
-    }
-    
-    // strategy 2: sliding window approach for 7-digit ids
-    if (digitsOnly.length >= 7) {
-      // try every possible 7-digit window
-      for (let i = 0; i <= digitsOnly.length - 7; i++) {
-        const candidate = digitsOnly.substring(i, i + 7);
-        if (validIds.includes(candidate)) {
-          console.log('FOUND IN WINDOW:', candidate);
-          return candidate;
-        }
-      }
-      
-      // strategy 3: try the first 7 digits as a last resort
-      const firstSeven = digitsOnly.substring(0, 7);
-      console.log('Checking first 7 digits:', firstSeven);
-      if (validIds.includes(firstSeven)) {
-        console.log('MATCHED FIRST 7:', firstSeven);
-        return firstSeven;
-      }
+  const findRegisteredIds = (text) => {
+    const validIds = validIdsRef.current;
+    const candidates = extractIdCandidates(text, configRef.current.idFormats);
+    console.log('ID candidates:', candidates);
+
+    const registered = candidates.filter((candidate) => validIds.has(candidate));
+    if (registered.length > 0) console.log('FOUND REGISTERED IDS:', registered);
+    else console.log('No registered ID among', candidates.length, 'candidates');
+    return registered;
+  };
+
+  /**
+   * reads the student id from the payload of a barcode decoded in the frame
+   * the id must fit one of the configured formats and be registered
+   *
+   * @param {Object} barcode - { text, format } from the frame worker
+   * @returns {string|null} registered student id, or null if the barcode doesn't give one
+   */
+  const findBarcodeStudentId = (barcode) => {
+    const { barcodeIdField, idFormats } = configRef.current;
+    const candidate = extractBarcodeId(barcode.text, barcodeIdField);
+    console.log('BARCODE:', barcode.format, JSON.stringify(barcode.text), '->', candidate);
+
+    if (!candidate || !matchesAnyIdFormat(candidate, idFormats) || !validIdsRef.current.has(candidate)) {
+      console.log('Barcode has no registered ID, falling back to OCR');
+      return null;
     }
-    
-    console.log('No valid ID found in:', digitsOnly);
-    return null;
+    return candidate;
   };
 
   /**
-   * captures the entire video frame as a canvas for ocr processing
-   * used as fallback when no object is detected by coco-ssd
-   * 
-   * @param {HTMLVideoElement} video - video element to capture from
-   * @returns {HTMLCanvasElement} preprocessed canvas ready for ocr
+   * adds stage durations (ms) to a frame's timings
+   * stages that run more than once per frame (preprocessing, encoding, ocr) add up
    */
-  const captureFullFrame = (video) => {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-    
-    // apply grayscale + binary threshold for better ocr accuracy
-    preprocessImage(ctx, canvas.width, canvas.height);
-    
-    return canvas;
+  const addTimings = (total, timings) => {
+    for (const [stage, ms] of Object.entries(timings)) total[stage] = (total[stage] || 0) + ms;
+  };
+
+  /** logs a frame's per-stage timings, e.g. "capture 3 | draw 6 | barcode 41 | detect 22 | ..." */
+  const logTimings = (timings) => {
+    const where = frameProcessorRef.current?.inWorker ? 'frame worker' : 'main thread';
+    const stages = Object.entries(timings).map(([stage, ms]) => `${stage} ${Math.round(ms)}`);
+    console.log(`Frame timings (ms, image stages on ${where}):`, stages.join(' | '));
   };
 
   /**
-   * preprocesses an image for better ocr accuracy
-   * applies grayscale conversion using luminance formula,
-   * then binary thresholding to create high-contrast black/white image
-   * 
-   * luminance formula: gray = R*0.299 + G*0.587 + B*0.114
-   * binary threshold: pixel > 128 = white (255), else black (0)
-   * 
-   * @param {CanvasRenderingContext2D} ctx - canvas context with image data
-   * @param {number} width - image width in pixels
-   * @param {number} height - image height in pixels
+   * runs tesseract on an image, timed as the given stage
+   * @returns {Promise<Object>} tesseract result data
    */
-  const preprocessImage = (ctx, width, height) => {
+  const recognize = async (worker, image, stage, timings) => {
+    const start = performance.now();
+    const { data } = await worker.recognize(image);
+    addTimings(timings, { [stage]: performance.now() - start });
+    return data;
+  };
+
+  /**
+   * second ocr pass over the card's name area (nameRegion) in the current frame,
+   * reading letters instead of digits
+   * @param {string} method - preprocessing method to use (the one that read the id)
+   * @param {Object} timings - the frame's timings
+   * @returns {Promise<string|null>} raw name text, or null when the name check is off or ocr failed
+   */
+  const readCardName = async (method, timings) => {
+    if (!nameWorkerRef.current) return null;
     try {
-      const imageData = ctx.getImageData(0, 0, width, height);
-      const data = imageData.data;
-      
-      // convert each pixel to grayscale then apply binary threshold
-      for (let i = 0; i < data.length; i += 4) {
-        // weighted grayscale (human eye sensitivity: green > red > blue)
-        const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-        
-        // binary threshold: creates sharp black/white image for ocr
-        const threshold = 128;
-        const value = gray > threshold ? 255 : 0;
-        
-        data[i] = value;       // r
-        data[i + 1] = value;   // g
-        data[i + 2] = value;   // b
-        // alpha (data[i+3]) remains unchanged
-      }
-      
-      ctx.putImageData(imageData, 0, 0);
-    } catch (e) {
-      console.error('Preprocessing error:', e);
+      const name = await frameProcessorRef.current.prepareName(configRef.current.nameRegion, method);
+      addTimings(timings, name.timings);
+      const data = await recognize(nameWorkerRef.current, name.image, 'nameOcr', timings);
+      console.log('NAME OCR TEXT:', data.text);
+      return data.text;
+    } catch (err) {
+      console.error('Name OCR error:', err);
+      return null;
     }
   };
 
   /**
    * scans a single video frame for student id
    * 
-   * process:
-   * 1. run coco-ssd object detection on the video frame
-   * 2. if object detected, crop to its bounding box (roi) for focused ocr
-   * 3. if no object, use full frame as fallback
-   * 4. preprocess the image (grayscale + binary threshold)
-   * 5. run tesseract ocr on the preprocessed image
-   * 6. search ocr text for valid student ids
-   * 7. if found, stop scanning and trigger callback
+   * process (steps 1-5 in the frame worker):
+   * 1. decode a barcode from the frame - a registered id from it skips ocr
+   * 2. find the card's quadrilateral (edges + contours)
+   * 3. if found, warp the card flat to its standard aspect ratio for focused ocr
+   * 4. if no card, use the full frame as fallback
+   * 5. preprocess the image with the first ocrPreprocessing method (see services/ocrpreprocessing.js)
+   * 6. run tesseract ocr on the preprocessed image and search the text for valid student ids
+   * 7. if none is found, repeat 5-6 with the next method; if no method finds one, use the
+   *    first unambiguous single-digit correction of a read
+   * 8. add the frame's ids (or none) to the vote
+   * 9. once the vote accepts an id, read the printed name, stop scanning and trigger callback
    */
   const scanFrame = useCallback(async () => {
     // guard: skip if already processing, or dependencies not ready
-    if (isProcessingRef.current || !videoRef.current || !modelRef.current || !ocrWorkerRef.current) {
+    if (isProcessingRef.current || !videoRef.current || !ocrWorkerRef.current || !frameProcessorRef.current) {
       return;
     }
 
@@ -266,85 +326,127 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
 
     isProcessingRef.current = true;   // lock to prevent overlapping scans
     setStatus('Scanning for ID card...');
+    const processor = frameProcessorRef.current;
+    const frameStart = performance.now();
+    const timings = {};
 
     try {
-      // step 1: run coco-ssd object detection (max 1 detection, min 25% confidence)
-      const predictions = await modelRef.current.detect(video, 1, 0.25);
-      setDetections(predictions); // update state for roi canvas visualization
+      // the frame is handed to the worker as an imagebitmap, without copying pixels here
+      const captureStart = performance.now();
+      const bitmap = await createImageBitmap(video);
+      addTimings(timings, { capture: performance.now() - captureStart });
 
-      let ocrCanvas;
-      
-      // step 2: determine ocr region - use detected object roi or full frame
-      if (predictions.length > 0 && predictions[0].class === 'person') {
-        
-        const detection = predictions[0];
-        const [x, y, width, height] = detection.bbox;
-        
-        
-        ocrCanvas = document.createElement('canvas');
-        const ctx = ocrCanvas.getContext('2d');
-        
-        ocrCanvas.width = width;
-        ocrCanvas.height = height;
-        
-  
-        ctx.drawImage(
-          video,
-          x, y, width, height, 
-          0, 0, width, height  
-        );
-        
-       
-        preprocessImage(ctx, width, height);
-        
-        console.log('Using detected ID region:', { x, y, width, height });
-      } else {
-        
-        ocrCanvas = captureFullFrame(video);
-        console.log('No ID detected, using full frame');
+      // steps 1-4: decode a barcode and locate the card; ocr uses the corrected card,
+      // or the full frame when no card was found
+      const { cardMinArea, cardAspectRatio } = configRef.current;
+      const analysis = await processor.analyze(bitmap, { minArea: cardMinArea, aspectRatio: cardAspectRatio });
+      addTimings(timings, analysis.timings);
+      if (!scanIntervalRef.current) return; // scanning was stopped meanwhile
+      setCardQuad(analysis.quad); // update state for the overlay
+      console.log(analysis.quad ? 'Using corrected card:' : 'No card found, using full frame', analysis.quad || '');
+
+      // barcodes are read exactly, so they win over ocr whenever they give a registered id
+      const barcodeId = analysis.barcode ? findBarcodeStudentId(analysis.barcode) : null;
+      if (barcodeId) {
+        console.log('Found student ID in barcode:', barcodeId);
+        setStatus('Reading name...');
+        const nameText = await readCardName(configRef.current.ocrPreprocessing[0], timings);
+        if (!scanIntervalRef.current) return; // scanning was stopped while ocr ran
+        stopScanning();
+        setStatus('ID detected!');
+        onIDDetected(barcodeId, { ocrDigits: null, snapshot: captureSnapshot(video), nameText, inputMethod: 'barcode' });
+        return;
       }
-      
-      // step 3: run tesseract ocr on the preprocessed image
-      const { data } = await ocrWorkerRef.current.recognize(ocrCanvas);
-      const rawText = data.text;
 
-      console.log('═══════════════════════════════════');
-      console.log('RAW OCR TEXT:');
-      console.log(rawText);
-      console.log('═══════════════════════════════════');
+      // steps 5-7: each preprocessing method in turn, until one of them yields a registered id
+      const { idCorrection, idCorrectionConfidence, idFormats } = configRef.current;
+      let read = { ids: [], rawText: '', method: null };
+      let corrected = null;   // first single-digit correction, used when no method reads an id exactly
+      for (const method of configRef.current.ocrPreprocessing) {
+        const prepared = await processor.preprocess(method);
+        addTimings(timings, prepared.timings);
+        const data = await recognize(ocrWorkerRef.current, prepared.image, 'ocr', timings);
+        if (!scanIntervalRef.current) return; // scanning was stopped while ocr ran
+        const rawText = data.text;
+
+        console.log('═══════════════════════════════════');
+        console.log(`RAW OCR TEXT (${method}):`);
+        console.log(rawText);
+        console.log('═══════════════════════════════════');
+
+        const ids = findRegisteredIds(rawText);
+        if (ids.length > 0) {
+          read = { ids, rawText, method };
+          break;
+        }
+
+        if (idCorrection && !corrected) {
+          const correction = correctIdRead(data, validIdsRef.current, idFormats, { maxConfidence: idCorrectionConfidence });
+          if (correction) {
+            console.log(`CORRECTED ID (${method}):`, correction.read, '->', correction.studentId, `(${correction.edit})`);
+            corrected = { ids: [correction.studentId], rawText, method };
+          }
+        }
+      }
+      if (read.ids.length === 0 && corrected) read = corrected;
 
-      // step 4: search ocr text for valid student ids
-      const studentId = findValidStudentId(rawText);
+      // step 8: a frame without an id counts as a read too, so a lone misread ages out
+      const vote = idVoteRef.current.add(read.ids);
+      setConsensus(vote.studentId ? {
+        studentId: vote.studentId,
+        votes: vote.votes,
+        required: vote.required,
+        contested: vote.contested
+      } : null);
 
-      if (studentId) {
-        // valid id found - stop scanning and notify parent
-        console.log('Found student ID:', studentId);
+      if (vote.accepted) {
+        // id confirmed - read the name, stop scanning and notify parent
+        // the vote only accepts on a frame that read the id, so its method and raw digits are this id's
+        // raw digits and the current frame go along as evidence in case a later step fails
+        console.log('Accepted student ID:', vote.studentId, `(${vote.votes} votes, last read with ${read.method})`);
+        setStatus('Reading name...');
+        const nameText = await readCardName(read.method, timings);
+        if (!scanIntervalRef.current) return;
         stopScanning();
         setStatus('ID detected!');
-        onIDDetected(studentId);
+        onIDDetected(vote.studentId, {
+          ocrDigits: read.rawText.replace(/\D/g, ''),
+          snapshot: captureSnapshot(video),
+          nameText,
+          inputMethod: 'ocr'
+        });
         return;
       }
 
-      // no valid id found - continue scanning (unlimited attempts)
+      // not confirmed yet - continue scanning (unlimited attempts)
       scanCountRef.current++;
-      setStatus('Scanning for student ID...');
+      if (vote.contested) setStatus('Conflicting reads - hold the card still...');
+      else if (vote.studentId) setStatus(`Confirming ID ${vote.studentId} (${vote.votes}/${vote.required})...`);
+      else setStatus('Scanning for student ID...');
 
     } catch (err) {
       console.error('Scan error:', err);
     } finally {
       isProcessingRef.current = false;
+      addTimings(timings, { total: performance.now() - frameStart });
+      logTimings(timings);
     }
   }, [videoRef, onIDDetected]);
 
-  /** starts the periodic id scanning loop - runs immediately then every SCAN_INTERVAL ms */
+  /** starts the periodic id scanning loop - runs immediately then every scanInterval ms */
   const startScanning = useCallback(() => {
     console.log('Starting ID scan...');
     setStatus('Scanning for student ID...');
     scanCountRef.current = 0;
     isProcessingRef.current = false;
+    idVoteRef.current = createIdVote({
+      votes: configRef.current.idConsensusVotes,
+      window: configRef.current.idConsensusWindow
+    });
+    setConsensus(null);
 
     scanFrame();  // run first scan immediately
-    scanIntervalRef.current = setInterval(scanFrame, SCAN_INTERVAL);
+    scanIntervalRef.current = setInterval(scanFrame, configRef.current.scanInterval);
   }, [scanFrame]);
 
   /** stops the scanning interval and resets processing lock */
@@ -356,24 +458,95 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
     isProcessingRef.current = false;
   }, []);
 
+  /**
+   * accepts an id typed on the keypad or by a keyboard-wedge reader
+   * the registry lookup happens in useverificationflow, as for scanned ids
+   * @param {string} input - typed id (whitespace ignored, letters uppercased)
+   * @param {string} inputMethod - 'keypad' or 'wedge'
+   * @returns {boolean} false when the scanner isn't running or the input fits none of the idFormats
+   */
+  const submitTypedId = useCallback((input, inputMethod) => {
+    if (!scanIntervalRef.current) return false; // not ready yet, or an id was already accepted
+
+    const studentId = input.replace(/\s+/g, '').toUpperCase();
+    if (!matchesAnyIdFormat(studentId, configRef.current.idFormats)) {
+      console.log(`Rejected ${inputMethod} input:`, JSON.stringify(input));
+      setStatus(inputMethod === 'wedge' ? 'Card reader input is not a valid student ID' : 'Not a valid student ID');
+      return false;
+    }
+
+    console.log(`Student ID entered (${inputMethod}):`, studentId);
+    stopScanning();
+    setStatus('ID entered!');
+    onIDDetected(studentId, {
+      ocrDigits: null,
+      snapshot: captureSnapshot(videoRef.current),
+      nameText: null,
+      inputMethod
+    });
+    return true;
+  }, [videoRef, onIDDetected, stopScanning]);
+
+  /**
+   * keyboard-wedge effect - listens for badge / rfid readers while the scanner is ready
+   * a reader types the whole id within milliseconds and presses enter; a person typing is
+   * slower, so a pause longer than wedgeMaxKeyGap starts over. keys typed into a text field
+   * (the keypad's) are left to that field.
+   */
+  useEffect(() => {
+    if (!isReady || !configRef.current.wedgeInput) return;
+
+    let buffer = '';
+    let lastKeyAt = 0;
+    const onKeyDown = (event) => {
+      if (event.target instanceof HTMLElement && event.target.closest('input, textarea')) return;
+      const { wedgeMaxKeyGap } = configRef.current;
+      const isBurst = event.timeStamp - lastKeyAt <= wedgeMaxKeyGap;
+
+      if (event.key === 'Enter') {
+        if (buffer && isBurst) {
+          event.preventDefault(); // don't also press a focused keypad button
+          submitTypedId(buffer, 'wedge');
+        }
+        buffer = '';
+        return;
+      }
+      if (event.key.length !== 1) return; // shift, tab, ...
+
+      buffer = isBurst ? buffer + event.key : event.key;
+      lastKeyAt = event.timeStamp;
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [isReady, submitTypedId]);
+
   /**
    * initialization effect - runs once on mount
-   * sequential setup: camera -> ai models -> ready
-   * cleanup: stops scanning, releases camera, terminates ocr worker, clears model
+   * sequential setup: kiosk config -> camera -> ai models -> student ids -> ready
+   * cleanup: stops scanning, releases camera, terminates the ocr workers and the frame worker
    */
   useEffect(() => {
     let isMounted = true; // prevents state updates after unmount
 
     const init = async () => {
+      // step 0: load this kiosk's settings (scan interval, camera size)
+      const configOk = await loadConfig();
+      if (!configOk || !isMounted) return;
+
       // step 1: initialize rear camera
       const cameraOk = await initCamera();
       if (!cameraOk || !isMounted) return;
 
-      // step 2: load coco-ssd + tesseract models
+      // step 2: load the tesseract ocr workers and start the frame worker
       const modelsOk = await initModels();
       if (!modelsOk || !isMounted) return;
 
-      // step 3: all ready
+      // step 3: load registered student ids for barcode and ocr matching
+      const idsOk = await loadValidIds();
+      if (!idsOk || !isMounted) return;
+
+      // step 4: all ready
       setIsReady(true);
       setStatus('Ready to scan');
     };
@@ -386,30 +559,35 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
       stopScanning();
       
       // release camera stream
-      if (streamRef.current) {
-        streamRef.current.getTracks().forEach(track => track.stop());
-      }
+      stopCamera(streamRef.current);
       
-      // terminate tesseract ocr worker
+      // terminate tesseract ocr workers
       if (ocrWorkerRef.current) {
         ocrWorkerRef.current.terminate();
       }
-      
-      // clear coco-ssd model reference
-      if (modelRef.current) {
-        modelRef.current = null;
+      if (nameWorkerRef.current) {
+        nameWorkerRef.current.terminate();
+      }
+
+      // stop the frame worker
+      if (frameProcessorRef.current) {
+        frameProcessorRef.current.terminate();
       }
     };
-  }, [initCamera, initModels, stopScanning]);
+  }, [loadConfig, initCamera, initModels, loadValidIds, stopScanning]);
 
   // expose state and controls to the consuming component (idscanner)
   return {
     isReady,        // boolean: camera + models initialized
     error,          // string: error message or null
     status,         // string: current status text for ui
-    detections,     // array: coco-ssd detection results for roi canvas drawing
+    cardQuad,       // array|null: detected card corners in video pixels for the overlay
+    consensus,      // object|null: votes for the leading ocr'd id, for the confidence display
+    manualEntry,    // boolean: offer the on-screen keypad
+    idPrefixes,     // string[]: id prefixes for the keypad
     startScanning,  // function: start the scanning loop
-    stopScanning    // function: stop the scanning loop
+    stopScanning,   // function: stop the scanning loop
+    submitTypedId   // function: (id, 'keypad' | 'wedge') -> false if the id was not accepted
   };
 };
 
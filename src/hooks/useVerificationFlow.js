@@ -1,5 +1,11 @@
-import { useState, useCallback } from 'react';
-import { getStudentByID } from '../services/testDB';
+import { useState, useCallback, useRef } from 'react';
+import { getStudentByID, getEnrolledFaces } from '../services/studentDB';
+import { FACE_MODEL_VERSION } from '../services/faceApi';
+import { findMismatch } from '../services/faceMatcher';
+import { logAttendance } from '../services/attendanceDB';
+import { logFailure } from '../services/failuresDB';
+import { loadKioskConfig } from '../services/kioskConfig';
+import { compareNames } from '../services/nameMatch';
 
 /**
  * verification state machine
@@ -7,102 +13,401 @@ import { getStudentByID } from '../services/testDB';
  * valid transitions:
  *   SCANNING_ID -> VERIFYING_FACE  (id found in database)
  *   SCANNING_ID -> FAILED_ID       (id not found in database)
+ *   SCANNING_ID -> FAILED_NAME     (name on the card clearly differs, nameCheck 'reject')
+ *   SCANNING_ID -> FAILED_SYSTEM   (the student lookup failed - backend unreachable or erroring)
  *   VERIFYING_FACE -> SUCCESS      (face matches reference)
  *   VERIFYING_FACE -> FAILED_FACE  (face doesn't match)
- *   VERIFYING_FACE -> FAILED_MISMATCH (id and face don't belong to same person)
+ *   VERIFYING_FACE -> FAILED_MISMATCH (face clearly matches a different enrolled student)
+ *   VERIFYING_FACE -> FAILED_LIVENESS (matching face never blinked - photo or screen - or missed the head-pose challenge)
  *   any FAILED_* -> SCANNING_ID    (reset/retry)
  *   SUCCESS -> SCANNING_ID         (reset for next student)
+ *
+ * face-only kiosks (mode 'face') start at IDENTIFYING_FACE instead of SCANNING_ID:
+ *   IDENTIFYING_FACE -> SUCCESS             (one enrolled student matched)
+ *   IDENTIFYING_FACE -> FAILED_UNRECOGNIZED (no unambiguous match)
+ *   IDENTIFYING_FACE -> FAILED_LIVENESS     (matching face never blinked)
+ *   IDENTIFYING_FACE -> FAILED_SYSTEM       (the student lookup failed)
+ *   SUCCESS / FAILED_* -> IDENTIFYING_FACE  (reset)
  */
 const VERIFICATION_STATES = {
   SCANNING_ID: 'scanning_id',           // step 1: scanning student id card
   VERIFYING_FACE: 'verifying_face',     // step 2: verifying face against reference
+  IDENTIFYING_FACE: 'identifying_face', // face-only mode: finding the student by face
   SUCCESS: 'success',                   // final: verification successful
   FAILED_ID: 'failed_id',              // error: student id not found in database
+  FAILED_NAME: 'failed_name',          // error: name on the card doesn't match the registered name
   FAILED_FACE: 'failed_face',          // error: face verification failed
-  FAILED_MISMATCH: 'failed_mismatch'   // error: id and face don't match
+  FAILED_MISMATCH: 'failed_mismatch',  // error: face belongs to another enrolled student
+  FAILED_UNRECOGNIZED: 'failed_unrecognized', // error: face-only mode found no unambiguous match
+  FAILED_LIVENESS: 'failed_liveness',  // error: the face matched but failed a liveness check (livenessCheck)
+  FAILED_SYSTEM: 'failed_system'       // error: the student registry could not be reached
 };
 
 /**
  * useverificationflow hook
  * 
  * manages the overall verification state machine that orchestrates
- * the two-step verification process: id scanning -> face verification.
+ * the two-step verification process: id scanning -> face verification,
+ * or the single face identification step on face-only kiosks.
  * 
+ * @param {string} mode - kiosk mode from getkioskmode(): 'card' or 'face'
  * @returns {Object} state and handlers for the verification flow
  */
-const useVerificationFlow = () => {
-  const [currentStep, setCurrentStep] = useState(VERIFICATION_STATES.SCANNING_ID);  // current state in the flow
+const useVerificationFlow = (mode = 'card') => {
+  const initialStep = mode === 'face' ? VERIFICATION_STATES.IDENTIFYING_FACE : VERIFICATION_STATES.SCANNING_ID;
+  const [currentStep, setCurrentStep] = useState(initialStep);  // current state in the flow
   const [studentId, setStudentId] = useState(null);              // detected student id string
   const [studentData, setStudentData] = useState(null);          // full student record from database
   const [verificationResult, setVerificationResult] = useState(null); // face match results
+  const [attendanceError, setAttendanceError] = useState(null);  // error message if the attendance write failed
+  const [livenessCheck, setLivenessCheck] = useState(null);      // liveness check that failed: 'blink' or 'challenge'
+  const scanDetailsRef = useRef({});                             // { ocrDigits, snapshot, inputMethod } from the id step, kept for records
+  const nameCheckRef = useRef({});                               // { nameScore, nameFlagged } from the id step, stored with the attendance record
+
+  /**
+   * writes a failed outcome to the backend audit trail
+   * fire-and-forget: a logging error must not block the failure screen
+   * @param {Object} entry - { outcome, attemptedId, matchedId, matchedSimilarity, ocrDigits, inputMethod, similarityScores, reason, snapshot }
+   */
+  const reportFailure = useCallback((entry) => {
+    logFailure(entry).catch((err) => {
+      console.error('Failure audit logging failed:', err);
+    });
+  }, []);
+
+  /**
+   * shows the system error screen when the student lookup fails for any reason other than
+   * an unknown id (network error, 5xx), so an outage isn't recorded as unknown students
+   * @param {Error} err - the lookup error
+   * @param {Object} entry - audit fields of the attempt ({ attemptedId, matchedId, ocrDigits, ... })
+   */
+  const failSystem = useCallback((err, entry) => {
+    console.error('Student lookup failed:', err);
+    setCurrentStep(VERIFICATION_STATES.FAILED_SYSTEM);
+    reportFailure({
+      ...entry,
+      outcome: VERIFICATION_STATES.FAILED_SYSTEM,
+      reason: `Student lookup failed: ${err.message}`
+    });
+  }, [reportFailure]);
+
+  /**
+   * fuzzy-compares the name read from the card with the registered name
+   * an unreadable name (no words) is never held against the student
+   * @param {string|null} nameText - raw name ocr from the scanner
+   * @param {string} registeredName - studentData.name
+   * @returns {Promise<Object>} { nameScore, nameFlagged, reject } - nameScore null when not compared
+   */
+  const checkCardName = useCallback(async (nameText, registeredName) => {
+    const nameScore = nameText ? compareNames(nameText, registeredName) : null;
+    if (nameScore == null) return { nameScore: null, nameFlagged: false, reject: false };
+
+    let config = { nameCheck: 'flag', nameMatchThreshold: 0.6 };
+    try {
+      config = await loadKioskConfig();
+    } catch (err) {
+      // without the configuration a disagreement is flagged, never rejected
+      console.error('Failed to load kiosk configuration, flagging name mismatches:', err);
+    }
+    const disagrees = nameScore < config.nameMatchThreshold;
+    console.log(`Card name match: ${(nameScore * 100).toFixed(1)}%`, disagrees ? `(${config.nameCheck})` : '');
+    return {
+      nameScore,
+      nameFlagged: disagrees && config.nameCheck === 'flag',
+      reject: disagrees && config.nameCheck === 'reject'
+    };
+  }, []);
 
   /**
    * called when idscanner successfully reads a student id
-   * looks up the student in the database and transitions to face verification
+   * looks up the student in the database, checks the name printed on the card
+   * and transitions to face verification
    * @param {string} detectedId - the student id string read from the card
+   * @param {Object} details - { ocrDigits, snapshot, nameText, inputMethod } from the scanner; ocrDigits,
+   *   snapshot and inputMethod go into the records, nameText is compared with the registered name
    */
-  const handleIDDetected = useCallback((detectedId) => {
+  const handleIDDetected = useCallback(async (detectedId, details = {}) => {
     console.log('ID Detected:', detectedId);
+    scanDetailsRef.current = details;
+    nameCheckRef.current = {};
     
-    // look up student in database
-    const student = getStudentByID(detectedId);
+    // look up student in the registry (backend /api/students); null only for an unknown id
+    let student = null;
+    try {
+      student = await getStudentByID(detectedId);
+    } catch (err) {
+      setStudentId(detectedId);
+      failSystem(err, {
+        attemptedId: detectedId,
+        ocrDigits: details.ocrDigits,
+        inputMethod: details.inputMethod,
+        snapshot: details.snapshot
+      });
+      return;
+    }
     
     if (!student) {
       // student not found -> show failure screen
       console.error('Student not found in database');
       setCurrentStep(VERIFICATION_STATES.FAILED_ID);
       setStudentId(detectedId);
+      reportFailure({
+        outcome: VERIFICATION_STATES.FAILED_ID,
+        attemptedId: detectedId,
+        ocrDigits: details.ocrDigits,
+        inputMethod: details.inputMethod,
+        snapshot: details.snapshot,
+        reason: 'Student ID not found in registry'
+      });
       return;
     }
 
-    // student found -> proceed to face verification
     console.log('Student found:', student.name);
+    const { nameScore, nameFlagged, reject } = await checkCardName(details.nameText, student.name);
+    if (reject) {
+      // the card's name clearly belongs to someone else -> show failure screen
+      setCurrentStep(VERIFICATION_STATES.FAILED_NAME);
+      setStudentId(detectedId);
+      reportFailure({
+        outcome: VERIFICATION_STATES.FAILED_NAME,
+        attemptedId: detectedId,
+        ocrDigits: details.ocrDigits,
+        inputMethod: details.inputMethod,
+        snapshot: details.snapshot,
+        reason: `Name on card doesn't match ${student.name} (${(nameScore * 100).toFixed(1)}%)`
+      });
+      return;
+    }
+
+    // proceed to face verification; a flagged name is stored with the attendance record
+    nameCheckRef.current = { nameScore, nameFlagged };
     setStudentId(detectedId);
     setStudentData(student);
     setCurrentStep(VERIFICATION_STATES.VERIFYING_FACE);
+  }, [reportFailure, checkCardName, failSystem]);
+
+  /**
+   * writes a verification result to the backend attendance log
+   * on success the server-side timestamp replaces the local one
+   * @param {Object} result - verification result { similarity, confidence, nameScore, nameFlagged, inputMethod, studentId, timestamp }
+   */
+  const recordAttendance = useCallback(async (result) => {
+    try {
+      const record = await logAttendance(result);
+      setVerificationResult({
+        ...result,
+        timestamp: record.recordedAt,   // authoritative server time
+        attendanceId: record.id,
+        sectionId: record.sectionId,    // class session the check-in was attached to (or null)
+        status: record.status           // 'present' | 'late' when attached to a session
+      });
+      setAttendanceError(null);
+    } catch (err) {
+      console.error('Attendance logging failed:', err);
+      setAttendanceError(err.message || 'Failed to log attendance');
+    }
   }, []);
 
+  /**
+   * shows the success screen and logs the attendance record
+   * @param {string} verifiedId - the student that was verified
+   * @param {Object} result - match results from the face verifier
+   */
+  const completeVerification = useCallback(async (verifiedId, result) => {
+    const pendingResult = {
+      ...result,
+      ...nameCheckRef.current,              // card name check (card mode only)
+      inputMethod: scanDetailsRef.current.inputMethod ?? null,  // how the id was entered (null in face-only mode)
+      timestamp: new Date().toISOString(),  // local time until the server confirms
+      studentId: verifiedId
+    };
+    setVerificationResult(pendingResult);
+    setCurrentStep(VERIFICATION_STATES.SUCCESS);
+    await recordAttendance(pendingResult);
+  }, [recordAttendance]);
+
   /**
    * called when faceverifier confirms the face matches the reference
-   * stores the verification result with timestamp and transitions to success
+   * logs the attendance record and transitions to success
    * @param {Object} result - { similarity: number, confidence: number }
    */
-  const handleFaceVerified = useCallback((result) => {
+  const handleFaceVerified = useCallback(async (result) => {
     console.log('Face verified:', result);
-    setVerificationResult({
-      ...result,
-      timestamp: new Date().toISOString(),  // record verification time
-      studentId: studentId
+    await completeVerification(studentId, result);
+  }, [studentId, completeVerification]);
+
+  /**
+   * called when a face-only kiosk fails to identify anyone
+   * @param {string} reason - description of why identification failed
+   * @param {Object} details - { similarityScores, snapshot } from the face verifier
+   */
+  const handleFaceUnrecognized = useCallback((reason, details = {}) => {
+    console.error('Face identification failed:', reason);
+    setCurrentStep(VERIFICATION_STATES.FAILED_UNRECOGNIZED);
+    reportFailure({
+      outcome: VERIFICATION_STATES.FAILED_UNRECOGNIZED,
+      similarityScores: details.similarityScores,
+      snapshot: details.snapshot,
+      reason
     });
-    setCurrentStep(VERIFICATION_STATES.SUCCESS);
+  }, [reportFailure]);
+
+  /**
+   * called when a face-only kiosk identifies a student
+   * loads the student record for the success screen, then logs the attendance
+   * @param {Object} result - { studentId, similarity, runnerUpSimilarity, confidence, matchedReference }
+   */
+  const handleFaceIdentified = useCallback(async (result) => {
+    console.log('Face identified:', result);
+
+    let student = null;
+    try {
+      student = await getStudentByID(result.studentId);
+    } catch (err) {
+      failSystem(err, { matchedId: result.studentId, similarityScores: [result.similarity] });
+      return;
+    }
+
+    if (!student) {
+      // the descriptor outlived its student record
+      handleFaceUnrecognized(`Identified student ${result.studentId} is no longer registered`, {
+        similarityScores: [result.similarity]
+      });
+      return;
+    }
+
+    setStudentId(result.studentId);
+    setStudentData(student);
+    await completeVerification(result.studentId, result);
+  }, [completeVerification, handleFaceUnrecognized, failSystem]);
+
+  /**
+   * called when the face verifier sees a matching face that never blinks or misses the
+   * head-pose challenge (both modes; in face-only mode the matched student is recorded as matchedId)
+   * @param {string} reason - description of why liveness failed
+   * @param {Object} details - { similarityScores, snapshot, check, studentId } from the face verifier
+   */
+  const handleLivenessFailed = useCallback((reason, details = {}) => {
+    console.error('Liveness check failed:', reason);
+    setLivenessCheck(details.check || 'blink');
+    setCurrentStep(VERIFICATION_STATES.FAILED_LIVENESS);
+    reportFailure({
+      outcome: VERIFICATION_STATES.FAILED_LIVENESS,
+      attemptedId: studentId,
+      matchedId: details.studentId,
+      ocrDigits: scanDetailsRef.current.ocrDigits,
+      inputMethod: scanDetailsRef.current.inputMethod,
+      similarityScores: details.similarityScores,
+      snapshot: details.snapshot,
+      reason
+    });
+  }, [studentId, reportFailure]);
+
+  /** retries the attendance write after a failure on the success screen */
+  const retryAttendanceLog = useCallback(() => {
+    if (verificationResult) recordAttendance(verificationResult);
+  }, [verificationResult, recordAttendance]);
+
+  /**
+   * looks for an enrolled student, other than the card holder, that the failed face clearly matches
+   * - at least mismatchThreshold, and mismatchMargin ahead of both the runner-up and the card holder
+   * @param {number[]} descriptor - live face descriptor from the last match attempt
+   * @param {number} claimedSimilarity - that attempt's score against the card holder
+   * @returns {Promise<Object|null>} { studentId, similarity } of the other student, or null
+   */
+  const findOtherStudent = useCallback(async (descriptor, claimedSimilarity) => {
+    let config = { mismatchThreshold: 0.6, mismatchMargin: 0.08 };
+    try {
+      config = await loadKioskConfig();
+    } catch (err) {
+      console.error('Failed to load kiosk configuration, using default mismatch thresholds:', err);
+    }
+
+    try {
+      const gallery = await getEnrolledFaces(FACE_MODEL_VERSION);
+      return findMismatch(gallery, descriptor, {
+        claimedStudentId: studentId,
+        claimedSimilarity,
+        threshold: config.mismatchThreshold,
+        margin: config.mismatchMargin
+      });
+    } catch (err) {
+      // without the gallery the attempt is still reported, as a plain face failure
+      console.error('Identity mismatch check failed:', err);
+      return null;
+    }
   }, [studentId]);
 
   /**
    * called when faceverifier fails to match the face
+   * the live face is first compared with the other enrolled students: if it clearly
+   * belongs to one of them, the card was presented by someone else (FAILED_MISMATCH)
    * @param {string} reason - description of why verification failed
+   * @param {Object} details - { similarityScores, snapshot, descriptor } from the face verifier
    */
-  const handleFaceFailed = useCallback((reason) => {
+  const handleFaceFailed = useCallback(async (reason, details = {}) => {
     console.error('Face verification failed:', reason);
+    const scores = details.similarityScores || [];
+
+    const other = details.descriptor
+      ? await findOtherStudent(details.descriptor, scores[scores.length - 1] ?? 0)
+      : null;
+    if (other) {
+      console.error(`Identity mismatch: card ${studentId}, face matches ${other.studentId}`);
+      setCurrentStep(VERIFICATION_STATES.FAILED_MISMATCH);
+      reportFailure({
+        outcome: VERIFICATION_STATES.FAILED_MISMATCH,
+        attemptedId: studentId,
+        matchedId: other.studentId,
+        matchedSimilarity: other.similarity,
+        ocrDigits: scanDetailsRef.current.ocrDigits,
+        inputMethod: scanDetailsRef.current.inputMethod,
+        similarityScores: details.similarityScores,
+        snapshot: details.snapshot,
+        reason: `Face matches enrolled student ${other.studentId} (${(other.similarity * 100).toFixed(1)}%), not the card holder`
+      });
+      return;
+    }
+
     setCurrentStep(VERIFICATION_STATES.FAILED_FACE);
-  }, []);
+    reportFailure({
+      outcome: VERIFICATION_STATES.FAILED_FACE,
+      attemptedId: studentId,
+      ocrDigits: scanDetailsRef.current.ocrDigits,
+      inputMethod: scanDetailsRef.current.inputMethod,
+      similarityScores: details.similarityScores,
+      snapshot: details.snapshot,
+      reason
+    });
+  }, [studentId, reportFailure, findOtherStudent]);
 
-  /** resets the entire verification flow back to step 1 (id scanning) */
+  /** resets the entire verification flow back to step 1 (id scanning, or face identification) */
   const reset = useCallback(() => {
     console.log('Resetting verification flow');
-    setCurrentStep(VERIFICATION_STATES.SCANNING_ID);
+    setCurrentStep(initialStep);
     setStudentId(null);
     setStudentData(null);
     setVerificationResult(null);
-  }, []);
+    setAttendanceError(null);
+    setLivenessCheck(null);
+    scanDetailsRef.current = {};
+    nameCheckRef.current = {};
+  }, [initialStep]);
 
   return {
     currentStep,
     studentId,
     studentData,
     verificationResult,
+    attendanceError,
+    livenessCheck,
     handleIDDetected,
     handleFaceVerified,
     handleFaceFailed,
+    handleFaceIdentified,
+    handleFaceUnrecognized,
+    handleLivenessFailed,
+    retryAttendanceLog,
     reset
   };
 };
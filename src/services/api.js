@@ -0,0 +1,56 @@
+/**
+ * backend api client
+ *
+ * thin fetch wrapper around the express backend. in development vite
+ * proxies /api to http://localhost:3000 (see vite.config.js).
+ */
+
+/** error thrown for non-2xx responses; carries the http status code */
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * sends a request to the backend and parses the json response.
+ * objects passed as `body` are serialized to json; formdata is sent as
+ * multipart (the browser sets the content type and boundary).
+ *
+ * @param {string} path - api path, e.g. '/api/students'
+ * @param {Object} options - fetch options ({ method, body, headers, ... })
+ * @returns {Promise<Object|null>} parsed response body, or null for 204 responses
+ * @throws {ApiError} when the server responds with an error status
+ */
+export const apiRequest = async (path, { body, headers, ...options } = {}) => {
+  const isJson = body !== undefined && !(body instanceof FormData);
+  const response = await fetch(path, {
+    ...options,
+    headers: isJson ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: isJson ? JSON.stringify(body) : body
+  });
+
+  if (response.status === 204) return null;
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new ApiError(data?.error || `Request failed with status ${response.status}`, response.status);
+  }
+  return data;
+};
+
+/**
+ * builds a query string from an object, skipping null, undefined and empty values.
+ * @param {Object} params - query parameters
+ * @returns {string} '?a=1&b=2', or '' when nothing is set
+ */
+export const toQueryString = (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value != null && value !== '')
+  ).toString();
+  return query ? `?${query}` : '';
+};
+
+export default apiRequest;
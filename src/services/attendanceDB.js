@@ -0,0 +1,62 @@
+import { apiRequest, toQueryString } from './api';
+import { getKioskId } from './kiosk';
+
+/**
+ * attendance log client
+ *
+ * records successful verifications and queries the attendance log through
+ * the backend's /api/attendance routes. timestamps are assigned by the server.
+ */
+
+/**
+ * stores a successful check-in from this kiosk. if a class session is running
+ * at the kiosk, the server attaches the record to it and marks it present or late.
+ * @param {Object} entry - { studentId, similarity, confidence, nameScore, nameFlagged, inputMethod } - the
+ *   name fields come from the card name check and, like inputMethod, are left out on face-only kiosks
+ * @returns {Promise<Object>} the stored record { id, studentId, similarity, confidence, nameScore, nameFlagged, inputMethod, sessionId, sectionId, status, recordedAt, ... }
+ */
+export const logAttendance = async ({ studentId, similarity, confidence, nameScore, nameFlagged, inputMethod }) => {
+  const { record } = await apiRequest('/api/attendance', {
+    method: 'POST',
+    body: { studentId, similarity, confidence, nameScore, nameFlagged, inputMethod, kioskId: getKioskId() }
+  });
+  return record;
+};
+
+/**
+ * lists attendance records, newest first.
+ * @param {Object} filters - { date: 'YYYY-MM-DD', studentId, department } (all optional)
+ * @returns {Promise<Object[]>} attendance records
+ */
+export const getAttendance = async (filters = {}) => {
+  const { records } = await apiRequest(`/api/attendance${toQueryString(filters)}`);
+  return records;
+};
+
+/**
+ * per-day check-in counts, oldest day first.
+ * @param {Object} filters - { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', department } (all optional)
+ * @returns {Promise<Object[]>} [{ date, checkIns, present, late, absent }]
+ */
+export const getDailyAttendanceStats = async (filters = {}) => {
+  const { days } = await apiRequest(`/api/attendance/stats/daily${toQueryString(filters)}`);
+  return days;
+};
+
+/**
+ * builds the download url for an attendance export. the backend streams the
+ * file, so this is meant for a link or window.location rather than fetch().
+ * @param {string} format - 'csv', 'json' or 'xlsx'
+ * @param {Object} filters - { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', department } (all optional)
+ * @returns {string} export url
+ */
+export const getAttendanceExportUrl = (format, filters = {}) => {
+  return `/api/attendance/export${toQueryString({ format, ...filters })}`;
+};
+
+export default {
+  logAttendance,
+  getAttendance,
+  getDailyAttendanceStats,
+  getAttendanceExportUrl
+};
@@ -0,0 +1,128 @@
+import {
+  MultiFormatReader,
+  BarcodeFormat,
+  DecodeHintType,
+  RGBLuminanceSource,
+  BinaryBitmap,
+  HybridBinarizer
+} from '@zxing/library';
+
+/**
+ * id card barcodes
+ *
+ * decodes 1d (code 128, code 39) and 2d (qr, pdf417, data matrix) barcodes
+ * from video frames with zxing, and pulls the student id out of the payload.
+ *
+ * the payload field holding the id is configurable (barcodeIdField in
+ * /api/config): '' means the whole payload is the id, otherwise the field is
+ * looked up as
+ *   - a json property, dots for nested objects:  {"student": {"id": "S-1"}}  -> student.id
+ *   - a url query parameter:                     https://id.example.edu/v?sid=S-1  -> sid
+ *   - a key=value or key:value pair separated by ; & | , or newlines:  ID:S-1;NAME:ANN  -> id
+ */
+
+// keep in sync with barcodeFormats in server/models/kioskconfig.js
+export const BARCODE_FORMATS = {
+  code128: BarcodeFormat.CODE_128,
+  code39: BarcodeFormat.CODE_39,
+  qr: BarcodeFormat.QR_CODE,
+  pdf417: BarcodeFormat.PDF_417,
+  datamatrix: BarcodeFormat.DATA_MATRIX
+};
+
+/**
+ * creates a reusable reader for the enabled symbologies
+ * @param {string[]} formats - keys of BARCODE_FORMATS (barcodeFormats from the kiosk configuration)
+ * @returns {MultiFormatReader|null} null when no format is enabled
+ */
+export const createBarcodeReader = (formats) => {
+  const enabled = formats.map((format) => BARCODE_FORMATS[format]).filter((format) => format !== undefined);
+  if (enabled.length === 0) return null;
+
+  const reader = new MultiFormatReader();
+  reader.setHints(new Map([
+    [DecodeHintType.POSSIBLE_FORMATS, enabled],
+    [DecodeHintType.TRY_HARDER, true]   // also rotated and smaller codes - a card is rarely held straight
+  ]));
+  return reader;
+};
+
+/**
+ * decodes the first barcode found in a canvas
+ * @param {MultiFormatReader} reader - from createBarcodeReader
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - color frame (barcodes are binarized by zxing itself)
+ * @returns {Object|null} { text, format } or null when no barcode was decoded
+ */
+export const decodeBarcode = (reader, canvas) => {
+  const { width, height } = canvas;
+  if (!width || !height) return null;
+
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+  const luminances = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < luminances.length; i++, p += 4) {
+    luminances[i] = data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114;
+  }
+
+  try {
+    const result = reader.decodeWithState(new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(luminances, width, height))));
+    const format = Object.keys(BARCODE_FORMATS).find((key) => BARCODE_FORMATS[key] === result.getBarcodeFormat());
+    return { text: result.getText(), format };
+  } catch {
+    // zxing throws when nothing is found (NotFoundException) or a code is unreadable
+    return null;
+  } finally {
+    reader.reset();
+  }
+};
+
+/** json payload: property at a dot path */
+const readJsonField = (payload, field) => {
+  let value;
+  try {
+    value = JSON.parse(payload);
+  } catch {
+    return undefined;
+  }
+  for (const key of field.split('.')) {
+    if (!value || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return typeof value === 'string' || typeof value === 'number' ? String(value) : undefined;
+};
+
+/** url payload: query parameter */
+const readUrlField = (payload, field) => {
+  try {
+    return new URL(payload).searchParams.get(field) ?? undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+/** key=value / key:value payload, keys compared case-insensitively */
+const readPairField = (payload, field) => {
+  for (const pair of payload.split(/[;&|,\r\n]+/)) {
+    const match = pair.match(/^\s*([^=:]+?)\s*[=:]\s*(.*?)\s*$/);
+    if (match && match[1].toLowerCase() === field.toLowerCase()) return match[2];
+  }
+  return undefined;
+};
+
+/**
+ * reads the student id out of a barcode payload
+ * @param {string} payload - decoded barcode text
+ * @param {string} field - barcodeIdField ('' = the whole payload)
+ * @returns {string|null} trimmed id, or null when the field is missing or empty
+ */
+export const extractBarcodeId = (payload, field) => {
+  const value = field
+    ? readJsonField(payload, field) ?? readUrlField(payload, field) ?? readPairField(payload, field)
+    : payload;
+  return value?.trim() || null;
+};
+
+export default {
+  createBarcodeReader,
+  decodeBarcode,
+  extractBarcodeId
+};
@@ -0,0 +1,46 @@
+/**
+ * camera access
+ *
+ * opens a camera stream and plays it in a <video> element.
+ * shared by face verification and camera enrollment.
+ */
+
+/**
+ * @param {HTMLVideoElement} video - element to attach the stream to
+ * @param {Object} options - { facingMode: 'user' | 'environment', width, height } (ideal values)
+ * @returns {Promise<MediaStream|null>} the stream (stop it with stopCamera), or null if the video element is gone
+ * @throws when camera access is denied or no camera is available
+ */
+export const startCamera = async (video, { facingMode = 'user', width = 640, height = 480 } = {}) => {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: {
+      facingMode,
+      width: { ideal: width },
+      height: { ideal: height }
+    }
+  });
+
+  // the component may have unmounted while the permission prompt was open
+  if (!video) {
+    stopCamera(stream);
+    return null;
+  }
+
+  video.srcObject = stream;
+  await new Promise((resolve) => {
+    video.onloadedmetadata = () => {
+      video.play();
+      resolve();
+    };
+  });
+  return stream;
+};
+
+/** releases every track of a stream returned by startCamera */
+export const stopCamera = (stream) => {
+  if (stream) {
+    stream.getTracks().forEach((track) => track.stop());
+  }
+};
+
+export default startCamera;
@@ -0,0 +1,39 @@
+/**
+ * canvases for the image services
+ *
+ * the card detector, ocr preprocessing and barcode reader run in the frame
+ * worker (workers/frameworker.js), where there is no document, and on the
+ * main thread when the browser can't run them there. these helpers give both
+ * the same 2d canvas api.
+ */
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @returns {OffscreenCanvas|HTMLCanvasElement} an offscreen canvas in workers, a canvas element otherwise
+ */
+export const createCanvas = (width, height) => {
+  if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * encodes a canvas as png - tesseract.js reads blobs as they are, while it
+ * would encode a canvas itself on the calling thread
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+export const canvasToBlob = (canvas) => {
+  if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type: 'image/png' });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'))), 'image/png');
+  });
+};
+
+export default {
+  createCanvas,
+  canvasToBlob
+};
@@ -0,0 +1,367 @@
+/**
+ * id card localization
+ *
+ * finds the card's quadrilateral in a video frame and warps it flat, so ocr
+ * reads an upright card of a fixed size instead of the whole frame.
+ *
+ * detection runs on a downscaled grayscale copy of the frame:
+ *   1. blur, sobel gradient magnitude, threshold -> edge map (dilated to close small gaps)
+ *   2. connected edge components are the contour candidates
+ *   3. each large component's convex hull is reduced to four corners
+ *   4. the quad is kept if it is convex, large enough, close to the card's
+ *      aspect ratio, hugs its hull and has edges along all four sides
+ * the largest quad that passes wins.
+ */
+
+import { createCanvas } from './canvas';
+
+const WORK_WIDTH = 320;             // detection resolution (px) - plenty for the card outline
+const MIN_EDGE_STRENGTH = 20;       // gradient magnitude (gray levels) an edge needs at least
+const MAX_HULL_EXCESS = 0.12;       // the hull may exceed the quad by 12% (rounded corners, a thumb on the edge)
+const ASPECT_TOLERANCE = 0.25;      // perspective changes the apparent aspect ratio
+const SIDE_SAMPLES = 32;            // points checked along each side
+const MIN_EDGE_SUPPORT = 0.6;       // share of those points that must lie on an edge
+
+export const CARD_OUTPUT_WIDTH = 1000;  // long side of the warped card - about 300 dpi for an id-1 card
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+const polygonArea = (points) => {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const next = points[(i + 1) % points.length];
+    sum += points[i].x * next.y - next.x * points[i].y;
+  }
+  return Math.abs(sum) / 2;
+};
+
+const toGrayscale = (data, width, height) => {
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114;
+  }
+  return gray;
+};
+
+/** separable [1 2 1] blur, so sensor noise and print texture don't become edges */
+const blur = (gray, width, height) => {
+  const temp = new Float32Array(gray.length);
+  const out = new Float32Array(gray.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      temp[i] = (gray[x > 0 ? i - 1 : i] + 2 * gray[i] + gray[x < width - 1 ? i + 1 : i]) / 4;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      out[i] = (temp[y > 0 ? i - width : i] + 2 * temp[i] + temp[y < height - 1 ? i + width : i]) / 4;
+    }
+  }
+  return out;
+};
+
+/**
+ * sobel edge map: magnitude above max(MIN_EDGE_STRENGTH, 3x the mean), dilated by one pixel
+ * @returns {Uint8Array} 1 for edge pixels
+ */
+const detectEdges = (gray, width, height) => {
+  const magnitude = new Float32Array(gray.length);
+  let total = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1]
+        - gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1];
+      const gy = gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1]
+        - gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1];
+      magnitude[i] = Math.hypot(gx, gy) / 4;
+      total += magnitude[i];
+    }
+  }
+
+  const threshold = Math.max(MIN_EDGE_STRENGTH, 3 * total / magnitude.length);
+  const edges = new Uint8Array(gray.length);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (magnitude[y * width + x] <= threshold) continue;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) edges[(y + dy) * width + x + dx] = 1;
+      }
+    }
+  }
+  return edges;
+};
+
+/**
+ * 8-connected edge components
+ * @returns {Object[]} [{ points, bboxArea }] - points are the leftmost and rightmost pixel of
+ *   each row, which is all the convex hull needs
+ */
+const findComponents = (edges, width, height) => {
+  const labels = new Int32Array(edges.length);
+  const components = [];
+  const stack = [];
+
+  for (let start = 0; start < edges.length; start++) {
+    if (!edges[start] || labels[start]) continue;
+
+    const label = components.length + 1;
+    const rowMin = new Map();
+    const rowMax = new Map();
+    let minX = width, maxX = 0, minY = height, maxY = 0;
+    labels[start] = label;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      if (!rowMin.has(y) || x < rowMin.get(y)) rowMin.set(y, x);
+      if (!rowMax.has(y) || x > rowMax.get(y)) rowMax.set(y, x);
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const n = ny * width + nx;
+          if (edges[n] && !labels[n]) {
+            labels[n] = label;
+            stack.push(n);
+          }
+        }
+      }
+    }
+
+    const points = [];
+    for (const [y, x] of rowMin) points.push({ x, y }, { x: rowMax.get(y), y });
+    components.push({ points, bboxArea: (maxX - minX + 1) * (maxY - minY + 1) });
+  }
+  return components;
+};
+
+/** monotone chain convex hull */
+const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+
+  const half = (list) => {
+    const chain = [];
+    for (const point of list) {
+      while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) chain.pop();
+      chain.push(point);
+    }
+    chain.pop();
+    return chain;
+  };
+  return [...half(sorted), ...half([...sorted].reverse())];
+};
+
+/**
+ * four hull points spanning (nearly) the largest quad: the two farthest apart,
+ * then the farthest point from that diagonal on each side
+ */
+const quadFromHull = (hull) => {
+  if (hull.length < 4) return null;
+
+  let first = 0, second = 1, longest = 0;
+  for (let i = 0; i < hull.length; i++) {
+    for (let j = i + 1; j < hull.length; j++) {
+      const d = distance(hull[i], hull[j]);
+      if (d > longest) [first, second, longest] = [i, j, d];
+    }
+  }
+
+  const farthest = (from, to) => {
+    let best = null, bestArea = 0;
+    for (let k = (from + 1) % hull.length; k !== to; k = (k + 1) % hull.length) {
+      const area = Math.abs(cross(hull[first], hull[second], hull[k]));
+      if (area > bestArea) [best, bestArea] = [hull[k], area];
+    }
+    return best;
+  };
+  const sideA = farthest(first, second);
+  const sideB = farthest(second, first);
+  return sideA && sideB ? [hull[first], sideA, hull[second], sideB] : null;
+};
+
+/** orders corners clockwise on screen, starting top-left */
+const orderCorners = (quad) => {
+  const cx = quad.reduce((sum, p) => sum + p.x, 0) / 4;
+  const cy = quad.reduce((sum, p) => sum + p.y, 0) / 4;
+  const sorted = [...quad].sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+  const start = sorted.reduce((best, p, i) => (p.x + p.y < sorted[best].x + sorted[best].y ? i : best), 0);
+  return [...sorted.slice(start), ...sorted.slice(0, start)];
+};
+
+const isConvex = (quad) => {
+  const signs = quad.map((p, i) => Math.sign(cross(p, quad[(i + 1) % 4], quad[(i + 2) % 4])));
+  return signs.every((sign) => sign !== 0 && sign === signs[0]);
+};
+
+/** share of points along a→b that lie on an edge pixel (or next to one) */
+const edgeSupport = (edges, width, height, a, b) => {
+  let hits = 0;
+  for (let s = 1; s <= SIDE_SAMPLES; s++) {
+    const t = s / (SIDE_SAMPLES + 1);
+    const x = Math.round(a.x + (b.x - a.x) * t);
+    const y = Math.round(a.y + (b.y - a.y) * t);
+    let hit = false;
+    for (let dy = -1; dy <= 1 && !hit; dy++) {
+      for (let dx = -1; dx <= 1 && !hit; dx++) {
+        const nx = x + dx, ny = y + dy;
+        hit = nx >= 0 && ny >= 0 && nx < width && ny < height && edges[ny * width + nx] === 1;
+      }
+    }
+    if (hit) hits++;
+  }
+  return hits / SIDE_SAMPLES;
+};
+
+/**
+ * finds the card in a grayscale image
+ * @param {Float32Array} gray - luminance, row-major
+ * @param {Object} options - { minArea: fraction of the image, aspectRatio: long side / short side }
+ * @returns {Object[]|null} four { x, y } corners, clockwise from top-left, or null when no card was found
+ */
+export const findCardQuad = (gray, width, height, { minArea, aspectRatio }) => {
+  const edges = detectEdges(blur(gray, width, height), width, height);
+  const minPixels = minArea * width * height;
+  let best = null;
+  let bestArea = 0;
+
+  for (const { points, bboxArea } of findComponents(edges, width, height)) {
+    if (bboxArea < minPixels) continue;
+
+    const hull = convexHull(points);
+    const corners = quadFromHull(hull);
+    if (!corners) continue;
+    const quad = orderCorners(corners);
+    const area = polygonArea(quad);
+    if (area < minPixels || area <= bestArea || !isConvex(quad)) continue;
+    if (polygonArea(hull) > area * (1 + MAX_HULL_EXCESS)) continue;
+
+    const [tl, tr, br, bl] = quad;
+    const across = (distance(tl, tr) + distance(bl, br)) / 2;
+    const down = (distance(tl, bl) + distance(tr, br)) / 2;
+    const ratio = Math.max(across, down) / Math.min(across, down);
+    if (Math.abs(ratio / aspectRatio - 1) > ASPECT_TOLERANCE) continue;
+
+    const supported = quad.every((corner, i) =>
+      edgeSupport(edges, width, height, corner, quad[(i + 1) % 4]) >= MIN_EDGE_SUPPORT);
+    if (!supported) continue;
+
+    best = quad;
+    bestArea = area;
+  }
+  return best;
+};
+
+/**
+ * finds the card in a video frame
+ * @param {OffscreenCanvas|HTMLCanvasElement} frame - full-resolution frame
+ * @param {Object} options - { minArea, aspectRatio } (cardMinArea, cardAspectRatio from the kiosk configuration)
+ * @returns {Object[]|null} four { x, y } corners in frame pixels, clockwise from top-left, or null
+ */
+export const detectCard = (frame, options) => {
+  const scale = Math.min(1, WORK_WIDTH / frame.width);
+  const width = Math.round(frame.width * scale);
+  const height = Math.round(frame.height * scale);
+
+  const ctx = createCanvas(width, height).getContext('2d');
+  ctx.drawImage(frame, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const quad = findCardQuad(toGrayscale(data, width, height), width, height, options);
+  return quad && quad.map(({ x, y }) => ({ x: (x + 0.5) / scale, y: (y + 0.5) / scale }));
+};
+
+/**
+ * projective map from the unit square onto a quad (heckbert's closed form):
+ * (0,0), (1,0), (1,1), (0,1) land on the corners in order
+ */
+const squareToQuad = ([p0, p1, p2, p3]) => {
+  const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x, dx3 = p0.x - p1.x + p2.x - p3.x;
+  const dy1 = p1.y - p2.y, dy2 = p3.y - p2.y, dy3 = p0.y - p1.y + p2.y - p3.y;
+  const det = dx1 * dy2 - dx2 * dy1;
+  const g = (dx3 * dy2 - dx2 * dy3) / det;
+  const h = (dx1 * dy3 - dx3 * dy1) / det;
+  const a = p1.x - p0.x + g * p1.x, b = p3.x - p0.x + h * p3.x;
+  const d = p1.y - p0.y + g * p1.y, e = p3.y - p0.y + h * p3.y;
+  return (u, v) => {
+    const w = g * u + h * v + 1;
+    return [(a * u + b * v + p0.x) / w, (d * u + e * v + p0.y) / w];
+  };
+};
+
+/**
+ * warps the card flat: an upright rectangle CARD_OUTPUT_WIDTH px on its long side.
+ * landscape cards come out landscape, portrait cards portrait.
+ * @param {OffscreenCanvas|HTMLCanvasElement} frame - full-resolution frame
+ * @param {Object[]} quad - corners from detectCard
+ * @param {number} aspectRatio - long side / short side of the card
+ * @returns {OffscreenCanvas|HTMLCanvasElement} the corrected card image
+ */
+export const warpCard = (frame, quad, aspectRatio) => {
+  const [tl, tr, br, bl] = quad;
+  const landscape = distance(tl, tr) + distance(bl, br) >= distance(tl, bl) + distance(tr, br);
+  const shortSide = Math.round(CARD_OUTPUT_WIDTH / aspectRatio);
+  const width = landscape ? CARD_OUTPUT_WIDTH : shortSide;
+  const height = landscape ? shortSide : CARD_OUTPUT_WIDTH;
+
+  const source = frame.getContext('2d').getImageData(0, 0, frame.width, frame.height);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const output = ctx.createImageData(width, height);
+
+  // bilinear sampling at each output pixel's position in the frame
+  const map = squareToQuad(quad);
+  const { data: src, width: srcWidth, height: srcHeight } = source;
+  const out = output.data;
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const [x, y] = map((u + 0.5) / width, (v + 0.5) / height);
+      const fx = Math.min(Math.max(x - 0.5, 0), srcWidth - 1);
+      const fy = Math.min(Math.max(y - 0.5, 0), srcHeight - 1);
+      const x0 = Math.floor(fx), y0 = Math.floor(fy);
+      const x1 = Math.min(x0 + 1, srcWidth - 1), y1 = Math.min(y0 + 1, srcHeight - 1);
+      const wx = fx - x0, wy = fy - y0;
+      const o = (v * width + u) * 4;
+      for (let c = 0; c < 3; c++) {
+        const top = src[(y0 * srcWidth + x0) * 4 + c] * (1 - wx) + src[(y0 * srcWidth + x1) * 4 + c] * wx;
+        const bottom = src[(y1 * srcWidth + x0) * 4 + c] * (1 - wx) + src[(y1 * srcWidth + x1) * 4 + c] * wx;
+        out[o + c] = top * (1 - wy) + bottom * wy;
+      }
+      out[o + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(output, 0, 0);
+  return canvas;
+};
+
+/**
+ * cuts a region out of the (corrected) card, e.g. the name area
+ * @param {OffscreenCanvas|HTMLCanvasElement} card - image from warpCard
+ * @param {Object} region - { x, y, width, height } as fractions of the card
+ * @returns {OffscreenCanvas|HTMLCanvasElement} the region at full resolution
+ */
+export const cropCardRegion = (card, { x, y, width, height }) => {
+  const left = Math.round(x * card.width);
+  const top = Math.round(y * card.height);
+  const canvas = createCanvas(Math.max(1, Math.round(width * card.width)), Math.max(1, Math.round(height * card.height)));
+  canvas.getContext('2d').drawImage(card, left, top, canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+export default {
+  detectCard,
+  warpCard,
+  cropCardRegion,
+  findCardQuad
+};
@@ -0,0 +1,212 @@
+import * as faceapi from '@vladmandic/face-api';
+
+/**
+ * shared face-api pipeline
+ *
+ * model loading, detector options and frame quality checks used by both
+ * face verification (usefaceverification) and camera enrollment
+ * (usefaceenrollment), so a reference shot is held to the same standard
+ * as the live frames it will later be compared with.
+ */
+
+// tinyfacedetector settings: smaller input = faster, larger = more accurate
+export const DETECTOR_OPTIONS = {
+  inputSize: 160,       // input resolution for the detector
+  scoreThreshold: 0.5   // minimum confidence to consider a detection valid
+};
+
+// identifies the pipeline that produces descriptors (detector input size plus the
+// landmark and recognition weights in public/models). stored descriptors are only
+// reused when their version matches - bump this whenever any of those change.
+// a kiosk's detectorInputSize setting only affects live detection, so reference
+// descriptors stay comparable across kiosks.
+export const FACE_MODEL_VERSION = `face-api.js-weights/tiny${DETECTOR_OPTIONS.inputSize}-lm68-rec`;
+
+let modelsPromise = null; // shared by every caller so the weights download once per page
+
+/**
+ * loads the face-api models from /public/models/:
+ *   - tinyfacedetector: lightweight face detection (~190kb)
+ *   - facelandmark68net: 68-point facial landmark detection
+ *   - facerecognitionnet: generates 128-dimensional face descriptors
+ * a failed load is not cached, so calling again retries.
+ * @returns {Promise<void>}
+ */
+export const loadFaceModels = () => {
+  if (!modelsPromise) {
+    const modelPath = `${window.location.origin}/models`;
+    modelsPromise = (async () => {
+      await faceapi.nets.tinyFaceDetector.loadFromUri(modelPath);
+      await faceapi.nets.faceLandmark68Net.loadFromUri(modelPath);
+      await faceapi.nets.faceRecognitionNet.loadFromUri(modelPath);
+      console.log('Face models loaded');
+    })().catch((err) => {
+      modelsPromise = null;
+      throw err;
+    });
+  }
+  return modelsPromise;
+};
+
+/**
+ * @param {Object} overrides - optional, e.g. { inputSize } from the kiosk configuration
+ * @returns {faceapi.TinyFaceDetectorOptions} detector options built from DETECTOR_OPTIONS
+ */
+export const createDetectorOptions = (overrides = {}) =>
+  new faceapi.TinyFaceDetectorOptions({ ...DETECTOR_OPTIONS, ...overrides });
+
+/**
+ * loads an image for face-api (cors-enabled so the pixels can be read)
+ * @param {string} url - image url
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error(`Failed to load image ${url}`));
+  image.src = url;
+});
+
+/**
+ * detects the single most prominent face in an image and extracts its descriptor
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} input - image source
+ * @returns {Promise<number[]|null>} 128-dimensional descriptor, or null when no face is found
+ */
+export const computeDescriptor = async (input) => {
+  const detection = await faceapi
+    .detectSingleFace(input, createDetectorOptions())
+    .withFaceLandmarks()        // detect 68 facial landmark points
+    .withFaceDescriptor();      // generate 128-dimensional face descriptor vector
+  return detection ? Array.from(detection.descriptor) : null;
+};
+
+/**
+ * checks whether a detection is good enough to match (or enroll):
+ *   1. detection confidence score >= minScore
+ *   2. face is horizontally centered (within 35% of video center)
+ *   3. face size is between 15-85% of video width (not too far/close)
+ *
+ * @param {Object} detection - face-api detection result with .detection.box and .detection.score
+ * @param {HTMLVideoElement} video - the video the detection came from
+ * @param {Object} options - { minScore } (default 0.5)
+ * @returns {string|null} what is wrong with the frame, or null when it is usable
+ */
+export const getFaceQualityIssue = (detection, video, { minScore = 0.5 } = {}) => {
+  if (detection.detection.score < minScore) return 'Face not clearly visible';
+
+  const faceBox = detection.detection.box;
+  const videoCenter = video.videoWidth / 2;
+  const faceCenter = faceBox.x + (faceBox.width / 2);
+  const maxOffset = video.videoWidth * 0.35; // 35% tolerance from center
+  if (Math.abs(faceCenter - videoCenter) > maxOffset) return 'Center your face in the frame';
+
+  if (faceBox.width < video.videoWidth * 0.15) return 'Move closer to the camera';
+  if (faceBox.width > video.videoWidth * 0.85) return 'Move back from the camera';
+
+  return null;
+};
+
+/**
+ * rough head yaw from the 68 landmarks: where the nose tip (point 30) sits
+ * between the two ends of the jaw line (points 0 and 16).
+ *
+ * @param {Object} landmarks - faceapi.FaceLandmarks68
+ * @returns {number} about 0 when facing the camera; positive when the subject
+ *   turns to their left (the nose moves right in the unmirrored image), negative to their right
+ */
+export const estimateYaw = (landmarks) => {
+  const points = landmarks.positions;
+  const jawLeft = points[0];
+  const jawRight = points[16];
+  const nose = points[30];
+  const jawWidth = jawRight.x - jawLeft.x;
+  if (jawWidth <= 0) return 0;
+  return (nose.x - jawLeft.x) / jawWidth - 0.5;
+};
+
+/**
+ * rough head pitch from the 68 landmarks: where the nose tip (point 30) sits
+ * between the eye line (mean of the eye points 36-47) and the chin (point 8).
+ * only changes relative to the same face's neutral value are meaningful.
+ *
+ * @param {Object} landmarks - faceapi.FaceLandmarks68
+ * @returns {number} about 0.4-0.5 facing the camera; grows as the head tilts down
+ */
+export const estimatePitch = (landmarks) => {
+  const points = landmarks.positions;
+  const eyes = points.slice(36, 48);
+  const eyeY = eyes.reduce((sum, point) => sum + point.y, 0) / eyes.length;
+  const faceHeight = points[8].y - eyeY;
+  if (faceHeight <= 0) return 0;
+  return (points[30].y - eyeY) / faceHeight;
+};
+
+/** euclidean distance between two landmark points */
+const pointDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * eye aspect ratio (soukupova & cech) averaged over both eyes.
+ * each eye has six landmarks p1..p6 (corner, two upper lid, corner, two lower lid):
+ *   ear = (|p2 - p6| + |p3 - p5|) / (2 * |p1 - p4|)
+ * roughly 0.25-0.35 for an open eye, dropping towards 0 while it closes.
+ *
+ * @param {Object} landmarks - faceapi.FaceLandmarks68
+ * @returns {number} mean eye aspect ratio of the two eyes
+ */
+export const eyeAspectRatio = (landmarks) => {
+  const eyeRatio = ([p1, p2, p3, p4, p5, p6]) => {
+    const width = pointDistance(p1, p4);
+    if (width === 0) return 0;
+    return (pointDistance(p2, p6) + pointDistance(p3, p5)) / (2 * width);
+  };
+  return (eyeRatio(landmarks.getLeftEye()) + eyeRatio(landmarks.getRightEye())) / 2;
+};
+
+// face crops are scaled to this size before measuring, so scores do not depend on distance
+const MEASURE_SIZE = 96;
+
+/**
+ * measures brightness and sharpness of the face region of a video frame.
+ * sharpness is the variance of the laplacian (low = blurry / motion blur).
+ *
+ * @param {HTMLVideoElement} video - playing video element
+ * @param {Object} box - face box { x, y, width, height } in video pixels
+ * @returns {Object} { brightness: mean luminance 0-255, sharpness: laplacian variance }
+ */
+export const measureFaceImage = (video, box) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = MEASURE_SIZE;
+  canvas.height = MEASURE_SIZE;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, box.x, box.y, box.width, box.height, 0, 0, MEASURE_SIZE, MEASURE_SIZE);
+  const { data } = ctx.getImageData(0, 0, MEASURE_SIZE, MEASURE_SIZE);
+
+  // grayscale (rec. 601 luma)
+  const gray = new Float32Array(MEASURE_SIZE * MEASURE_SIZE);
+  let total = 0;
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    total += gray[i];
+  }
+
+  // 4-neighbour laplacian over the interior pixels
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+  for (let y = 1; y < MEASURE_SIZE - 1; y++) {
+    for (let x = 1; x < MEASURE_SIZE - 1; x++) {
+      const i = y * MEASURE_SIZE + x;
+      const lap = gray[i - 1] + gray[i + 1] + gray[i - MEASURE_SIZE] + gray[i + MEASURE_SIZE] - 4 * gray[i];
+      sum += lap;
+      sumSq += lap * lap;
+      count++;
+    }
+  }
+  const mean = sum / count;
+
+  return {
+    brightness: total / gray.length,
+    sharpness: sumSq / count - mean * mean
+  };
+};
@@ -0,0 +1,141 @@
+/**
+ * face matching
+ *
+ * face-api facematcher-style search over labeled reference descriptors.
+ * references are grouped per student, so a 1:1 check (one student's gallery)
+ * and a 1:n search (every enrolled student) run through the same scoring.
+ */
+
+/**
+ * calculates face similarity using euclidean distance
+ *
+ * formula: distance = sqrt( sum( (a[i] - b[i])^2 ) ) for all 128 dimensions
+ * similarity = max(0, 1 - distance)
+ *
+ * typical distance ranges for face-api descriptors:
+ *   - same person:      0.2 - 0.4 (similarity 60-80%)
+ *   - different person:  0.6 - 1.0+ (similarity 0-40%)
+ *
+ * @param {number[]} a - 128-dimensional descriptor of face a
+ * @param {number[]} b - 128-dimensional descriptor of face b
+ * @returns {number} similarity score between 0 and 1
+ */
+export const faceSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return Math.max(0, 1 - Math.sqrt(sum));
+};
+
+/** mean of a non-empty list of descriptors */
+const meanDescriptor = (descriptors) =>
+  descriptors[0].map((_, i) => descriptors.reduce((sum, descriptor) => sum + descriptor[i], 0) / descriptors.length);
+
+/**
+ * builds a matcher over labeled references
+ *
+ * scoring per student follows `strategy`:
+ *   - best:     similarity to the student's closest reference photo
+ *   - centroid: similarity to the mean of the student's descriptors (less swayed by one odd photo)
+ * matchedreference is always the individually closest photo, so it can be shown to the user
+ *
+ * @param {Object[]} references - [{ studentId?, id, url, pose, descriptor }]; references
+ *   without a studentId are treated as one (unnamed) student
+ * @param {Object} options - { strategy: 'best' | 'centroid' }
+ * @returns {Object} { studentCount, findMatches(descriptor) }
+ */
+export const createFaceMatcher = (references, { strategy = 'best' } = {}) => {
+  const students = new Map(); // studentId -> [reference]
+  for (const reference of references) {
+    const group = students.get(reference.studentId) || [];
+    group.push(reference);
+    students.set(reference.studentId, group);
+  }
+
+  const labeled = [...students].map(([studentId, group]) => ({
+    studentId,
+    references: group,
+    centroid: strategy === 'centroid' ? meanDescriptor(group.map((reference) => reference.descriptor)) : null
+  }));
+
+  /**
+   * scores a live descriptor against every student
+   * @param {number[]} descriptor - 128-dimensional descriptor of the live face
+   * @returns {Object[]} [{ studentId, similarity, matchedReference: { id, url, pose } }], best first
+   */
+  const findMatches = (descriptor) =>
+    labeled
+      .map(({ studentId, references: group, centroid }) => {
+        let best = null;
+        for (const reference of group) {
+          const similarity = faceSimilarity(descriptor, reference.descriptor);
+          if (!best || similarity > best.similarity) best = { similarity, reference };
+        }
+
+        const { id, url, pose } = best.reference;
+        return {
+          studentId,
+          similarity: centroid ? faceSimilarity(descriptor, centroid) : best.similarity,
+          matchedReference: { id, url, pose }
+        };
+      })
+      .sort((a, b) => b.similarity - a.similarity);
+
+  return { studentCount: labeled.length, findMatches };
+};
+
+/**
+ * 1:n identification - accepts only an unambiguous best match
+ *
+ * statuses:
+ *   - match:     best student >= threshold and at least `margin` ahead of the runner-up
+ *   - ambiguous: best student >= threshold but the runner-up is within `margin`
+ *   - unknown:   nobody reaches the threshold
+ *
+ * @param {Object} matcher - from createfacematcher()
+ * @param {number[]} descriptor - 128-dimensional descriptor of the live face
+ * @param {Object} options - { threshold, margin }
+ * @returns {Object} { status, match, runnerUp } (match/runnerUp as in findmatches, or null)
+ */
+export const identifyFace = (matcher, descriptor, { threshold, margin }) => {
+  const [match = null, runnerUp = null] = matcher.findMatches(descriptor);
+
+  let status = 'match';
+  if (!match || match.similarity < threshold) status = 'unknown';
+  else if (runnerUp && match.similarity - runnerUp.similarity < margin) status = 'ambiguous';
+
+  return { status, match, runnerUp };
+};
+
+/**
+ * identity mismatch check - after a failed 1:1 check, does the face clearly
+ * belong to a different enrolled student?
+ *
+ * the other students are searched with identifyface(); their best match must also
+ * lead the claimed student's score by `margin`, so a poor match to an outdated
+ * reference photo is not mistaken for a borrowed card.
+ *
+ * @param {Object[]} gallery - every enrolled face from getenrolledfaces()
+ * @param {number[]} descriptor - descriptor of the live face that failed the 1:1 check
+ * @param {Object} options - { claimedStudentId, claimedSimilarity, threshold, margin }
+ * @returns {Object|null} the other student's match ({ studentId, similarity, matchedReference }), or null
+ */
+export const findMismatch = (gallery, descriptor, { claimedStudentId, claimedSimilarity, threshold, margin }) => {
+  const others = gallery.filter((reference) => reference.studentId !== claimedStudentId);
+  if (others.length === 0) return null;
+
+  const { status, match } = identifyFace(createFaceMatcher(others), descriptor, { threshold, margin });
+  if (status !== 'match' || match.similarity - claimedSimilarity < margin) return null;
+  return match;
+};
+
+export default {
+  faceSimilarity,
+  createFaceMatcher,
+  identifyFace,
+  findMismatch
+};
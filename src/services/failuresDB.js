@@ -0,0 +1,44 @@
+import { apiRequest, toQueryString } from './api';
+import { getKioskId } from './kiosk';
+
+/**
+ * failed attempt audit client
+ *
+ * reports failed verifications (with an optional jpeg evidence frame) and
+ * browses them through the backend's /api/failures routes.
+ */
+
+/**
+ * stores a failed verification attempt from this kiosk.
+ * @param {Object} entry - { outcome, attemptedId, matchedId, matchedSimilarity, ocrDigits, inputMethod, similarityScores, reason, snapshot }
+ *   outcome is one of 'failed_id', 'failed_name', 'failed_face', 'failed_mismatch', 'failed_unrecognized', 'failed_liveness',
+ *   'failed_system';
+ *   matchedId is the other student an identity mismatch matched; snapshot is a jpeg data url
+ * @returns {Promise<Object>} the stored record
+ */
+export const logFailure = async (entry) => {
+  const { failure } = await apiRequest('/api/failures', {
+    method: 'POST',
+    body: { ...entry, kioskId: getKioskId() }
+  });
+  return failure;
+};
+
+/**
+ * lists failed attempts, newest first.
+ * @param {Object} filters - { outcome, studentId, date: 'YYYY-MM-DD', limit } (all optional)
+ * @returns {Promise<Object[]>} failure records
+ */
+export const getFailures = async (filters = {}) => {
+  const { failures } = await apiRequest(`/api/failures${toQueryString(filters)}`);
+  return failures;
+};
+
+/** returns the url of a failure record's evidence frame */
+export const getFailureSnapshotUrl = (failureId) => `/api/failures/${failureId}/snapshot`;
+
+export default {
+  logFailure,
+  getFailures,
+  getFailureSnapshotUrl
+};
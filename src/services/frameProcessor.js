@@ -0,0 +1,93 @@
+import { createFrameStages } from './frameStages';
+
+/**
+ * frame processor
+ *
+ * main-thread handle on the id scanner's frame stages (services/framestages.js).
+ * they run in a web worker (workers/frameworker.js); video frames go there as
+ * transferred imagebitmaps. browsers that can't draw on an offscreencanvas in a
+ * worker run the same stages on the main thread instead.
+ */
+
+/** @returns {boolean} true if a worker can decode, draw and encode frames */
+const canUseWorker = () => {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return false;
+  try {
+    const canvas = new OffscreenCanvas(1, 1);
+    return Boolean(canvas.getContext('2d')) && typeof canvas.convertToBlob === 'function';
+  } catch {
+    return false;
+  }
+};
+
+/** runs stages in the frame worker, one promise per message */
+const createWorkerRunner = () => {
+  const worker = new Worker(new URL('../workers/frameWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();   // message id -> { resolve, reject }
+  let nextId = 0;
+
+  const rejectAll = (error) => {
+    for (const { reject } of pending.values()) reject(error);
+    pending.clear();
+  };
+
+  worker.onmessage = ({ data: { id, result, error } }) => {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(result);
+  };
+  worker.onerror = (event) => {
+    rejectAll(new Error(event.message || 'Frame worker failed'));
+  };
+
+  const run = (stage, args, transfer = []) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, stage, args }, transfer);
+  });
+
+  const terminate = () => {
+    worker.terminate();
+    rejectAll(new Error('Frame worker terminated'));
+  };
+
+  return { run, terminate };
+};
+
+/** runs the same stages on the main thread */
+const createInlineRunner = () => {
+  const stages = createFrameStages();
+  return {
+    run: async (stage, args) => stages[stage](...args),
+    terminate: () => {}
+  };
+};
+
+/**
+ * @returns {Object} {
+ *   inWorker,                                      true when the stages run off the main thread
+ *   configure({ barcodeFormats }),                 sets up the barcode reader
+ *   analyze(bitmap, { minArea, aspectRatio }),     -> { barcode, quad, timings } (the bitmap is transferred)
+ *   preprocess(method),                            -> { image, timings }: the card for ocr
+ *   prepareName(region, method),                   -> { image, timings }: the name area for ocr
+ *   terminate()
+ * } - every stage returns a promise
+ */
+export const createFrameProcessor = () => {
+  const inWorker = canUseWorker();
+  if (!inWorker) console.warn('Frame worker unavailable, processing frames on the main thread');
+  const { run, terminate } = inWorker ? createWorkerRunner() : createInlineRunner();
+
+  return {
+    inWorker,
+    configure: (options) => run('configure', [options]),
+    analyze: (bitmap, options) => run('analyze', [bitmap, options], [bitmap]),
+    preprocess: (method) => run('preprocess', [method]),
+    prepareName: (region, method) => run('prepareName', [region, method]),
+    terminate
+  };
+};
+
+export default createFrameProcessor;
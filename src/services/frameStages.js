@@ -0,0 +1,110 @@
+import { canvasToBlob, createCanvas } from './canvas';
+import { createBarcodeReader, decodeBarcode } from './barcode';
+import { cropCardRegion, detectCard, warpCard } from './cardDetector';
+import { preprocessForOcr } from './ocrPreprocessing';
+
+/**
+ * id scanner frame stages
+ *
+ * the per-frame image work of the id scanner: barcode decoding, card
+ * detection, perspective correction and ocr preprocessing. an instance keeps
+ * the frame being scanned, so the scanner can ask for one preprocessing method
+ * at a time and stop at the first that reads an id.
+ *
+ * runs in workers/frameworker.js; services/frameprocessor.js calls it
+ * directly when the browser can't draw in a worker. images for ocr come back
+ * as png blobs, so the encoding happens here too. every stage reports how long
+ * it took (ms), keyed by stage name.
+ */
+
+const since = (start) => Math.round(performance.now() - start);
+
+export const createFrameStages = () => {
+  let reader = null;       // zxing reader, null when barcodeFormats is empty
+  let frame = null;        // the frame being scanned
+  let quad = null;         // its card corners, or null
+  let aspectRatio = null;  // cardAspectRatio the quad was found with
+  let card = null;         // warped card (or the frame when no card was found), made on first use
+
+  /** @param {Object} options - { barcodeFormats } from the kiosk configuration */
+  const configure = ({ barcodeFormats }) => {
+    reader = createBarcodeReader(barcodeFormats);
+    return {};
+  };
+
+  /**
+   * takes a new frame: decodes a barcode and locates the card
+   * @param {ImageBitmap} bitmap - video frame (closed once drawn)
+   * @param {Object} options - { minArea, aspectRatio } (cardMinArea, cardAspectRatio)
+   * @returns {Object} { barcode: { text, format } | null, quad, timings }
+   */
+  const analyze = (bitmap, options) => {
+    const timings = {};
+    let start = performance.now();
+    frame = createCanvas(bitmap.width, bitmap.height);
+    frame.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    timings.draw = since(start);
+
+    let barcode = null;
+    if (reader) {
+      start = performance.now();
+      barcode = decodeBarcode(reader, frame);
+      timings.barcode = since(start);
+    }
+
+    start = performance.now();
+    quad = detectCard(frame, options);
+    aspectRatio = options.aspectRatio;
+    card = null;
+    timings.detect = since(start);
+    return { barcode, quad, timings };
+  };
+
+  const getCard = (timings) => {
+    if (!card) {
+      const start = performance.now();
+      card = quad ? warpCard(frame, quad, aspectRatio) : frame;
+      if (quad) timings.warp = since(start);
+    }
+    return card;
+  };
+
+  const encode = async (canvas, timings) => {
+    const start = performance.now();
+    const image = await canvasToBlob(canvas);
+    timings.encode = since(start);
+    return image;
+  };
+
+  /**
+   * @param {string} method - ocrPreprocessing method
+   * @returns {Promise<Object>} { image: png blob of the preprocessed card, timings }
+   */
+  const preprocess = async (method) => {
+    const timings = {};
+    const source = getCard(timings);
+    const start = performance.now();
+    const processed = preprocessForOcr(source, method);
+    timings.preprocess = since(start);
+    return { image: await encode(processed, timings), timings };
+  };
+
+  /**
+   * @param {Object} region - nameRegion, fractions of the card
+   * @param {string} method - ocrPreprocessing method
+   * @returns {Promise<Object>} { image: png blob of the preprocessed name area, timings }
+   */
+  const prepareName = async (region, method) => {
+    const timings = {};
+    const source = getCard(timings);
+    const start = performance.now();
+    const processed = preprocessForOcr(cropCardRegion(source, region), method);
+    timings.name = since(start);
+    return { image: await encode(processed, timings), timings };
+  };
+
+  return { configure, analyze, preprocess, prepareName };
+};
+
+export default createFrameStages;
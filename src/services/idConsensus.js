@@ -0,0 +1,57 @@
+/**
+ * multi-frame id consensus
+ *
+ * a single ocr read can land on the wrong student: a misread digit, or a
+ * registered id that happens to sit inside a longer digit run. the scanner
+ * therefore votes over consecutive frames and accepts an id only when it won
+ * enough of the recent reads and no other registered id showed up among them.
+ * it accepts on a frame that read the id itself, never on an empty frame after
+ * a competing read aged out - the scanner takes the accepted frame's text and
+ * preprocessing method as evidence and to read the name.
+ */
+
+/**
+ * creates a voting buffer fed with the registered ids read from each frame
+ *
+ * @param {Object} options
+ *   - votes:  reads an id must win (idConsensusVotes)
+ *   - window: number of most recent reads that count (idConsensusWindow, raised to votes if smaller)
+ * @returns {Object} { add(ids) -> tally, reset() } where tally is
+ *   { studentId, votes, required, contested, accepted }:
+ *   studentId is the id with the most votes in the window (or null), contested is true
+ *   when another id was read too, and accepted when studentId has enough votes uncontested
+ *   and the latest frame read it
+ */
+export const createIdVote = ({ votes: required = 3, window = 5 } = {}) => {
+  const size = Math.max(window, required);
+  let reads = [];   // one set of ids per frame, oldest first; an empty set is a frame without an id
+
+  const tally = () => {
+    const counts = new Map();
+    for (const ids of reads) {
+      for (const id of ids) counts.set(id, (counts.get(id) || 0) + 1);
+    }
+
+    let studentId = null, votes = 0;
+    for (const [id, count] of counts) {
+      if (count > votes) [studentId, votes] = [id, count];
+    }
+    const contested = counts.size > 1;
+    const readNow = reads.length > 0 && reads[reads.length - 1].has(studentId);
+    return { studentId, votes, required, contested, accepted: votes >= required && !contested && readNow };
+  };
+
+  /** @param {string[]} ids - registered ids read from one frame ([] when none) */
+  const add = (ids) => {
+    reads = [...reads, new Set(ids)].slice(-size);
+    return tally();
+  };
+
+  const reset = () => {
+    reads = [];
+  };
+
+  return { add, reset };
+};
+
+export default createIdVote;
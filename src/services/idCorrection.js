@@ -0,0 +1,134 @@
+import { matchesIdFormat } from './idFormats.js';
+
+/**
+ * ocr id correction
+ *
+ * a single misread, dropped or extra digit makes a card unreadable even when
+ * the rest of the number is right. when no registered id is found in the ocr
+ * text, the registry is searched for ids one edit away from what was read
+ * (edit distance 1: one digit substituted, deleted or inserted). the distance
+ * is taken to the whole digit run, never to a window of it: stray digits
+ * elsewhere on the card must not line up with a registered id.
+ *
+ * tesseract's per-character confidences guide the search: an edit must touch
+ * a character read with less than maxConfidence, since a confidently read
+ * digit is rarely the wrong one. the corrected id must still fit its format
+ * (a check digit rules out most wrong corrections), and it is only accepted
+ * when exactly one registered id is that close - with two or more the read is
+ * ambiguous and the scanner simply tries the next frame.
+ */
+
+const DIGITS = '0123456789';
+
+/**
+ * ocr characters (whitespace dropped, uppercased) with their confidence (0-100)
+ * @param {Object} ocr - tesseract result data: { text, symbols }
+ * @returns {Object[]} [{ char, confidence }] - confidence null when tesseract gave none
+ */
+const toChars = ({ text, symbols }) => {
+  const chars = [];
+  if (symbols?.length) {
+    for (const { text: symbolText, confidence } of symbols) {
+      for (const char of symbolText.toUpperCase()) {
+        if (!/\s/.test(char)) chars.push({ char, confidence });
+      }
+    }
+    return chars;
+  }
+  for (const char of (text || '').toUpperCase()) {
+    if (!/\s/.test(char)) chars.push({ char, confidence: null });
+  }
+  return chars;
+};
+
+/**
+ * every string one edit away from a read, where the edit touches an uncertain character
+ * (insertions go next to one: a dropped digit usually blurs its neighbours)
+ * @param {Object[]} read - [{ char, confidence }] digits
+ * @param {Function} isUncertain - (index) => boolean
+ * @returns {Object[]} [{ digits, edit }]
+ */
+const neighbours = (read, isUncertain) => {
+  const digits = read.map(({ char }) => char).join('');
+  const result = [];
+  for (let i = 0; i < digits.length; i++) {
+    if (!isUncertain(i)) continue;
+    result.push({ digits: digits.slice(0, i) + digits.slice(i + 1), edit: `delete ${digits[i]} at ${i}` });
+    for (const digit of DIGITS) {
+      if (digit !== digits[i]) {
+        result.push({ digits: digits.slice(0, i) + digit + digits.slice(i + 1), edit: `${digits[i]} -> ${digit} at ${i}` });
+      }
+    }
+  }
+  for (let i = 0; i <= digits.length; i++) {
+    if (!isUncertain(i - 1) && !isUncertain(i)) continue;
+    for (const digit of DIGITS) {
+      result.push({ digits: digits.slice(0, i) + digit + digits.slice(i), edit: `insert ${digit} at ${i}` });
+    }
+  }
+  return result;
+};
+
+/**
+ * the digit reads an id of each format could have come from - the whole run, so the edit
+ * distance is measured against what ocr read and not against a piece of it:
+ *   - without a prefix: all digits in the text, joined (as in extractidcandidates)
+ *   - with a prefix: all digits following each occurrence of the prefix
+ * a run one digit shorter to one longer than the format allows is a read; any other is not
+ * @returns {Object[]} [{ format, read }]
+ */
+const readsFor = (chars, format) => {
+  const { prefix = '', minLength, maxLength } = format;
+  const fits = (run) => run.length >= Math.max(1, minLength - 1) && run.length <= maxLength + 1;
+
+  if (!prefix) {
+    const digits = chars.filter(({ char }) => /\d/.test(char));
+    return fits(digits) ? [{ format, read: digits }] : [];
+  }
+
+  const reads = [];
+  const compact = chars.map(({ char }) => char).join('');
+  for (let start = compact.indexOf(prefix); start !== -1; start = compact.indexOf(prefix, start + 1)) {
+    const run = [];
+    for (let i = start + prefix.length; i < chars.length && /\d/.test(chars[i].char); i++) run.push(chars[i]);
+    if (fits(run)) reads.push({ format, read: run });
+  }
+  return reads;
+};
+
+/**
+ * looks for the one registered id within edit distance 1 of the ocr text
+ *
+ * @param {Object} ocr - tesseract result data: { text, symbols }
+ * @param {Set<string>} registeredIds - registered student ids
+ * @param {Object[]} formats - idFormats from the kiosk configuration
+ * @param {Object} options - { maxConfidence }: characters read with at least this confidence
+ *   (0-100) are trusted and never edited (idCorrectionConfidence)
+ * @returns {Object|null} { studentId, read, edit } when exactly one registered id is one
+ *   edit away from the text, null when none or several are
+ */
+export const correctIdRead = (ocr, registeredIds, formats, { maxConfidence = 80 } = {}) => {
+  const chars = toChars(ocr);
+  const matches = new Map();   // corrected id -> { read, edit } of the first read that led to it
+
+  for (const format of formats) {
+    const prefix = format.prefix || '';
+    for (const { read } of readsFor(chars, format)) {
+      const isUncertain = (i) => i >= 0 && i < read.length &&
+        (read[i].confidence == null || read[i].confidence < maxConfidence);
+
+      for (const { digits, edit } of neighbours(read, isUncertain)) {
+        const id = prefix + digits;
+        if (matches.has(id) || !registeredIds.has(id) || !matchesIdFormat(id, format)) continue;
+        matches.set(id, { read: prefix + read.map(({ char }) => char).join(''), edit });
+      }
+      if (matches.size > 1) return null;   // ambiguous - no need to look further
+    }
+  }
+
+  if (matches.size !== 1) return null;
+  const [[studentId, { read, edit }]] = matches;
+  return { studentId, read, edit };
+};
+
+export default correctIdRead;
@@ -0,0 +1,158 @@
+/**
+ * student id formats
+ *
+ * each institution describes its card numbers in the kiosk configuration
+ * (idFormats in /api/config, validated by server/models/kioskconfig.js):
+ *
+ *   { name, prefix, minLength, maxLength, pattern, checkDigit }
+ *
+ *   - prefix:    literal text the id starts with, e.g. 'S' or '20' ('' = none)
+ *   - minLength/maxLength: number of digits after the prefix
+ *   - pattern:   optional regular expression the whole id (prefix included) must match;
+ *                it is anchored at both ends, so '\d{7}' does not pass an 8-digit id
+ *   - checkDigit: null, 'luhn', 'mod11' or a custom weighted scheme { weights, modulus } -
+ *                validates the last digit
+ *
+ * ocr candidates are extracted and validated with these rules before they
+ * are looked up in the registry, so a card number in an unexpected shape is
+ * never accepted even if it happens to be registered.
+ */
+
+/**
+ * luhn (mod 10): doubling every second digit from the right, the sum of all
+ * digits (including the check digit) must be a multiple of 10
+ */
+const isLuhnValid = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * mod 11: body digits weighted 2, 3, 4, ... from the right; the check digit is
+ * (11 - sum % 11) % 11. a result of 10 cannot be written as one digit, so such
+ * numbers are never issued and never valid
+ */
+const isMod11Valid = (digits) => {
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    sum += Number(body[body.length - 1 - i]) * (i + 2);
+  }
+  return (11 - (sum % 11)) % 11 === Number(digits[digits.length - 1]);
+};
+
+// keep in sync with CHECK_DIGIT_ALGORITHMS in server/models/kioskconfig.js
+export const CHECK_DIGIT_ALGORITHMS = {
+  luhn: isLuhnValid,
+  mod11: isMod11Valid
+};
+
+/**
+ * custom weighted scheme { weights, modulus }: the body digits are multiplied by
+ * the weights from the right (repeating when there are more digits than weights);
+ * the check digit is (modulus - sum % modulus) % modulus. a result of 10 or more
+ * cannot be written as one digit and is never valid
+ */
+const isWeightedValid = (digits, { weights, modulus }) => {
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    sum += Number(body[body.length - 1 - i]) * weights[i % weights.length];
+  }
+  return (modulus - (sum % modulus)) % modulus === Number(digits[digits.length - 1]);
+};
+
+/** @returns {boolean} true if the last digit is the check digit of the others */
+const isCheckDigitValid = (digits, checkDigit) => (
+  typeof checkDigit === 'string'
+    ? CHECK_DIGIT_ALGORITHMS[checkDigit](digits)
+    : isWeightedValid(digits, checkDigit)
+);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * checks an id against one format
+ * @param {string} id - candidate id, prefix included
+ * @param {Object} format - one idFormats entry
+ * @returns {boolean}
+ */
+export const matchesIdFormat = (id, { prefix = '', minLength, maxLength, pattern, checkDigit }) => {
+  if (!id.startsWith(prefix)) return false;
+  const digits = id.slice(prefix.length);
+  if (!/^\d+$/.test(digits) || digits.length < minLength || digits.length > maxLength) return false;
+  if (pattern && !new RegExp(`^(?:${pattern})$`).test(id)) return false;
+  if (checkDigit && !(digits.length > 1 && isCheckDigitValid(digits, checkDigit))) return false;
+  return true;
+};
+
+/** @returns {boolean} true if the id fits any of the formats */
+export const matchesAnyIdFormat = (id, formats) => formats.some((format) => matchesIdFormat(id, format));
+
+/**
+ * extracts every well-formed id from ocr text
+ *
+ *   - formats without a prefix: every window of minLength..maxLength digits over
+ *     all digits in the text (numbers printed in groups, like "2000 2547", are joined)
+ *   - formats with a prefix: the prefix followed by digits, whitespace ignored;
+ *     the id is the prefix plus the leading minLength..maxLength digits
+ *
+ * @param {string} text - raw ocr text
+ * @param {Object[]} formats - idFormats from the kiosk configuration
+ * @returns {string[]} distinct candidates that pass their format's pattern and check digit,
+ *   in priority order: format order, then longer ids first, then earlier in the text
+ */
+export const extractIdCandidates = (text, formats) => {
+  const digitsOnly = text.replace(/\D/g, '');
+  const compact = text.toUpperCase().replace(/\s+/g, '');
+  const candidates = [];
+  const add = (id, format) => {
+    if (!candidates.includes(id) && matchesIdFormat(id, format)) candidates.push(id);
+  };
+
+  for (const format of formats) {
+    const { prefix = '', minLength, maxLength } = format;
+
+    if (!prefix) {
+      for (let length = maxLength; length >= minLength; length--) {
+        for (let i = 0; i + length <= digitsOnly.length; i++) {
+          add(digitsOnly.substring(i, i + length), format);
+        }
+      }
+      continue;
+    }
+
+    const runs = [...compact.matchAll(new RegExp(`${escapeRegExp(prefix)}(\\d+)`, 'g'))].map((match) => match[1]);
+    for (let length = maxLength; length >= minLength; length--) {
+      for (const digits of runs) {
+        if (digits.length >= length) add(prefix + digits.substring(0, length), format);
+      }
+    }
+  }
+  return candidates;
+};
+
+/**
+ * characters tesseract should recognize for these formats: digits plus any
+ * letters and dashes used in prefixes
+ * @returns {string} value for tessedit_char_whitelist
+ */
+export const getOcrWhitelist = (formats) => {
+  const prefixChars = formats.flatMap((format) => [...(format.prefix || '')]).filter((char) => !/\d/.test(char));
+  return [...new Set(['0123456789', ...prefixChars])].join('');
+};
+
+export default {
+  matchesIdFormat,
+  matchesAnyIdFormat,
+  extractIdCandidates,
+  getOcrWhitelist
+};
@@ -0,0 +1,43 @@
+/**
+ * kiosk identity and mode
+ *
+ * each kiosk (camera station) has an id that the backend uses to find the
+ * class session running at that location. the id is resolved once, in order:
+ *   1. ?kiosk=<id> url parameter (remembered in localstorage for later loads)
+ *   2. previously remembered id from localstorage
+ *   3. VITE_KIOSK_ID build-time environment variable
+ *   4. 'default'
+ */
+const STORAGE_KEY = 'kioskId';
+const MODE_STORAGE_KEY = 'kioskMode';
+
+// check-in modes: 'card' = scan the id card, then verify the face against that
+// student (1:1); 'face' = identify the face among all enrolled students (1:n)
+export const KIOSK_MODES = ['card', 'face'];
+
+/** returns this kiosk's id */
+export const getKioskId = () => {
+  const fromUrl = new URLSearchParams(window.location.search).get('kiosk');
+  if (fromUrl) {
+    localStorage.setItem(STORAGE_KEY, fromUrl);
+    return fromUrl;
+  }
+  return localStorage.getItem(STORAGE_KEY) || import.meta.env.VITE_KIOSK_ID || 'default';
+};
+
+/**
+ * returns this kiosk's check-in mode, resolved like the id:
+ * ?mode= url parameter (remembered), localstorage, VITE_KIOSK_MODE, then 'card'.
+ * unknown values are ignored.
+ */
+export const getKioskMode = () => {
+  const fromUrl = new URLSearchParams(window.location.search).get('mode');
+  if (KIOSK_MODES.includes(fromUrl)) {
+    localStorage.setItem(MODE_STORAGE_KEY, fromUrl);
+    return fromUrl;
+  }
+  const configured = [localStorage.getItem(MODE_STORAGE_KEY), import.meta.env.VITE_KIOSK_MODE];
+  return configured.find((mode) => KIOSK_MODES.includes(mode)) || 'card';
+};
+
+export default getKioskId;
@@ -0,0 +1,22 @@
+import { apiRequest, toQueryString } from './api';
+import { getKioskId } from './kiosk';
+
+/**
+ * runtime kiosk configuration
+ *
+ * thresholds, timings and camera settings come from the backend's /api/config
+ * (defaults merged with this kiosk's overrides), so a noisy room can be tuned
+ * without rebuilding the bundle.
+ */
+
+/**
+ * loads this kiosk's effective settings. the hooks call this every time they
+ * start, so a change on the server applies from the next scan or verification.
+ * @returns {Promise<Object>} settings keyed as in server/models/kioskConfig.js
+ */
+export const loadKioskConfig = async () => {
+  const { config } = await apiRequest(`/api/config${toQueryString({ kioskId: getKioskId() })}`);
+  return config;
+};
+
+export default loadKioskConfig;
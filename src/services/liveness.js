@@ -0,0 +1,128 @@
+/**
+ * liveness checks
+ *
+ * passive - blinks: a printed photo or a phone screen produces a steady eye
+ * aspect ratio (eyeaspectratio in services/faceapi.js); a live face blinks
+ * every few seconds. the detector follows the ratio over time and reports a
+ * blink when the eyes close and reopen within a natural blink's duration.
+ * thresholds are relative to the subject's own open-eye ratio, which varies
+ * with eye shape and head pose more than the drop during a blink.
+ *
+ * active - head-pose challenge: the subject is asked for a random sequence of
+ * head movements, confirmed from the landmark-based yaw and pitch estimates.
+ */
+
+/**
+ * creates a blink detector fed with one eye aspect ratio sample per frame
+ *
+ * @param {Object} options
+ *   - closedRatio: eyes count as closed below baseline * closedRatio
+ *   - openRatio:   ... and as open again above baseline * openRatio
+ *   - maxBlinkMs:  longest close-reopen that counts as a blink (longer = eyes shut, not a blink)
+ *   - minSamples:  open-eye samples needed before the baseline is trusted
+ * @returns {Object} { update(ear, timestamp) -> true when a blink just completed, reset() }
+ */
+export const createBlinkDetector = ({
+  closedRatio = 0.75,
+  openRatio = 0.9,
+  maxBlinkMs = 500,
+  minSamples = 5
+} = {}) => {
+  let baseline = null;     // smoothed open-eye aspect ratio
+  let samples = 0;         // open-eye samples folded into the baseline
+  let closedSince = null;  // timestamp the eyes closed, or null while open
+
+  const update = (ear, timestamp) => {
+    if (closedSince === null) {
+      if (samples >= minSamples && ear < baseline * closedRatio) {
+        closedSince = timestamp;
+        return false;
+      }
+      baseline = baseline === null ? ear : baseline * 0.8 + ear * 0.2;
+      samples++;
+      return false;
+    }
+
+    if (ear < baseline * openRatio) return false; // still closed
+
+    const duration = timestamp - closedSince;
+    closedSince = null;
+    return duration <= maxBlinkMs;
+  };
+
+  const reset = () => {
+    baseline = null;
+    samples = 0;
+    closedSince = null;
+  };
+
+  return { update, reset };
+};
+
+// head movements a challenge can ask for; prompt is shown, spoken is read out
+export const POSE_CHALLENGES = {
+  left: { prompt: 'Turn your head to your left', spoken: 'Turn your head left' },
+  right: { prompt: 'Turn your head to your right', spoken: 'Turn your head right' },
+  nod: { prompt: 'Nod your head', spoken: 'Nod your head' }
+};
+
+/**
+ * picks a random challenge sequence without repeats
+ * @param {string[]} types - enabled keys of POSE_CHALLENGES
+ * @param {number} length - number of steps (capped at the number of types)
+ * @returns {string[]} challenge steps in the order they must be performed
+ */
+export const pickChallenge = (types, length) => {
+  const pool = types.filter((type) => POSE_CHALLENGES[type]);
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, length);
+};
+
+/**
+ * follows head pose samples through a challenge sequence
+ *
+ * - left / right: estimateyaw() beyond +/- turnYaw (positive = the subject's left)
+ * - nod: estimatepitch() moves at least nodDelta away from the neutral pitch
+ *   and comes back; the neutral pitch is the first sample of the step
+ *
+ * @param {string[]} steps - from pickchallenge()
+ * @param {Object} options - { turnYaw, nodDelta }
+ * @returns {Object} { update({ yaw, pitch }) -> true when a step just completed, stepIndex(), isComplete() }
+ */
+export const createChallengeTracker = (steps, { turnYaw = 0.12, nodDelta = 0.05 } = {}) => {
+  let index = 0;            // step being performed
+  let neutralPitch = null;  // pitch at the start of a nod step
+  let hasNodded = false;    // nod step: the head has moved away from neutral
+
+  const isStepDone = (step, { yaw, pitch }) => {
+    if (step === 'left') return yaw >= turnYaw;
+    if (step === 'right') return yaw <= -turnYaw;
+
+    if (neutralPitch === null) neutralPitch = pitch;
+    const offset = Math.abs(pitch - neutralPitch);
+    if (!hasNodded) {
+      hasNodded = offset >= nodDelta;
+      return false;
+    }
+    return offset < nodDelta / 2; // back to neutral
+  };
+
+  const update = (pose) => {
+    if (index >= steps.length || !isStepDone(steps[index], pose)) return false;
+    index++;
+    neutralPitch = null;
+    hasNodded = false;
+    return true;
+  };
+
+  return {
+    update,
+    stepIndex: () => index,
+    isComplete: () => index >= steps.length
+  };
+};
+
+export default createBlinkDetector;
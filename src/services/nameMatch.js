@@ -0,0 +1,113 @@
+/**
+ * card name matching
+ *
+ * compares the name ocr read from an id card with the registered student's
+ * name. ocr drops, merges and misreads letters, and cards print names in
+ * different orders ("LEE, ANN" vs "Ann Lee"), so the comparison is fuzzy. it
+ * is not a bag of words, though: the name parts must be read as a run of
+ * adjacent words, in the registered order or rotated (surname first), so a
+ * short name can't be pieced together from card boilerplate. ocr splits and
+ * merges words ("AN NLEE", "ANNLEE"), so one or two name parts may match one
+ * or two adjacent words; one word between two parts (a middle name missing
+ * from the registry) is skipped.
+ */
+
+const MIN_PART_LENGTH = 2;   // initials carry too little to compare
+
+/** uppercase latin letters, diacritics removed, everything else a word break */
+const toWords = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .split(/[^A-Z]+/)
+  .filter((word) => word.length >= MIN_PART_LENGTH);
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/** 1 for identical words, 0 for nothing in common */
+const wordSimilarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length);
+
+/** the name parts in registered order and every rotation of it: "ann marie lee" -> "lee ann marie", ... */
+const rotations = (parts) => parts.map((_, i) => [...parts.slice(i), ...parts.slice(0, i)]);
+
+/**
+ * best alignment of name parts, in order, to the run of card words starting at `start`
+ * (dynamic programming over parts used x words used)
+ * @returns {number} the length-weighted similarity sum
+ */
+const alignFrom = (parts, words, start) => {
+  // best[i][j]: best sum for the first i parts over words[start, start + j), per words skipped (0 or 1)
+  const span = words.length - start;
+  const best = Array.from({ length: parts.length + 1 }, () =>
+    Array.from({ length: span + 1 }, () => [-Infinity, -Infinity]));
+  best[0][0][0] = 0;
+
+  let result = 0;
+  for (let i = 0; i <= parts.length; i++) {
+    for (let j = 0; j <= span; j++) {
+      for (let skipped = 0; skipped <= 1; skipped++) {
+        const score = best[i][j][skipped];
+        if (score === -Infinity) continue;
+        if (i === parts.length) {
+          result = Math.max(result, score);
+          continue;
+        }
+        const relax = (partCount, wordCount, nextSkipped, gain) => {
+          const next = best[i + partCount]?.[j + wordCount];
+          if (next && score + gain > next[nextSkipped]) next[nextSkipped] = score + gain;
+        };
+
+        // one or two parts against one or two words, joined
+        for (let partCount = 1; partCount <= 2 && i + partCount <= parts.length; partCount++) {
+          const joinedPart = parts.slice(i, i + partCount).join('');
+          for (let wordCount = 1; wordCount <= 2 && j + wordCount <= span; wordCount++) {
+            const joinedWord = words.slice(start + j, start + j + wordCount).join('');
+            relax(partCount, wordCount, skipped, wordSimilarity(joinedPart, joinedWord) * joinedPart.length);
+          }
+        }
+        // a part the card doesn't show counts as 0
+        relax(1, 0, skipped, 0);
+        // one extra word between two parts
+        if (!skipped && i > 0 && j < span) relax(0, 1, 1, 0);
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * @param {string} ocrText - text read from the card's name area
+ * @param {string} registeredName - the student's name in the registry
+ * @returns {number|null} 0-1, the length-weighted similarity of the registered name's parts
+ *   to the best-matching run of words on the card; null when the card text holds no words to compare
+ */
+export const compareNames = (ocrText, registeredName) => {
+  const cardWords = toWords(ocrText || '');
+  const nameParts = toWords(registeredName || '');
+  if (cardWords.length === 0 || nameParts.length === 0) return null;
+
+  let best = 0;
+  for (const parts of rotations(nameParts)) {
+    for (let start = 0; start < cardWords.length; start++) {
+      best = Math.max(best, alignFrom(parts, cardWords, start));
+    }
+  }
+  const totalLength = nameParts.reduce((sum, part) => sum + part.length, 0);
+  return best / totalLength;
+};
+
+export default compareNames;
@@ -0,0 +1,173 @@
+/**
+ * ocr preprocessing
+ *
+ * turns a card image into something tesseract reads reliably. a fixed
+ * threshold of 128 wipes out digits printed on colored backgrounds or under
+ * uneven lighting, so there are several methods and the scanner tries them in
+ * the order given by ocrPreprocessing in the kiosk configuration:
+ *
+ *   fixed     grayscale, threshold 128 (the original behaviour)
+ *   otsu      contrast stretch, then the global threshold that best separates the two gray levels
+ *   sauvola   local threshold mean * (1 + k * (std / 128 - 1)) - robust to shadows and gradients
+ *   niblack   local threshold mean + k * std - keeps faint print, but also background noise
+ *   contrast  contrast stretch only (grayscale; tesseract binarizes itself)
+ *   sharpen   unsharp mask, then otsu - for slightly blurred frames
+ *
+ * keep the names in sync with ocrPreprocessing in server/models/kioskconfig.js.
+ */
+
+import { createCanvas } from './canvas.js';
+
+const SAUVOLA_K = 0.34;
+const NIBLACK_K = -0.2;
+const STRETCH_CLIP = 0.01;   // ignore the darkest and brightest 1% when stretching (specular glare, shadows)
+const UNSHARP_AMOUNT = 1.5;
+
+/** @returns {Float32Array} luminance of rgba pixel data */
+export const toGrayscale = (data) => {
+  const gray = new Float32Array(data.length / 4);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114;
+  }
+  return gray;
+};
+
+const histogram = (gray) => {
+  const bins = new Uint32Array(256);
+  for (let i = 0; i < gray.length; i++) bins[Math.min(255, Math.max(0, Math.round(gray[i])))]++;
+  return bins;
+};
+
+/** linear stretch so the STRETCH_CLIP percentiles map to 0 and 255 */
+export const stretchContrast = (gray) => {
+  const bins = histogram(gray);
+  const clip = gray.length * STRETCH_CLIP;
+  let low = 0, high = 255;
+  for (let count = 0; low < 255 && count + bins[low] <= clip; low++) count += bins[low];
+  for (let count = 0; high > 0 && count + bins[high] <= clip; high--) count += bins[high];
+  if (high <= low) return gray;
+
+  const scale = 255 / (high - low);
+  return gray.map((value) => Math.min(255, Math.max(0, (value - low) * scale)));
+};
+
+/**
+ * otsu's method: the threshold maximizing the between-class variance of the histogram
+ * @returns {number} gray level; pixels above it are background (half a level above the
+ *   best bin, since the histogram rounds and that bin holds values up to bin + 0.5)
+ */
+export const otsuThreshold = (gray) => {
+  const bins = histogram(gray);
+  let sumAll = 0;
+  for (let t = 0; t < 256; t++) sumAll += t * bins[t];
+
+  let best = 0, bestVariance = -1;
+  let weightBelow = 0, sumBelow = 0;
+  for (let t = 0; t < 256; t++) {
+    weightBelow += bins[t];
+    if (weightBelow === 0) continue;
+    const weightAbove = gray.length - weightBelow;
+    if (weightAbove === 0) break;
+
+    sumBelow += t * bins[t];
+    const meanBelow = sumBelow / weightBelow;
+    const meanAbove = (sumAll - sumBelow) / weightAbove;
+    const variance = weightBelow * weightAbove * (meanBelow - meanAbove) ** 2;
+    if (variance > bestVariance) [best, bestVariance] = [t, variance];
+  }
+  return best + 0.5;
+};
+
+const binarize = (gray, threshold) => gray.map((value) => (value > threshold ? 255 : 0));
+
+/** box blur over a (2 * radius + 1) square, from an integral image */
+const boxMean = (gray, width, height, radius) => {
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += gray[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + row;
+    }
+  }
+
+  const mean = new Float32Array(gray.length);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+      const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+      mean[y * width + x] = sum / ((x1 - x0) * (y1 - y0));
+    }
+  }
+  return mean;
+};
+
+/** local window: about a twentieth of the short side, so it spans a printed digit or two */
+const windowRadius = (width, height) => Math.max(7, Math.round(Math.min(width, height) / 40));
+
+/**
+ * local adaptive threshold from the mean and standard deviation around each pixel
+ * @param {Function} thresholdAt - (mean, std) => threshold
+ */
+const localThreshold = (gray, width, height, thresholdAt) => {
+  const radius = windowRadius(width, height);
+  const mean = boxMean(gray, width, height, radius);
+  const meanOfSquares = boxMean(gray.map((value) => value * value), width, height, radius);
+  return gray.map((value, i) => {
+    const std = Math.sqrt(Math.max(0, meanOfSquares[i] - mean[i] * mean[i]));
+    return value > thresholdAt(mean[i], std) ? 255 : 0;
+  });
+};
+
+/** sharpened = gray + amount * (gray - blurred) */
+export const unsharpMask = (gray, width, height) => {
+  const blurred = boxMean(gray, width, height, 2);
+  return gray.map((value, i) => Math.min(255, Math.max(0, value + UNSHARP_AMOUNT * (value - blurred[i]))));
+};
+
+export const PREPROCESSING_METHODS = {
+  fixed: (gray) => binarize(gray, 128),
+  otsu: (gray) => {
+    const stretched = stretchContrast(gray);
+    return binarize(stretched, otsuThreshold(stretched));
+  },
+  sauvola: (gray, width, height) =>
+    localThreshold(gray, width, height, (mean, std) => mean * (1 + SAUVOLA_K * (std / 128 - 1))),
+  niblack: (gray, width, height) =>
+    localThreshold(gray, width, height, (mean, std) => mean + NIBLACK_K * std),
+  contrast: (gray) => stretchContrast(gray),
+  sharpen: (gray, width, height) => {
+    const sharpened = unsharpMask(stretchContrast(gray), width, height);
+    return binarize(sharpened, otsuThreshold(sharpened));
+  }
+};
+
+/**
+ * runs one preprocessing method on a copy of an image
+ * @param {OffscreenCanvas|HTMLCanvasElement} source - color card image (left untouched, so several methods can run on it)
+ * @param {string} method - key of PREPROCESSING_METHODS
+ * @returns {OffscreenCanvas|HTMLCanvasElement} grayscale / black-and-white image for ocr
+ */
+export const preprocessForOcr = (source, method) => {
+  const { width, height } = source;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  const imageData = source.getContext('2d').getImageData(0, 0, width, height);
+  const result = PREPROCESSING_METHODS[method](toGrayscale(imageData.data), width, height);
+
+  const { data } = imageData;
+  for (let i = 0, p = 0; i < result.length; i++, p += 4) {
+    data[p] = data[p + 1] = data[p + 2] = result[i];
+    // alpha (data[p+3]) remains unchanged
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+export default {
+  preprocessForOcr,
+  PREPROCESSING_METHODS
+};
@@ -0,0 +1,28 @@
+/**
+ * video frame snapshots
+ *
+ * grabs the current frame of a <video> element as a jpeg data url.
+ * used to attach evidence frames to failed verification records.
+ */
+
+/**
+ * @param {HTMLVideoElement} video - playing video element
+ * @param {number} quality - jpeg quality (0-1)
+ * @returns {string|null} 'data:image/jpeg;base64,...' or null if no frame is available
+ */
+export const captureSnapshot = (video, quality = 0.8) => {
+  if (!video || !video.videoWidth || !video.videoHeight) return null;
+
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+  } catch (err) {
+    console.error('Snapshot error:', err);
+    return null;
+  }
+};
+
+export default captureSnapshot;
@@ -0,0 +1,198 @@
+import { apiRequest, ApiError, toQueryString } from './api';
+
+/**
+ * student database client
+ *
+ * reads and writes the postgresql student registry through the backend's
+ * /api/students routes. each student record has:
+ *   - id: unique student id number (string)
+ *   - name: full name
+ *   - department: academic department
+ *   - year: year level
+ *   - faceImage: path to reference face photo (served from /uploads/)
+ *   - email: student email address
+ *
+ * all functions are async. seed data lives in server/seed.js.
+ */
+
+/** retrieves a student record by id. resolves to null if not found. */
+export const getStudentByID = async (studentId) => {
+  try {
+    const { student } = await apiRequest(`/api/students/${encodeURIComponent(studentId)}`);
+    return student;
+  } catch (err) {
+    if (err instanceof ApiError && err.status === 404) {
+      console.warn(`Student ID ${studentId} not found in database`);
+      return null;
+    }
+    throw err;
+  }
+};
+
+/** checks if a student id exists in the database */
+export const isValidStudentID = async (studentId) => {
+  const student = await getStudentByID(studentId);
+  return student !== null;
+};
+
+/** returns an array of all registered student id strings */
+export const getAllValidStudentIDs = async () => {
+  const { students } = await apiRequest('/api/students');
+  return students.map((student) => student.id);
+};
+
+/** returns student records matching a search term (id, name or email), or all students when empty */
+export const searchStudents = async (query = '') => {
+  const { students } = await apiRequest(`/api/students${toQueryString({ q: query.trim() })}`);
+  return students;
+};
+
+/**
+ * reference photos to verify a student against: their photo gallery, plus
+ * faceimage when it is not part of it (students added without enrollment photos).
+ * a stored descriptor is attached when it was computed with `modelVersion`;
+ * references without one have to be processed from the image.
+ * @param {Object} student - record from getstudentbyid (includes photos and descriptors)
+ * @param {string} modelVersion - the client's current face model version
+ * @returns {Object[]} [{ id, url, pose, descriptor }]; id is null for the faceimage fallback,
+ *   descriptor is null when missing or stale
+ */
+export const getReferenceImages = (student, modelVersion) => {
+  const references = (student.photos || []).map(({ id, url, pose }) => ({ id, url, pose }));
+  if (student.faceImage && !references.some((reference) => reference.url === student.faceImage)) {
+    references.unshift({ id: null, url: student.faceImage, pose: null });
+  }
+
+  const stored = new Map(
+    (student.descriptors || [])
+      .filter((entry) => entry.modelVersion === modelVersion)
+      .map((entry) => [entry.imageUrl, entry.descriptor])
+  );
+  return references.map((reference) => ({ ...reference, descriptor: stored.get(reference.url) || null }));
+};
+
+/**
+ * every enrolled face, for 1:n identification on face-only kiosks.
+ * only descriptors stored for `modelVersion` are returned - a student whose
+ * references were never processed with the current model cannot be identified.
+ * @param {string} modelVersion - the client's current face model version
+ * @returns {Promise<Object[]>} [{ studentId, id, url, pose, descriptor }]; id and pose are null
+ */
+export const getEnrolledFaces = async (modelVersion) => {
+  const { descriptors } = await apiRequest(`/api/face-descriptors${toQueryString({ modelVersion })}`);
+  return descriptors.map(({ studentId, imageUrl, descriptor }) => ({
+    studentId,
+    id: null,
+    url: imageUrl,
+    pose: null,
+    descriptor
+  }));
+};
+
+/**
+ * stores precomputed face descriptors for a student's reference images
+ * @param {string} studentId - student the images belong to
+ * @param {string} modelVersion - face model version that produced the descriptors
+ * @param {Object[]} descriptors - [{ imageUrl, descriptor }]
+ */
+export const saveFaceDescriptors = async (studentId, modelVersion, descriptors) => {
+  await apiRequest(`/api/students/${encodeURIComponent(studentId)}/descriptors`, {
+    method: 'PUT',
+    body: { modelVersion, descriptors }
+  });
+};
+
+/** lists a student's reference photos [{ id, url, pose, createdAt }] */
+export const getStudentPhotos = async (studentId) => {
+  const { photos } = await apiRequest(`/api/students/${encodeURIComponent(studentId)}/photos`);
+  return photos;
+};
+
+/**
+ * adds reference photos to a student's gallery (multipart upload)
+ * @param {string} studentId - student to add the photos to
+ * @param {Blob[]} files - jpeg images
+ * @returns {Promise<Object[]>} the added photos
+ */
+export const addStudentPhotos = async (studentId, files) => {
+  const form = new FormData();
+  for (const file of files) form.append('photos', file);
+  const { photos } = await apiRequest(`/api/students/${encodeURIComponent(studentId)}/photos`, {
+    method: 'POST',
+    body: form
+  });
+  return photos;
+};
+
+/** removes one photo from a student's gallery */
+export const deleteStudentPhoto = async (studentId, photoId) => {
+  await apiRequest(`/api/students/${encodeURIComponent(studentId)}/photos/${photoId}`, { method: 'DELETE' });
+};
+
+/** returns the face image path for a student, or null if not found */
+export const getFaceImagePath = async (studentId) => {
+  const student = await getStudentByID(studentId);
+  return student ? student.faceImage : null;
+};
+
+/** adds a new student to the database. requires id, name, and faceimage. */
+export const addStudent = async (studentData) => {
+  if (!studentData.id || !studentData.name || !studentData.faceImage) {
+    throw new Error('Missing required student data');
+  }
+  const { student } = await apiRequest('/api/students', { method: 'POST', body: studentData });
+  console.log(`Added student: ${student.name} (${student.id})`);
+  return student;
+};
+
+/**
+ * enrolls a new student with camera-captured reference photos (multipart upload),
+ * then stores the descriptors computed at capture time so the verifier does not
+ * have to process the photos again. the first shot becomes the student's faceimage.
+ * @param {Object} studentData - { id, name, department, year, email }
+ * @param {Object[]} shots - [{ pose, dataUrl, descriptor }] as captured by usefaceenrollment
+ * @param {string} modelVersion - face model version that produced the descriptors
+ * @returns {Promise<Object>} { student, photos }
+ */
+export const enrollStudent = async (studentData, shots, modelVersion) => {
+  const form = new FormData();
+  for (const [field, value] of Object.entries(studentData)) {
+    if (value != null && value !== '') form.append(field, value);
+  }
+  for (const shot of shots) {
+    const blob = await (await fetch(shot.dataUrl)).blob();
+    form.append('photos', blob, `${shot.pose}.jpg`);
+    form.append('poses', shot.pose);
+  }
+
+  const enrolled = await apiRequest('/api/enrollments', { method: 'POST', body: form });
+
+  // photos come back in upload order; a failure here only costs one reprocessing at verification
+  try {
+    await saveFaceDescriptors(
+      enrolled.student.id,
+      modelVersion,
+      enrolled.photos.map((photo, i) => ({ imageUrl: photo.url, descriptor: shots[i].descriptor }))
+    );
+  } catch (err) {
+    console.error('Failed to store enrollment descriptors:', err);
+  }
+  console.log(`Enrolled student: ${enrolled.student.name} (${enrolled.student.id}) with ${enrolled.photos.length} photos`);
+  return enrolled;
+};
+
+export default {
+  getStudentByID,
+  isValidStudentID,
+  getAllValidStudentIDs,
+  searchStudents,
+  getFaceImagePath,
+  addStudent,
+  enrollStudent,
+  getReferenceImages,
+  getEnrolledFaces,
+  saveFaceDescriptors,
+  getStudentPhotos,
+  addStudentPhotos,
+  deleteStudentPhoto
+};
@@ -0,0 +1,21 @@
+import { createFrameStages } from '../services/frameStages';
+
+/**
+ * frame worker
+ *
+ * runs the id scanner's frame stages (services/framestages.js) off the main
+ * thread, so the camera overlay keeps animating while a frame is processed.
+ *
+ * messages: { id, stage, args } -> { id, result } or { id, error }
+ */
+
+const stages = createFrameStages();
+
+self.onmessage = async ({ data: { id, stage, args } }) => {
+  try {
+    const result = await stages[stage](...args);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};